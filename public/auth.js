@@ -0,0 +1,65 @@
+// Signed-in session ({ token, expiresAt, account }), saved by login.js
+const AUTH_STORAGE_KEY = 'testlineSession';
+
+// Read the saved session, or null when there is none or it has expired
+function getSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+        return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveSession(session) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+}
+
+// Drop the session and go to the login page, coming back here afterwards
+function redirectToLogin() {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+}
+
+function logout() {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    window.location.href = 'login.html';
+}
+
+// Fetch an API URL with the session token; an expired or rejected token sends the user to the login page
+async function apiFetch(url) {
+    const session = getSession();
+    if (!session) {
+        redirectToLogin();
+        throw new Error('Not signed in');
+    }
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${session.token}` } });
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Session expired');
+    }
+    return response;
+}
+
+// Show the signed-in account, wire the logout link and hide links the role can't use (data-roles="coach admin")
+document.addEventListener('DOMContentLoaded', () => {
+    const session = getSession();
+    if (!session) return;
+
+    const account = document.getElementById('signedInAccount');
+    if (account) {
+        account.textContent = `Signed in as ${session.account.username} (${session.account.role})`;
+        account.hidden = false;
+    }
+    const logoutLink = document.getElementById('logoutLink');
+    if (logoutLink) {
+        logoutLink.addEventListener('click', event => {
+            event.preventDefault();
+            logout();
+        });
+    }
+    document.querySelectorAll('[data-roles]').forEach(element => {
+        element.hidden = !element.dataset.roles.split(' ').includes(session.account.role);
+    });
+});
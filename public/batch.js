@@ -0,0 +1,135 @@
+// API endpoints
+const BATCH_API_URL = '/api/v1/batch';
+
+// Trend labels shown in the student table
+const TREND_LABELS = {
+    improving: '▲ Improving',
+    flat: '▶ Flat',
+    declining: '▼ Declining',
+    'insufficient-data': '– Too few attempts'
+};
+
+// Current sort of the student table
+const sortState = { sort: 'userId', order: 'asc' };
+
+// Latest student request, so slower earlier responses don't overwrite it
+let studentRequest = 0;
+
+// Fetch data from APIs
+async function fetchData(endpoint) {
+    const response = await apiFetch(`${BATCH_API_URL}/${endpoint}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Escape text placed into HTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Link to a student's own dashboard
+function studentLink(userId) {
+    return `<a href="index.html?user=${encodeURIComponent(userId)}">${escapeHtml(userId)}</a>`;
+}
+
+// Red (0%) to green (100%) cell colour for an accuracy
+function accuracyColor(accuracy) {
+    return `hsl(${Math.round(accuracy * 1.2)}, 70%, 80%)`;
+}
+
+// Load the student table with the current filters and sort
+async function loadStudents() {
+    const params = new URLSearchParams(sortState);
+    const filters = {
+        search: document.getElementById('searchFilter').value.trim(),
+        trend: document.getElementById('trendFilter').value,
+        weakTopic: document.getElementById('weakTopicFilter').value
+    };
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+    });
+
+    const request = ++studentRequest;
+    const data = await fetchData(`students?${params}`);
+    if (request !== studentRequest) return;
+    const format = value => (value === null ? '-' : value);
+    document.getElementById('studentRows').innerHTML = data.students
+        .map(student => `
+            <tr>
+                <td>${studentLink(student.userId)}</td>
+                <td>${format(student.score)}</td>
+                <td>${student.accuracy === null ? '-' : `${student.accuracy}%`}</td>
+                <td class="trend-${student.trend.direction}">${TREND_LABELS[student.trend.direction]}</td>
+                <td>#${student.rank.predicted} <span class="subject-detail">(${student.rank.lower} - ${student.rank.upper})</span></td>
+                <td>${student.weakestTopic
+                    ? `${escapeHtml(student.weakestTopic.topic)} (${student.weakestTopic.accuracy.toFixed(1)}%)`
+                    : 'None'}</td>
+            </tr>`)
+        .join('');
+    document.getElementById('batchSummary').textContent = data.excluded > 0
+        ? `${data.total} students shown; ${data.excluded} could not be loaded`
+        : `${data.total} students shown`;
+
+    document.querySelectorAll('.batch-table th[data-sort]').forEach(header => {
+        header.classList.toggle('sorted-asc', header.dataset.sort === sortState.sort && sortState.order === 'asc');
+        header.classList.toggle('sorted-desc', header.dataset.sort === sortState.sort && sortState.order === 'desc');
+    });
+}
+
+// Draw the topic × student heatmap and fill the weakest-topic filter
+async function loadHeatmap() {
+    const data = await fetchData('heatmap');
+    const header = `<tr><th>Topic</th>${data.students.map(userId => `<th>${studentLink(userId)}</th>`).join('')}</tr>`;
+    const rows = data.topics.map(topic => `
+        <tr>
+            <th>${escapeHtml(topic.topic)}</th>
+            ${topic.values.map(value => (value === null
+                ? '<td class="heatmap-empty">-</td>'
+                : `<td style="background-color: ${accuracyColor(value)}">${Math.round(value)}%</td>`)).join('')}
+        </tr>`);
+    document.getElementById('heatmap').innerHTML = header + rows.join('');
+
+    const select = document.getElementById('weakTopicFilter');
+    data.topics.forEach(topic => {
+        select.insertAdjacentHTML('beforeend',
+            `<option value="${escapeHtml(topic.topic)}">${escapeHtml(topic.topic)}</option>`);
+    });
+}
+
+// Sort on header clicks (a second click reverses) and reload on filter changes
+function bindControls() {
+    document.querySelectorAll('.batch-table th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => {
+            const { sort } = header.dataset;
+            sortState.order = sortState.sort === sort && sortState.order === 'asc' ? 'desc' : 'asc';
+            sortState.sort = sort;
+            loadStudents();
+        });
+    });
+    ['trendFilter', 'weakTopicFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadStudents);
+    });
+    document.getElementById('searchFilter').addEventListener('input', loadStudents);
+}
+
+// Initialize dashboard
+async function initializeBatchDashboard() {
+    try {
+        bindControls();
+        await Promise.all([loadStudents(), loadHeatmap()]);
+    } catch (error) {
+        console.error('Failed to initialize batch dashboard:', error);
+        document.querySelector('.container').innerHTML = `
+            <div class="error-message">
+                <h2>Failed to load batch dashboard</h2>
+                <p>Please try refreshing the page. If the problem persists, contact support.</p>
+                <p>Error: ${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+// Start the dashboard when the page loads
+document.addEventListener('DOMContentLoaded', initializeBatchDashboard);
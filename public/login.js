@@ -0,0 +1,40 @@
+// API endpoints
+const LOGIN_API_URL = '/api/v1/auth/login';
+
+// Page to open after signing in: the one that sent the user here, else the role's home page
+function landingPage(account) {
+    const next = new URLSearchParams(window.location.search).get('next');
+    // Only same-site paths, so the link can't send the user elsewhere
+    if (next && next.startsWith('/') && !next.startsWith('//')) return next;
+    return account.role === 'student' ? 'index.html' : 'batch.html';
+}
+
+async function login(event) {
+    event.preventDefault();
+    const error = document.getElementById('loginError');
+    error.hidden = true;
+
+    try {
+        const response = await fetch(LOGIN_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value.trim(),
+                password: document.getElementById('password').value
+            })
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.message || `HTTP error! status: ${response.status}`);
+        }
+        saveSession(body);
+        window.location.href = landingPage(body.account);
+    } catch (failure) {
+        error.textContent = failure.message;
+        error.hidden = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('loginForm').addEventListener('submit', login);
+});
@@ -1,5 +1,8 @@
-// API endpoints
-const API_BASE_URL = '/api/quiz';
+// API endpoints. `?user=<id>` (the batch dashboard's drill-down) shows that student.
+const DASHBOARD_USER = new URLSearchParams(window.location.search).get('user');
+const API_BASE_URL = DASHBOARD_USER
+    ? `/api/v1/users/${encodeURIComponent(DASHBOARD_USER)}/quiz`
+    : '/api/v1/quiz';
 
 // Chart configurations
 const chartConfig = {
@@ -32,13 +35,47 @@ const chartConfig = {
                 }
             }
         }
+    },
+    speedAccuracyChart: {
+        type: 'scatter',
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: 'top',
+                },
+                title: {
+                    display: true,
+                    text: 'Average Speed vs Accuracy by Topic'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.raw.topic}: speed ${context.raw.x.toFixed(0)}, ${context.raw.y.toFixed(1)}% accuracy`
+                    }
+                }
+            },
+            scales: {
+                x: { title: { display: true, text: 'Speed' } },
+                y: { title: { display: true, text: 'Accuracy (%)' }, min: 0, max: 100 }
+            }
+        }
     }
 };
 
+// Point colours for each pace status
+const PACE_COLORS = {
+    rushing: 'rgb(229, 51, 41)',
+    overthinking: 'rgb(237, 137, 54)',
+    balanced: 'rgba(75, 192, 192, 1)'
+};
+
+// Chart instances, replaced when the subject filter changes
+const charts = {};
+
 // Fetch data from APIs
 async function fetchData(endpoint) {
     try {
-        const response = await fetch(`${API_BASE_URL}/${endpoint}`);
+        const response = await apiFetch(`${API_BASE_URL}/${endpoint}`);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -49,6 +86,26 @@ async function fetchData(endpoint) {
     }
 }
 
+// Download a report export; fetched rather than linked so the request carries the session token
+async function downloadReport(endpoint) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/${endpoint}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : endpoint.split('/').pop();
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (error) {
+        console.error(`Failed to download ${endpoint}:`, error);
+        alert(`Failed to download the report: ${error.message}`);
+    }
+}
+
 // Update performance metrics
 function updatePerformanceMetrics(data) {
     document.getElementById('accuracyValue').textContent = `${data.currentPerformance.accuracy}%`;
@@ -58,13 +115,39 @@ function updatePerformanceMetrics(data) {
         `${(data.currentPerformance.mistakesImprovement * 100).toFixed(1)}%`;
 }
 
+// Show the student's percentiles within the cohort of the quiz
+function updatePercentileBadges(data) {
+    const { cohort } = data;
+    const label = percentile => `P${Math.round(percentile)}`;
+    ['accuracy', 'speed'].forEach(metric => {
+        const badge = document.getElementById(`${metric}Percentile`);
+        const percentile = cohort.percentiles[metric];
+        badge.hidden = percentile === null;
+        if (percentile !== null) {
+            badge.textContent = `${label(percentile)} in cohort`;
+        }
+    });
+
+    const { score } = cohort.percentiles;
+    document.getElementById('scorePercentile').textContent = score === null ? '-' : label(score);
+    document.getElementById('cohortSize').textContent = score === null
+        ? `Needs ${cohort.minimumSize} students (${cohort.size} so far)`
+        : `among ${cohort.size} students`;
+
+    document.getElementById('topicPercentiles').innerHTML = cohort.topics
+        .filter(topic => topic.percentile !== null)
+        .map(topic => `<span class="percentile-badge">${topic.topic}: ${label(topic.percentile)}</span>`)
+        .join('');
+}
+
 // Create topic performance chart
 function createTopicChart(data) {
     const ctx = document.getElementById('topicChart').getContext('2d');
     const topics = Object.keys(data.topicPerformance);
     const accuracies = topics.map(topic => data.topicPerformance[topic].averageAccuracy);
 
-    new Chart(ctx, {
+    if (charts.topic) charts.topic.destroy();
+    charts.topic = new Chart(ctx, {
         ...chartConfig.topicChart,
         data: {
             labels: topics,
@@ -85,7 +168,8 @@ function createTrendChart(data) {
     const trends = data.trends.accuracy;
     const speed = data.trends.speed;
     
-    new Chart(ctx, {
+    if (charts.trend) charts.trend.destroy();
+    charts.trend = new Chart(ctx, {
         ...chartConfig.trendChart,
         data: {
             labels: trends.map(t => new Date(t.date).toLocaleDateString()),
@@ -107,16 +191,73 @@ function createTrendChart(data) {
     });
 }
 
+// Create speed vs accuracy chart and pace recommendations
+function createSpeedAccuracyChart(data) {
+    const ctx = document.getElementById('speedAccuracyChart').getContext('2d');
+
+    if (charts.speedAccuracy) charts.speedAccuracy.destroy();
+    charts.speedAccuracy = new Chart(ctx, {
+        ...chartConfig.speedAccuracyChart,
+        data: {
+            datasets: Object.entries(PACE_COLORS).map(([status, color]) => ({
+                label: status.charAt(0).toUpperCase() + status.slice(1),
+                data: data.topics
+                    .filter(topic => topic.status === status)
+                    .map(topic => ({ x: topic.averageSpeed, y: topic.accuracy, topic: topic.topic })),
+                backgroundColor: color,
+                pointRadius: 6
+            }))
+        }
+    });
+
+    document.getElementById('paceList').innerHTML = data.topics
+        .filter(topic => topic.status !== 'balanced')
+        .map(topic => `<li class="${topic.status}">${topic.recommendation}</li>`)
+        .join('') || '<li>Your pace is balanced across topics</li>';
+}
+
+// Update subject cards
+function updateSubjectPerformance(data) {
+    const format = value => (value === null ? '-' : `${value.toFixed(1)}%`);
+    document.getElementById('subjectCards').innerHTML = data.subjectAnalysis
+        .map(subject => `
+            <div class="metric-card subject-card${subject.weak ? ' weak' : ''}">
+                <h3>${subject.subject}</h3>
+                <div class="metric-value">${format(subject.accuracy)}</div>
+                <div class="subject-detail">${subject.attempts} attempts, ${Math.round(subject.timeSpentMinutes)} min</div>
+                <div class="subject-detail">${subject.weakTopics.length > 0 ? `Weak: ${subject.weakTopics.join(', ')}` : 'No weak topics'}</div>
+            </div>`)
+        .join('');
+}
+
+// Fill the subject filter once from the unfiltered analysis
+function populateSubjectFilter(data) {
+    const select = document.getElementById('subjectFilter');
+    data.subjectAnalysis.forEach(subject => {
+        select.insertAdjacentHTML('beforeend', `<option value="${subject.subject}">${subject.subject}</option>`);
+    });
+    select.addEventListener('change', async () => {
+        const subject = select.value;
+        const analysis = await fetchData(subject ? `analysis?subject=${encodeURIComponent(subject)}` : 'analysis');
+        updateSubjectPerformance(analysis);
+        createTopicChart(analysis);
+        createTrendChart(analysis);
+    });
+}
+
 // Update rank prediction
 function updateRankPrediction(data) {
     document.getElementById('predictedRank').textContent = `#${data.predictedRank}`;
     document.getElementById('confidenceInterval').textContent = 
         `${data.confidenceInterval.lower} - ${data.confidenceInterval.upper}`;
     
+    const { colleges } = data.admission;
     const collegeList = document.getElementById('collegePossibilities');
-    collegeList.innerHTML = data.collegePossibilities
-        .map(college => `<li>${college}</li>`)
-        .join('');
+    const items = ['safe', 'target', 'reach'].flatMap(label => colleges[label]
+        .map(college => `<li>${college.name} (${college.quota} ${college.seatCategory}, closing rank ${college.closingRank}) - ${label}</li>`));
+    collegeList.innerHTML = items.length > 0
+        ? items.join('')
+        : '<li>No colleges in the cutoff database are within the predicted rank range</li>';
 }
 
 // Update insights
@@ -134,18 +275,31 @@ function updateInsights(data) {
 
 // Initialize dashboard
 async function initializeDashboard() {
+    if (DASHBOARD_USER) {
+        document.getElementById('dashboardUser').textContent = `Student: ${DASHBOARD_USER}`;
+        document.getElementById('dashboardUser').hidden = false;
+    }
+    document.querySelectorAll('[data-report]').forEach(button => {
+        button.addEventListener('click', () => downloadReport(button.dataset.report));
+    });
+
     try {
         // Fetch all data
-        const [analysis, prediction, insights] = await Promise.all([
+        const [analysis, prediction, insights, speedAccuracy] = await Promise.all([
             fetchData('analysis'),
             fetchData('rank-prediction'),
-            fetchData('insights')
+            fetchData('insights'),
+            fetchData('speed-accuracy')
         ]);
 
         // Update dashboard components
         updatePerformanceMetrics(analysis);
+        updatePercentileBadges(analysis);
+        populateSubjectFilter(analysis);
+        updateSubjectPerformance(analysis);
         createTopicChart(analysis);
         createTrendChart(analysis);
+        createSpeedAccuracyChart(speedAccuracy);
         updateRankPrediction(prediction);
         updateInsights(insights);
 
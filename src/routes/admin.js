@@ -0,0 +1,124 @@
+import express from 'express'
+import { AccountStore } from '../services/AccountStore.js';
+import { getDefaultDataSource } from '../utils/dataLoader.js';
+import { createDataSource } from '../utils/dataSources.js';
+import { HttpError } from '../utils/errors.js';
+import { resolveAccountInput, resolveDataSourceConfig, sendError } from './helpers.js';
+
+/**
+ * Describes a data source without its data
+ * @param {Object} source Data source
+ * @returns {Object} { kind, endpoints | directory }
+ */
+function describeDataSource(source) {
+  switch (source.kind) {
+    case 'http':
+      return { kind: source.kind, endpoints: source.endpoints };
+    case 'local':
+      return { kind: source.kind, directory: source.directory };
+    default:
+      return { kind: source.kind };
+  }
+}
+
+/**
+ * Creates the admin router, mounted at /admin
+ * @returns {Object} Express router
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+
+  // GET /admin/cache
+  router.get('/cache', (req, res) => {
+    res.json(req.app.locals.cache.describe());
+  });
+
+  // DELETE /admin/cache[?userId=...]
+  // Drops every cached dataset and result, or only those of one user.
+  router.delete('/cache', (req, res) => {
+    const { cache } = req.app.locals;
+    const { userId } = req.query;
+    const removed = userId ? cache.invalidateTag(`user:${userId}`) : cache.clear();
+    res.json({ invalidated: removed, scope: userId ? { userId } : 'all' });
+  });
+
+  // GET /admin/data-source
+  router.get('/data-source', async (req, res) => {
+    try {
+      res.json(describeDataSource(req.app.locals.dataSource || await getDefaultDataSource()));
+    } catch (error) {
+      sendError(res, error, 'Data Source Lookup Failed');
+    }
+  });
+
+  // PUT /admin/data-source { type, dataDir?, fixture?, quizUrl?, submissionUrl?, historyUrl?, usersUrl? }
+  // Switches the app to a new data source once it lists its users, and drops
+  // everything cached from the old one.
+  router.put('/data-source', async (req, res) => {
+    try {
+      const config = resolveDataSourceConfig(req);
+      let source;
+      try {
+        source = await createDataSource(config);
+        await source.listUsers();
+      } catch (error) {
+        throw new HttpError(400, `Data source is unusable: ${error.message}`);
+      }
+      req.app.locals.dataSource = source;
+      const removed = req.app.locals.cache.clear();
+      res.json({ ...describeDataSource(source), invalidated: removed });
+    } catch (error) {
+      sendError(res, error, 'Data Source Update Failed');
+    }
+  });
+
+  // GET /admin/users
+  router.get('/users', async (req, res) => {
+    try {
+      res.json({ accounts: await new AccountStore(req.app.locals.store).list() });
+    } catch (error) {
+      sendError(res, error, 'Account Listing Failed');
+    }
+  });
+
+  // POST /admin/users { username, password, role, userId?, batch? }
+  router.post('/users', async (req, res) => {
+    try {
+      const account = await new AccountStore(req.app.locals.store).create(resolveAccountInput(req, { create: true }));
+      res.status(201).json(account);
+    } catch (error) {
+      sendError(res, error, 'Account Creation Failed');
+    }
+  });
+
+  // PATCH /admin/users/:username { password?, role?, userId?, batch? }
+  // Batch results are cached per coach, so they are dropped when a batch changes.
+  router.patch('/users/:username', async (req, res) => {
+    try {
+      const changes = resolveAccountInput(req);
+      if (req.params.username === req.account.username && changes.role && changes.role !== 'admin') {
+        throw new HttpError(400, 'Admins cannot remove their own admin role');
+      }
+      const account = await new AccountStore(req.app.locals.store).update(req.params.username, changes);
+      req.app.locals.cache.invalidateTag('cohort');
+      res.json(account);
+    } catch (error) {
+      sendError(res, error, 'Account Update Failed');
+    }
+  });
+
+  // DELETE /admin/users/:username
+  router.delete('/users/:username', async (req, res) => {
+    try {
+      if (req.params.username === req.account.username) {
+        throw new HttpError(400, 'Admins cannot delete their own account');
+      }
+      await new AccountStore(req.app.locals.store).remove(req.params.username);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'Account Deletion Failed');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,46 @@
+import express from 'express'
+import { createQuizRouter } from './quiz.js';
+import { createAdminRouter } from './admin.js';
+import { authenticate, authorizeUser, canAccessUser, createAuthRouter, requireRole } from './auth.js';
+import { createBatchRouter } from './batch.js';
+import { createPracticeRouter } from './practice.js';
+import { createQuizzesRouter } from './quizzes.js';
+import { loadUserIds, sendError } from './helpers.js';
+
+export const API_VERSION = 'v1';
+
+/**
+ * Creates the versioned API router, mounted at /api/v1. Everything but /auth
+ * needs a signed-in account: students reach only their own data, coaches
+ * their batch, and admins everything plus /admin.
+ * @returns {Object} Express router
+ */
+export function createApiRouter() {
+  const router = express.Router();
+  const quizRouter = createQuizRouter();
+  const practiceRouter = createPracticeRouter();
+
+  router.use('/auth', createAuthRouter());
+  router.use(authenticate);
+
+  // GET /users
+  // Lists the users the signed-in account may see.
+  router.get('/users', async (req, res) => {
+    try {
+      const users = await loadUserIds(req);
+      res.json({ users: users.filter(id => canAccessUser(req.account, id)).map(id => ({ id })) });
+    } catch (error) {
+      sendError(res, error, 'User Listing Failed');
+    }
+  });
+
+  router.use('/quiz', authorizeUser, quizRouter);
+  router.use('/users/:userId/quiz', authorizeUser, quizRouter);
+  router.use('/practice', authorizeUser, practiceRouter);
+  router.use('/users/:userId/practice', authorizeUser, practiceRouter);
+  router.use('/quizzes', requireRole('coach', 'admin'), createQuizzesRouter());
+  router.use('/batch', requireRole('coach', 'admin'), createBatchRouter());
+  router.use('/admin', requireRole('admin'), createAdminRouter());
+
+  return router;
+}
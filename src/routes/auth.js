@@ -0,0 +1,113 @@
+import express from 'express'
+import { AccountStore } from '../services/AccountStore.js';
+import { signToken, verifyToken } from '../utils/auth.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+import { resolveCredentials, resolveUserId, sendError } from './helpers.js';
+
+/**
+ * Sends a 401 asking for a bearer token
+ * @param {Object} res Express response
+ * @param {Error} error Error to report
+ */
+function sendUnauthorized(res, error) {
+  res.set('WWW-Authenticate', 'Bearer');
+  sendError(res, error, 'Unauthorized');
+}
+
+/**
+ * Checks whether an account may see a user's data: students their own, coaches
+ * their batch, admins anyone's
+ * @param {Object} account Signed-in account
+ * @param {string} userId User id
+ * @returns {boolean} Whether access is allowed
+ */
+export function canAccessUser(account, userId) {
+  if (account.role === 'admin') return true;
+  if (account.role === 'coach') return account.batch.includes(userId);
+  return account.userId === userId;
+}
+
+/**
+ * Middleware that signs the request in from its `Authorization: Bearer` token
+ * and sets `req.account`. The account is re-read on every request, so role
+ * changes and deletions apply to tokens already issued.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new UnauthorizedError('Sign in required: send an Authorization: Bearer <token> header');
+    }
+    const claims = verifyToken(token, req.app.locals.auth.secret);
+    const account = await new AccountStore(req.app.locals.store).find(claims.sub);
+    if (!account) throw new UnauthorizedError(`Account "${claims.sub}" no longer exists`);
+    req.account = account;
+    next();
+  } catch (error) {
+    if (error.status === 401) {
+      sendUnauthorized(res, error);
+      return;
+    }
+    sendError(res, error, 'Authentication Failed');
+  }
+}
+
+/**
+ * Creates middleware that only lets the given roles through
+ * @param {...string} roles Allowed roles
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.account.role)) {
+      next();
+      return;
+    }
+    sendError(res, new ForbiddenError(`Requires the ${roles.join(' or ')} role`), 'Forbidden');
+  };
+}
+
+/**
+ * Middleware that only lets the request through when the signed-in account may
+ * see the user it addresses (see resolveUserId)
+ */
+export function authorizeUser(req, res, next) {
+  const userId = resolveUserId(req);
+  if (canAccessUser(req.account, userId)) {
+    next();
+    return;
+  }
+  sendError(res, new ForbiddenError(`Account "${req.account.username}" cannot access user "${userId}"`), 'Forbidden');
+}
+
+/**
+ * Creates the auth router, mounted at /auth ahead of the authenticate middleware
+ * @returns {Object} Express router
+ */
+export function createAuthRouter() {
+  const router = express.Router();
+
+  // POST /auth/login { username, password }
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = resolveCredentials(req);
+      const account = await new AccountStore(req.app.locals.store).authenticate(username, password);
+      if (!account) {
+        sendUnauthorized(res, new UnauthorizedError('Invalid username or password'));
+        return;
+      }
+      const { secret, tokenTtl } = req.app.locals.auth;
+      const { token, expiresAt } = signToken({ sub: account.username, role: account.role }, secret, tokenTtl);
+      res.json({ token, expiresAt, account });
+    } catch (error) {
+      sendError(res, error, 'Login Failed');
+    }
+  });
+
+  // GET /auth/me
+  router.get('/me', authenticate, (req, res) => {
+    res.json({ account: req.account });
+  });
+
+  return router;
+}
@@ -0,0 +1,66 @@
+import express from 'express'
+import { BatchAnalyzer } from '../services/BatchAnalyzer.js';
+import { canAccessUser } from './auth.js';
+import {
+  loadAllUsers,
+  resolveBatchOptions,
+  resolveBootstrapOptions,
+  resolveRankTables,
+  sendCached,
+  sendError,
+  viewerResult
+} from './helpers.js';
+
+// Query parameters of openBatch's rank table and bootstrap options
+const BATCH_RANK_QUERY = ['year', 'seed', 'iterations'];
+
+/**
+ * Loads the students the signed-in account may see (a coach's batch, or
+ * everyone for admins) into a batch analyzer
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} { analyzer, excluded }
+ */
+async function openBatch(req) {
+  const { students, excluded } = await loadAllUsers(req, userId => canAccessUser(req.account, userId));
+  const { rankTable } = await resolveRankTables(req);
+  return { analyzer: new BatchAnalyzer(students, { rankTable, ...resolveBootstrapOptions(req) }), excluded };
+}
+
+/**
+ * Creates the batch router, mounted at /batch. It aggregates the coach's batch
+ * (every user of the data source for admins) for the coach dashboard; results
+ * are invalidated whenever anyone submits.
+ * @returns {Object} Express router
+ */
+export function createBatchRouter() {
+  const router = express.Router();
+
+  // GET /batch/students[?sort=userId|score|accuracy|rank|trend|submittedAt&order=asc|desc&trend=...&weakTopic=...&search=...&year=2024]
+  router.get('/students', async (req, res) => {
+    try {
+      const options = resolveBatchOptions(req);
+      await sendCached(req, res, viewerResult(req, 'batch-students'), async () => {
+        const { analyzer, excluded } = await openBatch(req);
+        const students = analyzer.listStudents(options);
+        return { total: students.length, excluded, filters: options, students };
+      }, { query: ['sort', 'order', 'trend', 'weakTopic', 'search', ...BATCH_RANK_QUERY], tags: ['cohort'] });
+    } catch (error) {
+      sendError(res, error, 'Batch Listing Failed');
+    }
+  });
+
+  // GET /batch/heatmap[?users=u1,u2]
+  router.get('/heatmap', async (req, res) => {
+    try {
+      const users = req.query.users ? String(req.query.users).split(',').filter(Boolean) : undefined;
+      await sendCached(req, res, viewerResult(req, 'batch-heatmap'), async () => {
+        const { analyzer, excluded } = await openBatch(req);
+        return { excluded, ...analyzer.buildHeatmap({ users }) };
+      }, { query: ['users', ...BATCH_RANK_QUERY], tags: ['cohort'] });
+    } catch (error) {
+      sendError(res, error, 'Batch Heatmap Failed');
+    }
+  });
+
+  return router;
+}
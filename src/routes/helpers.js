@@ -0,0 +1,586 @@
+import { listUsers, loadCurrentQuiz, loadData, VALIDATION_MODES } from '../utils/dataLoader.js';
+import { DEFAULT_USER_ID, assertUserId } from '../utils/dataSources.js';
+import { HttpError, NotFoundError } from '../utils/errors.js';
+import { AttemptStore } from '../services/AttemptStore.js';
+import { BATCH_SORT_FIELDS, TREND_DIRECTIONS } from '../services/BatchAnalyzer.js';
+import { loadRankTables } from '../services/RankTable.js';
+import { DEFAULT_BOOTSTRAP } from '../services/RankPredictor.js';
+import { CATEGORIES, COURSES } from '../services/AdmissionPredictor.js';
+import { DEFAULT_HOURS_PER_DAY } from '../services/StudyPlanner.js';
+import { MIN_PASSWORD_LENGTH, ROLES } from '../services/AccountStore.js';
+import { DEFAULT_REQUIZ_SIZE, MISTAKE_CATEGORIES, MISTAKE_STATUSES, MistakeNotebook } from '../services/MistakeNotebook.js';
+import { DEFAULT_PRACTICE_LENGTH, MAX_PRACTICE_LENGTH } from '../services/PracticeGenerator.js';
+import { PracticeLibrary } from '../services/PracticeLibrary.js';
+import { loadSyllabus } from '../services/SyllabusGraph.js';
+
+const MAX_BOOTSTRAP_ITERATIONS = 20000;
+const MAX_REQUIZ_SIZE = 50;
+const MAX_PRACTICE_MINUTES = 240;
+// Usernames and linked user ids double as store keys and data source ids
+const ACCOUNT_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DATA_SOURCE_TYPES = ['http', 'local', 'fixture'];
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Query parameters read by the rank prediction resolvers (rank tables, bootstrap options and student profile)
+export const RANK_QUERY = ['year', 'seed', 'iterations', 'category', 'pwd', 'state', 'course'];
+// Query parameters read by resolveStudyPlanOptions
+export const STUDY_PLAN_QUERY = ['start', 'examDate', 'hoursPerDay'];
+
+/**
+ * Resolves the user addressed by the request: `:userId`, else on the unscoped
+ * routes the signed-in student's own user id, else the default user
+ * @param {Object} req Express request
+ * @returns {string} User id
+ */
+export function resolveUserId(req) {
+  return req.params.userId || (req.account && req.account.userId) || DEFAULT_USER_ID;
+}
+
+/**
+ * Resolves the validation mode: `?validation=` on the request, else the app default
+ * @param {Object} req Express request
+ * @returns {string} 'strict' or 'lenient'
+ */
+export function resolveValidationMode(req) {
+  const { validation } = req.query;
+  if (validation === undefined) return req.app.locals.validation;
+  if (!VALIDATION_MODES.includes(validation)) {
+    throw new HttpError(400, `validation must be one of: ${VALIDATION_MODES.join(', ')}`);
+  }
+  return validation;
+}
+
+/**
+ * Loads and validates the quiz data for the user addressed by the request,
+ * with the attempts they submitted through the API merged in
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} { currentQuiz, submission, history, warnings }
+ */
+export function loadQuizData(req) {
+  return loadUserData(req, resolveUserId(req));
+}
+
+/**
+ * Loads the current quiz alone, through the cache, for the reports that cover
+ * every student rather than the user addressed by the request
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} Current quiz
+ */
+export function loadQuiz(req) {
+  const { dataSource, cache } = req.app.locals;
+  return loadCurrentQuiz(dataSource, { cache });
+}
+
+/**
+ * Loads one user's quiz data with their stored attempts merged in
+ * @param {Object} req Express request
+ * @param {string} userId User to load
+ * @returns {Promise<Object>} { currentQuiz, submission, history, warnings }
+ */
+async function loadUserData(req, userId) {
+  return new AttemptStore(req.app.locals.store, userId).merge(await loadUpstreamData(req, userId));
+}
+
+/**
+ * Loads one user's quiz data from the data source alone
+ * @param {Object} req Express request
+ * @param {string} userId User to load
+ * @returns {Promise<Object>} { currentQuiz, submission, history, warnings }
+ */
+function loadUpstreamData(req, userId) {
+  return loadData(req.app.locals.dataSource, {
+    userId,
+    cache: req.app.locals.cache,
+    validation: resolveValidationMode(req)
+  });
+}
+
+/**
+ * Opens the mistake notebook of the user addressed by the request
+ * @param {Object} req Express request
+ * @returns {Promise<MistakeNotebook>} Notebook
+ */
+export async function openNotebook(req) {
+  const userId = resolveUserId(req);
+  assertUserId(userId);
+  return new MistakeNotebook(req.app.locals.store, userId, await loadSyllabus(req.app.locals.syllabusFile));
+}
+
+/**
+ * Opens the mistake notebook of the user addressed by the request with every
+ * attempt at the current quiz or a practice quiz recorded in it: the upstream
+ * submission (even once a stored attempt replaces it), the upstream history and
+ * any stored attempt whose recording failed. Recording is idempotent.
+ * @param {Object} req Express request
+ * @returns {Promise<MistakeNotebook>} Notebook
+ */
+export async function openSyncedNotebook(req) {
+  const notebook = await openNotebook(req);
+  const { store } = req.app.locals;
+  const upstream = await loadUpstreamData(req, notebook.userId);
+  const { submission, history } = await new AttemptStore(store, notebook.userId).merge(upstream);
+  const practice = await new PracticeLibrary(store, notebook.userId).getQuizzes();
+
+  await notebook.sync(
+    [upstream.currentQuiz, ...practice.map(record => record.quiz)],
+    [upstream.submission, submission, ...history]
+  );
+  return notebook;
+}
+
+/**
+ * Records the mistakes of a submission that has just been stored. The attempt
+ * is saved by then, so a failure doesn't fail the request: the response reports
+ * it, and openSyncedNotebook records the mistakes when the notebook is next read.
+ * @param {MistakeNotebook} notebook Notebook
+ * @param {Object} currentQuiz Quiz the submission answers
+ * @param {Object} submission Stored submission
+ * @param {Array} history History, which may include the submission
+ * @returns {Promise<Object>} { mistakesRecorded }, or { mistakesRecorded: null, mistakesError }
+ */
+export async function recordMistakes(notebook, currentQuiz, submission, history) {
+  try {
+    const { added } = await notebook.record(currentQuiz, submission, history.filter(earlier => earlier.id !== submission.id));
+    return { mistakesRecorded: added };
+  } catch (error) {
+    return {
+      mistakesRecorded: null,
+      mistakesError: `The attempt was saved but its mistakes could not be recorded (${error.message}); ` +
+        'they will be recorded when the mistake notebook is next opened'
+    };
+  }
+}
+
+/**
+ * Lists the users of the app's data source, through the cache
+ * @param {Object} req Express request
+ * @returns {Promise<Array>} User ids
+ */
+export function loadUserIds(req) {
+  const { dataSource, cache } = req.app.locals;
+  return cache.wrap('dataset:users', () => listUsers(dataSource), { tags: ['dataset'] });
+}
+
+/**
+ * Loads the quiz data of every user of the data source. Users whose data
+ * fails to load are left out and counted.
+ * @param {Object} req Express request
+ * @param {Function} [include] Only loads the user ids it returns true for
+ * @returns {Promise<Object>} { students: [{ userId, currentQuiz, submission, history }], excluded }
+ */
+export async function loadAllUsers(req, include = () => true) {
+  const users = (await loadUserIds(req)).filter(include);
+  const loaded = await Promise.allSettled(users.map(userId => loadUserData(req, userId)));
+
+  const students = [];
+  loaded.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') students.push({ userId: users[index], ...outcome.value });
+  });
+  return { students, excluded: users.length - students.length };
+}
+
+/**
+ * Names a result after the account viewing it, for results that cover the
+ * students an account may see, since coaches see different students
+ * @param {Object} req Express request
+ * @param {string} name Result name
+ * @returns {string} Cache name
+ */
+export function viewerResult(req, name) {
+  return req.account.role === 'admin' ? name : `${name}:${req.account.username}`;
+}
+
+/**
+ * Loads the cohort of the current quiz: every user whose current submission is
+ * an attempt at it. Users whose data fails to load are left out and counted.
+ * @param {Object} req Express request
+ * @param {Object} currentQuiz Current quiz
+ * @param {Function} [include] Only considers the user ids it returns true for
+ * @returns {Promise<Object>} { members: [{ userId, submission }], excluded }
+ */
+export async function loadCohort(req, currentQuiz, include) {
+  const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz || {};
+  const { students, excluded } = await loadAllUsers(req, include);
+  const members = students
+    .filter(({ submission }) => submission.quiz_id === undefined || String(submission.quiz_id) === String(quiz.id))
+    .map(({ userId, submission }) => ({ userId, submission }));
+  return { members, excluded };
+}
+
+/**
+ * Loads the rank tables and selects the one for `?year=` (latest by default)
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} { rankTable, rankTables }
+ */
+export async function resolveRankTables(req) {
+  const rankTables = await loadRankTables(req.app.locals.rankTablesDir);
+  if (req.query.year === undefined) {
+    return { rankTable: rankTables[0], rankTables };
+  }
+
+  const rankTable = rankTables.find(table => String(table.year) === String(req.query.year));
+  if (!rankTable) {
+    throw new NotFoundError(
+      `No rank table for year ${req.query.year}. Available: ${rankTables.map(table => table.year).join(', ')}`);
+  }
+  return { rankTable, rankTables };
+}
+
+/**
+ * Resolves the rank prediction bootstrap options from `?seed=` and `?iterations=`
+ * @param {Object} req Express request
+ * @returns {Object} { seed, iterations }
+ */
+export function resolveBootstrapOptions(req) {
+  const { seed = DEFAULT_BOOTSTRAP.seed, iterations = DEFAULT_BOOTSTRAP.iterations } = req.query;
+  const options = { seed: Number(seed), iterations: Number(iterations) };
+  if (!Number.isInteger(options.seed) || options.seed < 0) {
+    throw new HttpError(400, 'seed must be a non-negative integer');
+  }
+  if (!Number.isInteger(options.iterations) || options.iterations < 100 || options.iterations > MAX_BOOTSTRAP_ITERATIONS) {
+    throw new HttpError(400, `iterations must be an integer between 100 and ${MAX_BOOTSTRAP_ITERATIONS}`);
+  }
+  return options;
+}
+
+/**
+ * Resolves the student profile from `?category=`, `?pwd=`, `?state=` (domicile) and `?course=`
+ * @param {Object} req Express request
+ * @returns {Object} { category, pwd, state, course }
+ */
+export function resolveStudentProfile(req) {
+  const category = String(req.query.category || 'GEN').toUpperCase();
+  const course = String(req.query.course || 'MBBS').toUpperCase();
+  if (!CATEGORIES.includes(category)) {
+    throw new HttpError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (!COURSES.includes(course)) {
+    throw new HttpError(400, `course must be one of: ${COURSES.join(', ')}`);
+  }
+  const pwd = BOOLEAN_VALUES[String(req.query.pwd || 'false').toLowerCase()];
+  if (pwd === undefined) {
+    throw new HttpError(400, 'pwd must be true or false');
+  }
+  return { category, pwd, state: req.query.state ? String(req.query.state) : null, course };
+}
+
+/**
+ * Resolves the study plan options from `?start=`, `?examDate=` (YYYY-MM-DD) and
+ * `?hoursPerDay=`. The plan starts today by default.
+ * @param {Object} req Express request
+ * @returns {Object} { startDate, examDate, hoursPerDay }
+ */
+export function resolveStudyPlanOptions(req) {
+  const { start, examDate, hoursPerDay = DEFAULT_HOURS_PER_DAY } = req.query;
+  [['start', start], ['examDate', examDate]].forEach(([name, value]) => {
+    if (value !== undefined && !isIsoDate(value)) {
+      throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+  });
+  const hours = Number(hoursPerDay);
+  if (!Number.isFinite(hours) || hours < 0.5 || hours > 16) {
+    throw new HttpError(400, 'hoursPerDay must be between 0.5 and 16');
+  }
+  return {
+    startDate: start || new Date().toISOString().slice(0, 10),
+    examDate,
+    hoursPerDay: hours
+  };
+}
+
+/**
+ * Resolves `?forecastDate=` (YYYY-MM-DD) for trend forecasts
+ * @param {Object} req Express request
+ * @returns {string|undefined} Forecast date, or undefined for the default
+ */
+export function resolveForecastDate(req) {
+  const { forecastDate } = req.query;
+  if (forecastDate !== undefined && !isIsoDate(forecastDate)) {
+    throw new HttpError(400, 'forecastDate must be a date in YYYY-MM-DD format');
+  }
+  return forecastDate;
+}
+
+/**
+ * Resolves the mistake notebook filters from `?status=`, `?category=` and `?topic=`
+ * @param {Object} req Express request
+ * @returns {Object} { status, category, topic }
+ */
+export function resolveMistakeFilters(req) {
+  const { status = 'unresolved', category, topic } = req.query;
+  if (!MISTAKE_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${MISTAKE_STATUSES.join(', ')}`);
+  }
+  if (category !== undefined && !MISTAKE_CATEGORIES.includes(category)) {
+    throw new HttpError(400, `category must be one of: ${MISTAKE_CATEGORIES.join(', ')}`);
+  }
+  return { status, category, topic: topic ? String(topic) : undefined };
+}
+
+/**
+ * Resolves the batch list options from `?sort=`, `?order=`, `?trend=`,
+ * `?weakTopic=` and `?search=`
+ * @param {Object} req Express request
+ * @returns {Object} { sort, order, trend, weakTopic, search }
+ */
+export function resolveBatchOptions(req) {
+  const { sort = 'userId', order = 'asc', trend, weakTopic, search } = req.query;
+  if (!BATCH_SORT_FIELDS.includes(sort)) {
+    throw new HttpError(400, `sort must be one of: ${BATCH_SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new HttpError(400, 'order must be asc or desc');
+  }
+  if (trend !== undefined && !TREND_DIRECTIONS.includes(trend)) {
+    throw new HttpError(400, `trend must be one of: ${TREND_DIRECTIONS.join(', ')}`);
+  }
+  return {
+    sort,
+    order,
+    trend,
+    weakTopic: weakTopic ? String(weakTopic) : undefined,
+    search: search ? String(search) : undefined
+  };
+}
+
+/**
+ * Resolves the re-quiz options from `?limit=` and `?topic=`
+ * @param {Object} req Express request
+ * @returns {Object} { limit, topic }
+ */
+export function resolveReQuizOptions(req) {
+  const limit = Number(req.query.limit ?? DEFAULT_REQUIZ_SIZE);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REQUIZ_SIZE) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_REQUIZ_SIZE}`);
+  }
+  return { limit, topic: req.query.topic ? String(req.query.topic) : undefined };
+}
+
+/**
+ * Resolves the practice quiz options from the request body:
+ * `{ length, minutes, subject, seed }`
+ * @param {Object} req Express request
+ * @returns {Object} { length, minutes, subject, seed }
+ */
+export function resolvePracticeOptions(req) {
+  const { length = DEFAULT_PRACTICE_LENGTH, minutes, subject, seed } = req.body || {};
+  if (!Number.isInteger(length) || length < 1 || length > MAX_PRACTICE_LENGTH) {
+    throw new HttpError(400, `length must be an integer between 1 and ${MAX_PRACTICE_LENGTH}`);
+  }
+  if (minutes !== undefined && (typeof minutes !== 'number' || !(minutes > 0) || minutes > MAX_PRACTICE_MINUTES)) {
+    throw new HttpError(400, `minutes must be greater than 0 and at most ${MAX_PRACTICE_MINUTES}`);
+  }
+  if (subject !== undefined && typeof subject !== 'string') {
+    throw new HttpError(400, 'subject must be a string');
+  }
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+    throw new HttpError(400, 'seed must be a non-negative integer');
+  }
+  return { length, minutes, subject, seed };
+}
+
+/**
+ * Resolves a quiz attempt from the request body:
+ * `{ answers | response_map, timings, duration, submitted_at }`
+ * @param {Object} req Express request
+ * @returns {Object} { answers, timings, duration, submitted_at }
+ */
+export function resolveAttempt(req) {
+  const { answers, response_map: responseMap, timings, duration, submitted_at: submittedAt } = req.body || {};
+  const map = answers ?? responseMap;
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new HttpError(400, 'answers must be an object mapping question ids to option ids');
+  }
+  if (timings !== undefined && (timings === null || typeof timings !== 'object' || Array.isArray(timings) ||
+    !Object.values(timings).every(seconds => typeof seconds === 'number' && seconds >= 0 && Number.isFinite(seconds)))) {
+    throw new HttpError(400, 'timings must be an object mapping question ids to seconds spent');
+  }
+  if (duration !== undefined && !/^\d+(:\d{1,2}){1,2}$/.test(String(duration))) {
+    throw new HttpError(400, 'duration must be in mm:ss or hh:mm:ss format');
+  }
+  if (submittedAt !== undefined && Number.isNaN(Date.parse(submittedAt))) {
+    throw new HttpError(400, 'submitted_at must be a date');
+  }
+  return { answers: map, timings, duration, submitted_at: submittedAt };
+}
+
+/**
+ * Resolves login credentials from the request body: `{ username, password }`
+ * @param {Object} req Express request
+ * @returns {Object} { username, password }
+ */
+export function resolveCredentials(req) {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    throw new HttpError(400, 'username and password are required');
+  }
+  if (!ACCOUNT_KEY_PATTERN.test(username)) {
+    throw new HttpError(400, 'username must contain only letters, digits, "_" and "-"');
+  }
+  return { username, password };
+}
+
+/**
+ * Resolves account fields from the request body:
+ * `{ username, password, role, userId, batch }`. Only the fields present are
+ * returned; creating an account needs username, password and role.
+ * @param {Object} req Express request
+ * @param {Object} [options] Resolve options
+ * @param {boolean} [options.create] Whether the account is being created
+ * @returns {Object} Account fields
+ */
+export function resolveAccountInput(req, { create = false } = {}) {
+  const { username, password, role, userId, batch } = req.body || {};
+  const fields = {};
+
+  if (create) {
+    if (typeof username !== 'string' || !ACCOUNT_KEY_PATTERN.test(username)) {
+      throw new HttpError(400, 'username must contain only letters, digits, "_" and "-"');
+    }
+    if (role === undefined) throw new HttpError(400, 'role is required');
+    fields.username = username;
+  }
+  if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    fields.password = password;
+  }
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+    fields.role = role;
+  }
+  if (userId !== undefined) {
+    if (typeof userId !== 'string' || !ACCOUNT_KEY_PATTERN.test(userId)) {
+      throw new HttpError(400, 'userId must contain only letters, digits, "_" and "-"');
+    }
+    fields.userId = userId;
+  }
+  if (batch !== undefined) {
+    if (!Array.isArray(batch) || !batch.every(id => typeof id === 'string' && ACCOUNT_KEY_PATTERN.test(id))) {
+      throw new HttpError(400, 'batch must be an array of user ids');
+    }
+    fields.batch = batch;
+  }
+  return fields;
+}
+
+/**
+ * Resolves a data source configuration from the request body:
+ * `{ type, dataDir, fixture, quizUrl, submissionUrl, historyUrl, usersUrl }`,
+ * in the environment-variable form createDataSource reads
+ * @param {Object} req Express request
+ * @returns {Object} { DATA_SOURCE, DATA_DIR?, DATA_FIXTURE?, QUIZ_URL?, SUBMISSION_URL?, HISTORY_URL?, USERS_URL? }
+ */
+export function resolveDataSourceConfig(req) {
+  const body = req.body || {};
+  if (!DATA_SOURCE_TYPES.includes(body.type)) {
+    throw new HttpError(400, `type must be one of: ${DATA_SOURCE_TYPES.join(', ')}`);
+  }
+
+  const settings = {
+    dataDir: 'DATA_DIR',
+    fixture: 'DATA_FIXTURE',
+    quizUrl: 'QUIZ_URL',
+    submissionUrl: 'SUBMISSION_URL',
+    historyUrl: 'HISTORY_URL',
+    usersUrl: 'USERS_URL'
+  };
+  const config = { DATA_SOURCE: body.type };
+  Object.entries(settings).forEach(([field, variable]) => {
+    if (body[field] === undefined) return;
+    if (typeof body[field] !== 'string' || !body[field]) {
+      throw new HttpError(400, `${field} must be a non-empty string`);
+    }
+    config[variable] = body[field];
+  });
+  return config;
+}
+
+/**
+ * Checks for a real calendar date in YYYY-MM-DD format
+ * @param {string} value Value to check
+ * @returns {boolean} Whether the value is a valid date
+ */
+function isIsoDate(value) {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(time) && new Date(time).toISOString().startsWith(value);
+}
+
+/**
+ * Adds lenient-mode validation warnings to a result, if there are any
+ * @param {Object} result Response body
+ * @param {Array} warnings Warnings from loadQuizData
+ * @returns {Object} Response body
+ */
+export function withWarnings(result, warnings) {
+  return warnings && warnings.length > 0 ? { ...result, validationWarnings: warnings } : result;
+}
+
+/**
+ * Sends an error response. Validation errors include their field-level issues.
+ * @param {Object} res Express response
+ * @param {Error} error Error to report
+ * @param {string} title Short error title
+ */
+export function sendError(res, error, title) {
+  const body = { error: title, message: error.message };
+  if (error.issues) body.issues = error.issues;
+  res.status(error.status || 500).json(body);
+}
+
+/**
+ * Sends a computed JSON result through the app cache. The result is keyed by
+ * name, user and the query parameters it depends on (`validation`, read by
+ * every data load, plus `options.query`), and carries ETag/Last-Modified so
+ * clients can revalidate with If-None-Match/If-Modified-Since and receive a 304.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {string} name Result name, e.g. 'analysis'
+ * @param {Function} compute Async function producing the result
+ * @param {Object} [options] Send options
+ * @param {Object} [options.format] Non-JSON representation of the result:
+ * { name, contentType, serialize, filename? } where serialize turns the result
+ * into the response body (or a promise of it) and filename makes the response a
+ * download. The body is serialized once per cached result and format, and its
+ * ETag is the body's, so each format of a result revalidates on its own.
+ * @param {Array} [options.query] Query parameters the result depends on; others don't split the cache
+ * @param {Object} [options.resolved] Resolved parameter values that override the query in the
+ * key, for defaults that change over time (e.g. the study plan's start date, which is today)
+ * @param {Array} [options.tags] Extra cache tags, for results that depend on more than the user's data
+ * @returns {Promise<void>}
+ */
+export async function sendCached(req, res, name, compute, { format, query = [], resolved = {}, tags = [] } = {}) {
+  const userId = resolveUserId(req);
+  const values = { ...req.query, ...resolved };
+  const params = new URLSearchParams();
+  [...new Set(['validation', ...query, ...Object.keys(resolved)])].sort().forEach(param => {
+    if (values[param] !== undefined) params.append(param, String(values[param]));
+  });
+  const key = `result:${name}:${userId}:${params}`;
+
+  const { cache } = req.app.locals;
+  const entry = await cache.wrapEntry(key, compute, { tags: ['result', `user:${userId}`, ...tags] });
+  const { body, etag } = format
+    ? await cache.wrapBody(entry, format.name, format.serialize)
+    : { body: entry.value, etag: entry.etag };
+
+  res.set({
+    'ETag': etag,
+    'Last-Modified': new Date(entry.createdAt).toUTCString(),
+    'Cache-Control': 'private, no-cache'
+  });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+  if (format) {
+    if (format.filename) res.attachment(format.filename);
+    res.type(format.contentType).send(body);
+    return;
+  }
+  res.json(body);
+}
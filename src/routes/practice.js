@@ -0,0 +1,113 @@
+import express from 'express'
+import { PracticeGenerator, loadQuestionBank } from '../services/PracticeGenerator.js';
+import { PracticeLibrary, presentPracticeQuiz } from '../services/PracticeLibrary.js';
+import { QuizAnalyzer } from '../services/QuizAnalyzer.js';
+import { ScoringEngine, createSubmission, resolveQuizMarkingScheme } from '../services/ScoringEngine.js';
+import { loadSyllabus } from '../services/SyllabusGraph.js';
+import { getQuizQuestions } from '../utils/dataProcessing.js';
+import { assertUserId } from '../utils/dataSources.js';
+import {
+  loadQuizData,
+  openNotebook,
+  recordMistakes,
+  resolveAttempt,
+  resolvePracticeOptions,
+  resolveUserId,
+  sendError,
+  withWarnings
+} from './helpers.js';
+
+/**
+ * Opens the practice library of the user addressed by the request
+ * @param {Object} req Express request
+ * @returns {PracticeLibrary} Library
+ */
+function openLibrary(req) {
+  const userId = resolveUserId(req);
+  assertUserId(userId);
+  return new PracticeLibrary(req.app.locals.store, userId);
+}
+
+/**
+ * Creates the practice router. It is mounted at both /practice and
+ * /users/:userId/practice, hence mergeParams.
+ * @returns {Object} Express router
+ */
+export function createPracticeRouter() {
+  const router = express.Router({ mergeParams: true });
+
+  // POST /practice/generate  { "length": 10, "minutes": 15, "subject": "Zoology", "seed": 7 }
+  router.post('/generate', async (req, res) => {
+    try {
+      const options = resolvePracticeOptions(req);
+      const library = openLibrary(req);
+      const data = await loadQuizData(req);
+      const generator = new PracticeGenerator(await loadQuestionBank(req.app.locals.questionBankFile), data,
+        await loadSyllabus(req.app.locals.syllabusFile));
+
+      // Questions of the quiz just taken count as recently seen too
+      const recentQuestionIds = await library.getRecentQuestionIds();
+      getQuizQuestions(data.currentQuiz).forEach(question => recentQuestionIds.add(String(question.id)));
+
+      const record = await library.save(generator.generate({ ...options, recentQuestionIds }));
+      res.status(201).json(withWarnings(presentPracticeQuiz(record), data.warnings));
+    } catch (error) {
+      sendError(res, error, 'Practice Generation Failed');
+    }
+  });
+
+  // GET /practice/quizzes
+  router.get('/quizzes', async (req, res) => {
+    try {
+      res.json({ quizzes: await openLibrary(req).list() });
+    } catch (error) {
+      sendError(res, error, 'Practice Listing Failed');
+    }
+  });
+
+  // GET /practice/quizzes/:quizId
+  // Correct options and solutions are only included once the quiz has been submitted.
+  router.get('/quizzes/:quizId', async (req, res) => {
+    try {
+      res.json(presentPracticeQuiz(await openLibrary(req).get(req.params.quizId)));
+    } catch (error) {
+      sendError(res, error, 'Practice Quiz Lookup Failed');
+    }
+  });
+
+  // POST /practice/quizzes/:quizId/submissions  { "answers": { "<questionId>": <optionId> }, "duration": "12:30" }
+  // Scores and stores the attempt, which joins the history like quiz
+  // submissions, records its incorrect answers in the mistake notebook, then
+  // runs it through the quiz analyzers.
+  router.post('/quizzes/:quizId/submissions', async (req, res) => {
+    try {
+      const attempt = resolveAttempt(req);
+      const library = openLibrary(req);
+      const userId = resolveUserId(req);
+      const submission = await library.addSubmission(req.params.quizId, record => createSubmission(record.quiz, attempt, {
+        id: `${record.id}-${record.submissions.length + 1}`,
+        userId
+      }));
+      req.app.locals.cache.invalidateTag(`user:${userId}`);
+      req.app.locals.cache.invalidateTag('cohort');
+
+      const { quiz } = await library.get(req.params.quizId);
+      const { history, warnings } = await loadQuizData(req);
+      const notebook = await openNotebook(req);
+      const mistakes = await recordMistakes(notebook, quiz, submission, history);
+      const analyzer = new QuizAnalyzer(quiz, submission, history, notebook.syllabus);
+      const engine = new ScoringEngine(quiz, submission, history, resolveQuizMarkingScheme(quiz));
+
+      res.status(201).json(withWarnings({
+        submission,
+        score: engine.calculateScore(),
+        analysis: analyzer.generateAnalysis(),
+        ...mistakes
+      }, warnings));
+    } catch (error) {
+      sendError(res, error, 'Practice Submission Failed');
+    }
+  });
+
+  return router;
+}
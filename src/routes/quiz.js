@@ -1,57 +1,470 @@
-// const express = require('express');
 import express from 'express'
-import QuizAnalyzer from '../services/QuizAnalyzer';
-import RankPredictor from '../services/RankPredictor';
-import { loadQuizData } from '../utils/dataLoader';
-
-export const router = express.Router();
-
-// GET /api/quiz/analysis
-router.get('/analysis', async (req, res) => {
-  try {
-    const { currentQuiz, submission, history } = await loadQuizData();
-    const analyzer = new QuizAnalyzer(currentQuiz, submission, history);
-    const analysis = analyzer.generateAnalysis();
-    res.json(analysis);
-  } catch (error) {
-    res.status(500).json({
-      error: 'Analysis Generation Failed',
-      message: error.message
-    });
-  }
-});
-
-// GET /api/quiz/rank-prediction
-router.get('/rank-prediction', async (req, res) => {
-  try {
-    const { currentQuiz, submission, history } = await loadQuizData();
-    const analyzer = new QuizAnalyzer(currentQuiz, submission, history);
-    const predictor = new RankPredictor(history);
-    
-    const performance = analyzer.generateAnalysis();
-    const prediction = predictor.predictRank(performance);
-    
-    res.json(prediction);
-  } catch (error) {
-    res.status(500).json({
-      error: 'Rank Prediction Failed',
-      message: error.message
-    });
-  }
-});
-
-// GET /api/quiz/insights
-router.get('/insights', async (req, res) => {
-  try {
-    const { currentQuiz, submission, history } = await loadQuizData();
-    const analyzer = new QuizAnalyzer(currentQuiz, submission, history);
-    const insights = analyzer.generateInsights();
-    res.json(insights);
-  } catch (error) {
-    res.status(500).json({
-      error: 'Insights Generation Failed',
-      message: error.message
-    });
+import { AttemptStore } from '../services/AttemptStore.js';
+import { CohortAnalyzer } from '../services/CohortAnalyzer.js';
+import { QuizAnalyzer } from '../services/QuizAnalyzer.js';
+import { RankPredictor } from '../services/RankPredictor.js';
+import { AdmissionPredictor, loadColleges } from '../services/AdmissionPredictor.js';
+import { RankConverter, loadRankDistributions } from '../services/RankConverter.js';
+import { ReportBuilder } from '../services/ReportBuilder.js';
+import { ScoringEngine, createSubmission, resolveMarkingScheme, resolveQuizMarkingScheme } from '../services/ScoringEngine.js';
+import { SpeedAccuracyAnalyzer } from '../services/SpeedAccuracyAnalyzer.js';
+import { StudyPlanner } from '../services/StudyPlanner.js';
+import { loadSyllabus } from '../services/SyllabusGraph.js';
+import { TrendAnalyzer } from '../services/TrendAnalyzer.js';
+import { buildCsv } from '../utils/csv.js';
+import { buildCalendar } from '../utils/ics.js';
+import { renderReportPdf } from '../utils/reportPdf.js';
+import { buildXlsx } from '../utils/xlsx.js';
+import {
+  RANK_QUERY,
+  STUDY_PLAN_QUERY,
+  loadCohort,
+  loadQuizData,
+  openNotebook,
+  openSyncedNotebook,
+  recordMistakes,
+  resolveAttempt,
+  resolveBootstrapOptions,
+  resolveForecastDate,
+  resolveMistakeFilters,
+  resolveRankTables,
+  resolveReQuizOptions,
+  resolveStudentProfile,
+  resolveStudyPlanOptions,
+  resolveUserId,
+  sendCached,
+  sendError,
+  withWarnings
+} from './helpers.js';
+import { HttpError, NotFoundError } from '../utils/errors.js';
+import { assertUserId } from '../utils/dataSources.js';
+
+const QUESTION_STATUSES = ['correct', 'incorrect', 'skipped'];
+
+// Days of the study plan summarised as the insights' next steps
+const NEXT_STEP_DAYS = 3;
+
+// Columns of the report's topic export, one row per topic
+const REPORT_TOPIC_COLUMNS = [
+  { key: 'topic', header: 'topic' },
+  { key: 'attempts', header: 'attempts' },
+  { key: 'averageAccuracy', header: 'average_accuracy' },
+  { key: 'averageSpeed', header: 'average_speed' },
+  { key: 'mistakeRate', header: 'mistake_rate' },
+  { key: 'currentAccuracy', header: 'current_accuracy' },
+  { key: 'status', header: 'status' },
+  { key: 'weak', header: 'weak_area' }
+];
+
+// Columns of the report's attempt history export, one row per attempt
+const REPORT_ATTEMPT_COLUMNS = [
+  { key: 'id', header: 'attempt_id' },
+  { key: 'submittedAt', header: 'submitted_at' },
+  { key: 'quiz', header: 'quiz' },
+  { key: 'score', header: 'score' },
+  { key: 'accuracy', header: 'accuracy' },
+  { key: 'speed', header: 'speed' },
+  { key: 'correct', header: 'correct' },
+  { key: 'incorrect', header: 'incorrect' },
+  { key: 'total', header: 'total_questions' },
+  { key: 'duration', header: 'duration' }
+];
+
+// Report exports by format: the tables they hold and how they are sent
+const REPORT_EXPORTS = {
+  'topics.csv': {
+    contentType: 'text/csv; charset=utf-8',
+    serialize: report => buildCsv(REPORT_TOPIC_COLUMNS, report.topics)
+  },
+  'attempts.csv': {
+    contentType: 'text/csv; charset=utf-8',
+    serialize: report => buildCsv(REPORT_ATTEMPT_COLUMNS, report.attempts)
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    serialize: report => buildXlsx([
+      { name: 'Topics', columns: REPORT_TOPIC_COLUMNS, rows: report.topics },
+      { name: 'Attempts', columns: REPORT_ATTEMPT_COLUMNS, rows: report.attempts }
+    ])
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    serialize: renderReportPdf
   }
-});
+};
+
+/**
+ * Predicts the rank for the request's year and bootstrap options, converted to
+ * the category and state ranks of the request's student profile, with the
+ * colleges within reach
+ * @param {Object} req Express request
+ * @param {Object} submission Current submission
+ * @param {Array} history Historical attempts
+ * @returns {Promise<Object>} Rank prediction with `profile`, `ranks` and `admission` sections
+ */
+async function predictRankForProfile(req, submission, history) {
+  const profile = resolveStudentProfile(req);
+  const predictor = new RankPredictor(history, {
+    ...await resolveRankTables(req),
+    ...resolveBootstrapOptions(req),
+    syllabus: await loadSyllabus(req.app.locals.syllabusFile)
+  });
+  const prediction = predictor.predictRank(submission);
+  const converter = new RankConverter(await loadRankDistributions(req.app.locals.rankDistributionsFile));
+  const admission = new AdmissionPredictor(await loadColleges(req.app.locals.collegesFile));
+
+  return {
+    ...prediction,
+    profile,
+    ranks: converter.convert(prediction, profile),
+    admission: admission.predict(prediction, profile)
+  };
+}
+
+/**
+ * Builds the report of the user addressed by the request, with the rank
+ * prediction for the request's year, bootstrap and profile options
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} Result of ReportBuilder.build with validation warnings
+ */
+async function buildReport(req) {
+  const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+  const builder = new ReportBuilder(currentQuiz, submission, history, await loadSyllabus(req.app.locals.syllabusFile));
+  const rankPrediction = await predictRankForProfile(req, submission, history);
+  return withWarnings(builder.build({ userId: resolveUserId(req), rankPrediction }), warnings);
+}
+
+/**
+ * Sends one export of the report, as a download named after the user
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {string} name Key of REPORT_EXPORTS, also the file name's ending
+ * @returns {Promise<void>}
+ */
+function sendReport(req, res, name) {
+  const extension = name.includes('.') ? `report-${name}` : `report.${name}`;
+  return sendCached(req, res, 'report', () => buildReport(req), {
+    query: RANK_QUERY,
+    format: { name, ...REPORT_EXPORTS[name], filename: `${resolveUserId(req)}-${extension}` }
+  });
+}
+
+/**
+ * Creates the quiz router. It is mounted both at /quiz (default user) and at
+ * /users/:userId/quiz, hence mergeParams.
+ * @returns {Object} Express router
+ */
+export function createQuizRouter() {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /quiz/analysis[?subject=Physics|Chemistry|Botany|Zoology]
+  // Includes the student's benchmark against everyone who attempted the quiz,
+  // so it is also invalidated whenever anyone submits.
+  router.get('/analysis', async (req, res) => {
+    try {
+      await sendCached(req, res, 'analysis', async () => {
+        const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+        const analyzer = new QuizAnalyzer(currentQuiz, submission, history,
+          await loadSyllabus(req.app.locals.syllabusFile));
+        const { members, excluded } = await loadCohort(req, currentQuiz);
+        const cohort = new CohortAnalyzer(currentQuiz, members);
+
+        return withWarnings({
+          ...analyzer.generateAnalysis({ subject: req.query.subject }),
+          cohort: { ...cohort.benchmark(resolveUserId(req)), excluded }
+        }, warnings);
+      }, { query: ['subject'], tags: ['cohort'] });
+    } catch (error) {
+      sendError(res, error, 'Analysis Generation Failed');
+    }
+  });
+
+  // GET /quiz/rank-prediction[?year=2023&seed=1&iterations=2000&category=OBC&pwd=false&state=Delhi&course=MBBS]
+  router.get('/rank-prediction', async (req, res) => {
+    try {
+      await sendCached(req, res, 'rank-prediction', async () => {
+        const { submission, history, warnings } = await loadQuizData(req);
+        return withWarnings(await predictRankForProfile(req, submission, history), warnings);
+      }, { query: RANK_QUERY });
+    } catch (error) {
+      sendError(res, error, 'Rank Prediction Failed');
+    }
+  });
+
+  // GET /quiz/insights
+  router.get('/insights', async (req, res) => {
+    try {
+      const options = resolveStudyPlanOptions(req);
+      await sendCached(req, res, 'insights', async () => {
+        const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+        const analyzer = new QuizAnalyzer(currentQuiz, submission, history,
+          await loadSyllabus(req.app.locals.syllabusFile));
+        const insights = analyzer.generateInsights();
+        const plan = new StudyPlanner(currentQuiz, submission, history).generatePlan(options);
+
+        return withWarnings({
+          ...insights,
+          recommendations: {
+            ...insights.recommendations,
+            nextSteps: plan.days.slice(0, NEXT_STEP_DAYS).map(day => `${day.date}: ${day.sessions
+              .map(session => `${session.type === 'study' ? 'study' : 'review'} ${session.topic} (${session.minutes} min)`)
+              .join(', ')}`)
+          },
+          rankPrediction: await predictRankForProfile(req, submission, history)
+        }, warnings);
+      }, { query: [...STUDY_PLAN_QUERY, ...RANK_QUERY], resolved: { start: options.startDate } });
+    } catch (error) {
+      sendError(res, error, 'Insights Generation Failed');
+    }
+  });
+
+  // GET /quiz/admission[?category=OBC&state=Maharashtra&course=MBBS&year=2024]
+  router.get('/admission', async (req, res) => {
+    try {
+      await sendCached(req, res, 'admission', async () => {
+        const { submission, history, warnings } = await loadQuizData(req);
+        const { admission } = await predictRankForProfile(req, submission, history);
+        return withWarnings(admission, warnings);
+      }, { query: RANK_QUERY });
+    } catch (error) {
+      sendError(res, error, 'Admission Prediction Failed');
+    }
+  });
+
+  // GET /quiz/study-plan[?start=2025-01-29&examDate=2025-05-04&hoursPerDay=4]
+  router.get('/study-plan', async (req, res) => {
+    try {
+      const options = resolveStudyPlanOptions(req);
+      await sendCached(req, res, 'study-plan', async () => {
+        const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+        const planner = new StudyPlanner(currentQuiz, submission, history);
+        return withWarnings(planner.generatePlan(options), warnings);
+      }, { query: STUDY_PLAN_QUERY, resolved: { start: options.startDate } });
+    } catch (error) {
+      sendError(res, error, 'Study Plan Generation Failed');
+    }
+  });
+
+  // GET /quiz/study-plan.ics[?dayStart=17:00 plus the /study-plan parameters]
+  router.get('/study-plan.ics', async (req, res) => {
+    try {
+      const match = String(req.query.dayStart || '17:00').match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new HttpError(400, 'dayStart must be a time in HH:MM format');
+      }
+      const dayStart = Number(match[1]) * 60 + Number(match[2]);
+      const options = resolveStudyPlanOptions(req);
+      if (dayStart + options.hoursPerDay * 60 > 24 * 60) {
+        throw new HttpError(400, 'dayStart plus hoursPerDay must end by midnight');
+      }
+
+      await sendCached(req, res, 'study-plan.ics', async () => {
+        const { currentQuiz, submission, history } = await loadQuizData(req);
+        const planner = new StudyPlanner(currentQuiz, submission, history);
+        const plan = planner.generatePlan(options);
+        return {
+          events: planner.toCalendarEvents(plan, dayStart),
+          stamp: plan.basedOn.submittedAt,
+          examDate: plan.examDate
+        };
+      }, {
+        query: ['dayStart', ...STUDY_PLAN_QUERY],
+        resolved: { start: options.startDate },
+        format: {
+          name: 'ics',
+          contentType: 'text/calendar; charset=utf-8',
+          serialize: ({ events, stamp, examDate }) => buildCalendar(events, {
+            name: `NEET study plan (exam ${examDate})`,
+            stamp: stamp ? new Date(stamp) : new Date(0)
+          })
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Study Plan Export Failed');
+    }
+  });
+
+  // GET /quiz/trends[?forecastDate=2025-03-01]
+  router.get('/trends', async (req, res) => {
+    try {
+      const forecastDate = resolveForecastDate(req);
+
+      await sendCached(req, res, 'trends', async () => {
+        const { submission, history, warnings } = await loadQuizData(req);
+        const analyzer = new TrendAnalyzer(submission, history);
+        return withWarnings(analyzer.analyze({ forecastDate }), warnings);
+      }, { query: ['forecastDate'] });
+    } catch (error) {
+      sendError(res, error, 'Trend Analysis Failed');
+    }
+  });
+
+  // GET /quiz/speed-accuracy
+  router.get('/speed-accuracy', async (req, res) => {
+    try {
+      await sendCached(req, res, 'speed-accuracy', async () => {
+        const { submission, history, warnings } = await loadQuizData(req);
+        return withWarnings(new SpeedAccuracyAnalyzer(submission, history).analyze(), warnings);
+      });
+    } catch (error) {
+      sendError(res, error, 'Speed/Accuracy Analysis Failed');
+    }
+  });
+
+  // GET /quiz/report[?year=2023&category=OBC&... as /rank-prediction]
+  // Printable PDF of the summary, topic breakdown, trend charts, rank prediction
+  // and recommendations.
+  router.get('/report', async (req, res) => {
+    try {
+      await sendReport(req, res, 'pdf');
+    } catch (error) {
+      sendError(res, error, 'Report Generation Failed');
+    }
+  });
+
+  // GET /quiz/report.xlsx, /quiz/report/topics.csv, /quiz/report/attempts.csv
+  // Topic stats and attempt history of the same report, as spreadsheets.
+  router.get('/report.xlsx', async (req, res) => {
+    try {
+      await sendReport(req, res, 'xlsx');
+    } catch (error) {
+      sendError(res, error, 'Report Export Failed');
+    }
+  });
+
+  router.get('/report/:table(topics|attempts).csv', async (req, res) => {
+    try {
+      await sendReport(req, res, `${req.params.table}.csv`);
+    } catch (error) {
+      sendError(res, error, 'Report Export Failed');
+    }
+  });
+
+  // GET /quiz/mistakes[?status=unresolved|resolved|all&category=careless|conceptual|time-pressure&topic=...]
+  // Mistakes are recorded when attempts are submitted, and those of upstream
+  // attempts (or of submissions whose recording failed) when the notebook is read.
+  router.get('/mistakes', async (req, res) => {
+    try {
+      const filters = resolveMistakeFilters(req);
+      const notebook = await openSyncedNotebook(req);
+      res.json(await notebook.list(filters));
+    } catch (error) {
+      sendError(res, error, 'Mistake Notebook Failed');
+    }
+  });
+
+  // GET /quiz/mistakes/re-quiz[?limit=10&topic=...]
+  router.get('/mistakes/re-quiz', async (req, res) => {
+    try {
+      const options = resolveReQuizOptions(req);
+      const notebook = await openSyncedNotebook(req);
+      res.json(await notebook.buildReQuiz(options));
+    } catch (error) {
+      sendError(res, error, 'Re-quiz Generation Failed');
+    }
+  });
+
+  // PATCH /quiz/mistakes/:mistakeId  { "resolved": true }
+  router.patch('/mistakes/:mistakeId', async (req, res) => {
+    try {
+      const { resolved } = req.body || {};
+      if (typeof resolved !== 'boolean') {
+        throw new HttpError(400, 'resolved must be true or false');
+      }
+      const notebook = await openNotebook(req);
+      res.json(await notebook.setResolved(req.params.mistakeId, resolved));
+    } catch (error) {
+      sendError(res, error, 'Mistake Update Failed');
+    }
+  });
+
+  // GET /quiz/questions[?topic=...&status=correct,incorrect,skipped]
+  router.get('/questions', async (req, res) => {
+    try {
+      const topic = req.query.topic ? String(req.query.topic).toLowerCase() : null;
+      const statuses = req.query.status ? String(req.query.status).split(',') : null;
+      const invalid = (statuses || []).filter(status => !QUESTION_STATUSES.includes(status));
+      if (invalid.length > 0) {
+        throw new HttpError(400, `status must be one of: ${QUESTION_STATUSES.join(', ')}`);
+      }
+
+      await sendCached(req, res, 'questions', async () => {
+        const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+        const analyzer = new QuizAnalyzer(currentQuiz, submission, history);
+        const results = analyzer.getQuestionResults();
+
+        const questions = results.filter(question =>
+          (!topic || String(question.topic).toLowerCase() === topic) &&
+          (!statuses || statuses.includes(question.status)));
+
+        return withWarnings({
+          total: results.length,
+          summary: Object.fromEntries(QUESTION_STATUSES.map(status =>
+            [status, results.filter(question => question.status === status).length])),
+          filters: { topic: req.query.topic || null, status: statuses },
+          questions
+        }, warnings);
+      }, { query: ['topic', 'status'] });
+    } catch (error) {
+      sendError(res, error, 'Question Review Failed');
+    }
+  });
+
+  // GET /quiz/score[?scheme=NEET|NO_NEGATIVE|QUIZ&correct=4&incorrect=-1&unattempted=0]
+  router.get('/score', async (req, res) => {
+    try {
+      await sendCached(req, res, 'score', async () => {
+        const { currentQuiz, submission, history, warnings } = await loadQuizData(req);
+        const scheme = resolveMarkingScheme(req.query, currentQuiz);
+        const engine = new ScoringEngine(currentQuiz, submission, history, scheme);
+
+        return withWarnings({
+          ...engine.calculateScore(),
+          attemptStrategy: engine.analyzeAttemptStrategy()
+        }, warnings);
+      }, { query: ['scheme', 'correct', 'incorrect', 'unattempted'] });
+    } catch (error) {
+      sendError(res, error, 'Score Computation Failed');
+    }
+  });
+
+  // POST /quiz/:quizId/submissions  { "answers": { "<questionId>": <optionId> }, "timings": { "<questionId>": 42 } }
+  // Scores the attempt against the current quiz and stores it; it joins the
+  // history (and becomes the current submission) on every later request. Its
+  // incorrect answers go into the mistake notebook; if that fails, the response
+  // still answers 201 with mistakesError.
+  router.post('/:quizId/submissions', async (req, res) => {
+    try {
+      const attempt = resolveAttempt(req);
+      const userId = resolveUserId(req);
+      assertUserId(userId);
+      const { currentQuiz } = await loadQuizData(req);
+      const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz;
+      if (String(quiz.id) !== req.params.quizId) {
+        throw new NotFoundError(`No quiz "${req.params.quizId}"; submissions are accepted for the current quiz (${quiz.id})`);
+      }
+
+      const submission = await new AttemptStore(req.app.locals.store, userId).add(count =>
+        createSubmission(currentQuiz, attempt, { id: `attempt-${count + 1}`, userId }));
+      req.app.locals.cache.invalidateTag(`user:${userId}`);
+      req.app.locals.cache.invalidateTag('cohort');
+
+      const { history, warnings } = await loadQuizData(req);
+      const notebook = await openNotebook(req);
+      const mistakes = await recordMistakes(notebook, currentQuiz, submission, history);
+      const analyzer = new QuizAnalyzer(currentQuiz, submission, history, notebook.syllabus);
+      const engine = new ScoringEngine(currentQuiz, submission, history, resolveQuizMarkingScheme(currentQuiz));
+
+      res.status(201).json(withWarnings({
+        submission,
+        score: engine.calculateScore(),
+        analysis: analyzer.generateAnalysis(),
+        ...mistakes
+      }, warnings));
+    } catch (error) {
+      sendError(res, error, 'Submission Failed');
+    }
+  });
 
+  return router;
+}
@@ -0,0 +1,119 @@
+import express from 'express'
+import { ItemAnalyzer } from '../services/ItemAnalyzer.js';
+import { buildCsv } from '../utils/csv.js';
+import { NotFoundError } from '../utils/errors.js';
+import { canAccessUser } from './auth.js';
+import { loadCohort, loadQuiz, sendCached, sendError, viewerResult } from './helpers.js';
+
+// Columns of the item-analysis CSV export, one row per answer option
+const ITEM_ANALYSIS_COLUMNS = [
+  { key: 'questionId', header: 'question_id' },
+  { key: 'topic', header: 'topic' },
+  { key: 'labelledDifficulty', header: 'labelled_difficulty' },
+  { key: 'students', header: 'students' },
+  { key: 'pValue', header: 'p_value' },
+  { key: 'pointBiserial', header: 'point_biserial' },
+  { key: 'discriminationIndex', header: 'discrimination_index' },
+  { key: 'flags', header: 'flags' },
+  { key: 'optionId', header: 'option_id' },
+  { key: 'isKey', header: 'is_key' },
+  { key: 'chosen', header: 'chosen' },
+  { key: 'share', header: 'share' },
+  { key: 'upperShare', header: 'upper_share' },
+  { key: 'lowerShare', header: 'lower_share' },
+  { key: 'optionPointBiserial', header: 'option_point_biserial' }
+];
+
+/**
+ * Rounds a statistic for the CSV export
+ * @param {number|null} value Statistic
+ * @returns {number|null} Value to 3 decimals
+ */
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Flattens an item analysis into CSV rows, one per answer option
+ * @param {Object} report Result of ItemAnalyzer.analyze
+ * @returns {Array} Rows keyed by ITEM_ANALYSIS_COLUMNS
+ */
+function toItemAnalysisRows({ items }) {
+  return items.flatMap(item => item.options.map(option => ({
+    questionId: item.id,
+    topic: item.topic,
+    labelledDifficulty: item.labelledDifficulty,
+    students: item.students,
+    pValue: round(item.pValue),
+    pointBiserial: round(item.pointBiserial),
+    discriminationIndex: round(item.discriminationIndex),
+    flags: item.flags.join(';'),
+    optionId: option.id,
+    isKey: option.isKey,
+    chosen: option.chosen,
+    share: round(option.share),
+    upperShare: round(option.upperShare),
+    lowerShare: round(option.lowerShare),
+    optionPointBiserial: round(option.pointBiserial)
+  })));
+}
+
+/**
+ * Runs the item analysis of the quiz addressed by the request over the part of
+ * its cohort the signed-in account may see (a coach's batch, or everyone for
+ * admins)
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} Item analysis with `quiz`
+ */
+async function analyzeItems(req) {
+  const currentQuiz = await loadQuiz(req);
+  const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz;
+  if (String(quiz.id) !== req.params.quizId) {
+    throw new NotFoundError(`No quiz "${req.params.quizId}"; item analysis covers the current quiz (${quiz.id})`);
+  }
+
+  const { members, excluded } = await loadCohort(req, currentQuiz, userId => canAccessUser(req.account, userId));
+  const report = new ItemAnalyzer(currentQuiz, members).analyze();
+  return {
+    quiz: { id: quiz.id, title: quiz.title, topic: quiz.topic },
+    ...report,
+    summary: { ...report.summary, excluded }
+  };
+}
+
+/**
+ * Creates the quizzes router, mounted at /quizzes. Its reports cover every
+ * student who attempted a quiz rather than one user, limited to a coach's batch.
+ * @returns {Object} Express router
+ */
+export function createQuizzesRouter() {
+  const router = express.Router();
+
+  // GET /quizzes/:quizId/item-analysis
+  router.get('/:quizId/item-analysis', async (req, res) => {
+    try {
+      await sendCached(req, res, viewerResult(req, `item-analysis:${req.params.quizId}`), () => analyzeItems(req), {
+        tags: ['cohort']
+      });
+    } catch (error) {
+      sendError(res, error, 'Item Analysis Failed');
+    }
+  });
+
+  // GET /quizzes/:quizId/item-analysis.csv
+  router.get('/:quizId/item-analysis.csv', async (req, res) => {
+    try {
+      await sendCached(req, res, viewerResult(req, `item-analysis:${req.params.quizId}`), () => analyzeItems(req), {
+        tags: ['cohort'],
+        format: {
+          name: 'csv',
+          contentType: 'text/csv; charset=utf-8',
+          serialize: report => buildCsv(ITEM_ANALYSIS_COLUMNS, toItemAnalysisRows(report)),
+          filename: `quiz-${req.params.quizId}-item-analysis.csv`
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Item Analysis Export Failed');
+    }
+  });
+
+  return router;
+}
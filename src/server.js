@@ -1,201 +1,144 @@
+import 'dotenv/config'
 import express from 'express'
 import cors from 'cors'
+import crypto from 'crypto'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import {loadData} from './utils/dataLoader.js'
+import { API_VERSION, createApiRouter } from './routes/api.js'
+import { createCache } from './utils/cache.js'
+import { createStore } from './utils/store.js'
+import { AccountStore } from './services/AccountStore.js'
+import { VALIDATION_MODES } from './utils/dataLoader.js'
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const app = express();
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '../public')));
 
-// Performance Analysis
-function analyzePerformance(submission, history) {
-    const topicPerformance = {};
-    const accuracyTrend = [];
-    const speedTrend = [];
-    
-    // Analyze current submission
-    const currentAccuracy = parseFloat(submission.accuracy);
-    const currentSpeed = parseFloat(submission.speed);
-    const mistakesImprovement = submission.mistakes_corrected / submission.initial_mistake_count;
+// Signed tokens last 8 hours unless AUTH_TOKEN_TTL (seconds) says otherwise
+const DEFAULT_TOKEN_TTL = 8 * 60 * 60;
 
-    // Analyze historical data
-    history.forEach(attempt => {
-        const topic = attempt.quiz.topic;
-        if (!topicPerformance[topic]) {
-            topicPerformance[topic] = {
-                attempts: 0,
-                totalAccuracy: 0,
-                averageSpeed: 0,
-                mistakeRate: 0
-            };
-        }
-
-        topicPerformance[topic].attempts++;
-        topicPerformance[topic].totalAccuracy += parseFloat(attempt.accuracy);
-        topicPerformance[topic].averageSpeed += parseFloat(attempt.speed);
-        topicPerformance[topic].mistakeRate += attempt.incorrect_answers / attempt.total_questions;
-
-        accuracyTrend.push({
-            date: attempt.submitted_at,
-            accuracy: parseFloat(attempt.accuracy),
-            topic: topic
-        });
-
-        speedTrend.push({
-            date: attempt.submitted_at,
-            speed: parseFloat(attempt.speed),
-            topic: topic
-        });
-    });
-
-    // Calculate averages and identify weak areas
-    const weakAreas = [];
-    Object.entries(topicPerformance).forEach(([topic, stats]) => {
-        stats.averageAccuracy = stats.totalAccuracy / stats.attempts;
-        stats.averageSpeed = stats.averageSpeed / stats.attempts;
-        stats.averageMistakeRate = stats.mistakeRate / stats.attempts;
-
-        if (stats.averageAccuracy < 70 || stats.averageMistakeRate > 0.3) {
-            weakAreas.push({
-                topic,
-                averageAccuracy: stats.averageAccuracy,
-                mistakeRate: stats.averageMistakeRate
-            });
-        }
-    });
-
-    return {
-        currentPerformance: {
-            accuracy: currentAccuracy,
-            speed: currentSpeed,
-            mistakesImprovement
-        },
-        topicPerformance,
-        weakAreas,
-        trends: {
-            accuracy: accuracyTrend,
-            speed: speedTrend
-        }
-    };
+/**
+ * Parses a comma-separated origin allow-list, as in CORS_ORIGINS.
+ * @param {string} [value] Origins, or '*' for any
+ * @returns {Array} Origins
+ */
+export function parseOrigins(value = '') {
+    return value.split(',').map(origin => origin.trim()).filter(Boolean);
 }
 
-// Utility function to calculate standard deviation
-function calculateStandardDeviation(values) {
-    const n = values.length;
-    if (n < 2) return 0;
-    
-    const mean = values.reduce((a, b) => a + b, 0) / n;
-    const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1);
-    return Math.sqrt(variance);
+/**
+ * Builds the CORS options for an origin allow-list: '*' allows any origin, an
+ * empty list none (same-origin requests, such as the bundled dashboard, need
+ * no CORS).
+ * @param {Array} origins Allowed origins
+ * @returns {Object} cors options
+ */
+function corsOptions(origins) {
+    if (origins.includes('*')) return { origin: '*' };
+    return { origin: origins.length > 0 ? origins : false };
 }
 
-// Rank Prediction
-function predictRank(submission, history) {
-    // Calculate performance metrics
-    const currentScore = parseFloat(submission.final_score);
-    const accuracyWeight = 0.4;
-    const speedWeight = 0.3;
-    const consistencyWeight = 0.3;
-
-    // Analyze historical performance
-    const historicalScores = history.map(attempt => parseFloat(attempt.final_score));
-    const averageScore = historicalScores.reduce((a, b) => a + b, 0) / historicalScores.length;
-    const standardDeviation = calculateStandardDeviation(historicalScores);
-    const consistency = 1 - (standardDeviation / (averageScore || 1)); // Prevent division by zero
-
-    // Calculate weighted score
-    const weightedScore = (
-        currentScore * accuracyWeight +
-        parseFloat(submission.speed) * speedWeight +
-        consistency * consistencyWeight
-    );
-
-    // Predict rank range
-    const predictedRank = Math.round(2000 * (1 - weightedScore / 100));
-    const confidenceInterval = {
-        lower: Math.max(1, predictedRank - 200),
-        upper: predictedRank + 200
-    };
-
-    // Map to college admission possibilities
-    const collegePossibilities = [];
-    if (predictedRank <= 1000) {
-        collegePossibilities.push('Top Medical Colleges - High Chance');
-    } else if (predictedRank <= 2000) {
-        collegePossibilities.push('Top Medical Colleges - Moderate Chance');
-    } else if (predictedRank <= 5000) {
-        collegePossibilities.push('Good Medical Colleges - High Chance');
-    } else {
-        collegePossibilities.push('Moderate Medical Colleges - Moderate Chance');
+/**
+ * Resolves the token settings, generating a per-process secret when none is
+ * configured (tokens then stop working on restart).
+ * @param {Object} auth Auth options
+ * @returns {Object} { secret, tokenTtl }
+ */
+function resolveAuth({
+    secret = process.env.AUTH_SECRET,
+    tokenTtl = Number(process.env.AUTH_TOKEN_TTL) || DEFAULT_TOKEN_TTL
+}) {
+    if (!secret) {
+        console.warn('AUTH_SECRET is not set; using a random secret, so tokens will not survive a restart');
+        return { secret: crypto.randomBytes(32).toString('hex'), tokenTtl };
     }
-
-    return {
-        predictedRank,
-        confidenceInterval,
-        collegePossibilities,
-        metrics: {
-            weightedScore,
-            consistency,
-            averageScore
-        }
-    };
+    return { secret, tokenTtl };
 }
 
-// API Routes
-app.get('/api/quiz/analysis', async (req, res) => {
-    try {
-        const { submission, history } = await loadData();
-        const analysis = analyzePerformance(submission, history);
-        res.json(analysis);
-    } catch (error) {
-        res.status(500).json({ error: 'Analysis Failed', message: error.message });
-    }
-});
-
-app.get('/api/quiz/rank-prediction', async (req, res) => {
-    try {
-        const { submission, history } = await loadData();
-        const prediction = predictRank(submission, history);
-        res.json(prediction);
-    } catch (error) {
-        res.status(500).json({ error: 'Rank Prediction Failed', message: error.message });
+/**
+ * Creates the Express application.
+ * @param {Object} options App options
+ * @param {Object} [options.dataSource] Data source used by loadData (defaults to the configured one)
+ * @param {TtlCache} [options.cache] Cache for datasets and computed results (defaults to one configured by CACHE_TTL)
+ * @param {string} [options.validation] Payload validation mode, 'strict' or 'lenient' (defaults to VALIDATION_MODE or 'strict')
+ * @param {string} [options.rankTablesDir] Directory of marks → rank tables (defaults to RANK_TABLES_DIR or the bundled tables)
+ * @param {string} [options.collegesFile] College cutoff dataset (defaults to COLLEGES_FILE or the bundled dataset)
+ * @param {string} [options.rankDistributionsFile] Category/PwD/state distribution tables (defaults to RANK_DISTRIBUTIONS_FILE or the bundled tables)
+ * @param {string} [options.syllabusFile] Syllabus graph (defaults to SYLLABUS_FILE or the bundled syllabus)
+ * @param {string} [options.questionBankFile] Practice question bank (defaults to QUESTION_BANK_FILE or the bundled bank)
+ * @param {JsonFileStore} [options.store] Store for data the app writes, such as mistake notebooks (defaults to one in STORE_DIR)
+ * @param {Object} [options.auth] Token settings: { secret, tokenTtl } (defaults to AUTH_SECRET and AUTH_TOKEN_TTL)
+ * @param {Array} [options.corsOrigins] Origins allowed to call the API cross-origin, or ['*'] (defaults to CORS_ORIGINS)
+ * @returns {Object} Express app
+ */
+export function createApp({
+    dataSource,
+    cache,
+    validation = process.env.VALIDATION_MODE || 'strict',
+    rankTablesDir,
+    collegesFile,
+    rankDistributionsFile,
+    syllabusFile,
+    questionBankFile,
+    store,
+    auth = {},
+    corsOrigins = parseOrigins(process.env.CORS_ORIGINS)
+} = {}) {
+    if (!VALIDATION_MODES.includes(validation)) {
+        throw new Error(`Unsupported validation mode "${validation}"`);
     }
-});
 
-app.get('/api/quiz/insights', async (req, res) => {
-    try {
-        const { currentQuiz, submission, history } = await loadData();
-        const analysis = analyzePerformance(submission, history);
-        const prediction = predictRank(submission, history);
+    const app = express();
+    app.locals.dataSource = dataSource;
+    app.locals.cache = cache || createCache();
+    app.locals.validation = validation;
+    app.locals.rankTablesDir = rankTablesDir;
+    app.locals.collegesFile = collegesFile;
+    app.locals.rankDistributionsFile = rankDistributionsFile;
+    app.locals.syllabusFile = syllabusFile;
+    app.locals.questionBankFile = questionBankFile;
+    app.locals.store = store || createStore();
+    app.locals.auth = resolveAuth(auth);
+    app.use(cors(corsOptions(corsOrigins)));
+    app.use(express.json());
+    app.use(express.static(path.join(__dirname, '../public')));
+
+    // API Routes
+    const apiRouter = createApiRouter();
+    app.use(`/api/${API_VERSION}`, apiRouter);
+    // Unversioned alias kept for existing clients
+    app.use('/api', apiRouter);
+
+    return app;
+}
 
-        res.json({
-            performance: analysis,
-            rankPrediction: prediction,
-            recommendations: {
-                weakAreas: analysis.weakAreas,
-                improvementAreas: analysis.weakAreas.map(area => ({
-                    topic: area.topic,
-                    recommendation: `Focus on improving ${area.topic} with current accuracy of ${area.averageAccuracy.toFixed(1)}%`
-                })),
-                nextSteps: [
-                    'Practice weak topics more frequently',
-                    'Focus on accuracy over speed initially',
-                    'Review mistakes after each quiz attempt'
-                ]
-            }
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Insights Generation Failed', message: error.message });
+/**
+ * Creates the first admin account from ADMIN_USERNAME and ADMIN_PASSWORD,
+ * unless an admin already exists.
+ * @param {JsonFileStore} store App store
+ * @param {Object} config Configuration values
+ * @returns {Promise<Object|null>} Created account, or null
+ */
+export async function bootstrapAdmin(store, config = process.env) {
+    const accounts = new AccountStore(store);
+    if (await accounts.hasAdmin()) return null;
+    if (!config.ADMIN_USERNAME || !config.ADMIN_PASSWORD) {
+        console.warn('No admin account exists; set ADMIN_USERNAME and ADMIN_PASSWORD to create one');
+        return null;
     }
-});
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+    return accounts.create({ username: config.ADMIN_USERNAME, password: config.ADMIN_PASSWORD, role: 'admin' });
+}
 
-// module.exports = app;
\ No newline at end of file
+if (process.argv[1] === __filename) {
+    const PORT = process.env.PORT || 3000;
+    const app = createApp();
+    bootstrapAdmin(app.locals.store)
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`Server running on port ${PORT}`);
+            });
+        })
+        .catch(error => {
+            console.error(`Failed to create the admin account: ${error.message}`);
+            process.exit(1);
+        });
+}
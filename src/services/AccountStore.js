@@ -0,0 +1,189 @@
+import { hashPassword, verifyPassword } from '../utils/auth.js';
+import { HttpError, NotFoundError } from '../utils/errors.js';
+
+export const ROLES = ['student', 'coach', 'admin'];
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const STORE_COLLECTION = 'accounts';
+
+// Usernames double as store document ids
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Checked against unknown usernames so a failed login takes as long either way
+let dummyHash = null;
+
+function assertUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new NotFoundError(`Unknown account "${username}"`);
+  }
+}
+
+/**
+ * Strips the password hash from an account
+ * @param {Object} account Stored account
+ * @returns {Object} { username, role, userId?, batch?, createdAt, updatedAt }
+ */
+function toPublic(account) {
+  const { passwordHash, ...rest } = account;
+  return rest;
+}
+
+/**
+ * Keeps login accounts in the store, one document per username. A student
+ * account is linked to the user id of its quiz data, a coach account to the
+ * user ids of its batch; admins see everything.
+ */
+export class AccountStore {
+  /**
+   * @param {JsonFileStore} store Store the accounts are kept in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Reads an account, password hash included
+   * @param {string} username Username
+   * @returns {Promise<Object|undefined>} Stored account
+   */
+  read(username) {
+    assertUsername(username);
+    return this.store.read(STORE_COLLECTION, username);
+  }
+
+  /**
+   * Reads an account without its password hash
+   * @param {string} username Username
+   * @returns {Promise<Object|null>} Account, or null when there is no such account
+   */
+  async find(username) {
+    const account = await this.read(username);
+    return account ? toPublic(account) : null;
+  }
+
+  /**
+   * Reads an account without its password hash
+   * @param {string} username Username
+   * @returns {Promise<Object>} Account
+   * @throws {NotFoundError} When there is no such account
+   */
+  async get(username) {
+    const account = await this.find(username);
+    if (!account) throw new NotFoundError(`Unknown account "${username}"`);
+    return account;
+  }
+
+  /**
+   * Lists every account without password hashes
+   * @returns {Promise<Array>} Accounts, by username
+   */
+  async list() {
+    const usernames = (await this.store.list(STORE_COLLECTION)).sort();
+    const accounts = await Promise.all(usernames.map(username => this.read(username)));
+    return accounts.filter(Boolean).map(toPublic);
+  }
+
+  /**
+   * Checks that an account's role and links fit together: students need the
+   * user id of their data, coaches the user ids of their batch
+   * @param {Object} account Account fields
+   * @returns {Object} The account with links the role doesn't use removed
+   */
+  normalize({ role, userId, batch, ...rest }) {
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (role === 'student') {
+      if (!userId) throw new HttpError(400, 'A student account needs the userId of its quiz data');
+      return { ...rest, role, userId };
+    }
+    if (role === 'coach') {
+      if (!batch) throw new HttpError(400, 'A coach account needs a batch of user ids');
+      return { ...rest, role, batch: [...new Set(batch)] };
+    }
+    return { ...rest, role };
+  }
+
+  /**
+   * Creates an account
+   * @param {Object} input { username, password, role, userId?, batch? }
+   * @returns {Promise<Object>} Account without its password hash
+   * @throws {HttpError} 409 when the username is taken
+   */
+  async create({ username, password, ...fields }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new HttpError(400, 'username must contain only letters, digits, "_" and "-"');
+    }
+    if (!password) throw new HttpError(400, 'password is required');
+    const account = this.normalize(fields);
+    const passwordHash = await hashPassword(password);
+    const now = new Date().toISOString();
+
+    const stored = await this.store.update(STORE_COLLECTION, username, current => {
+      if (current) throw new HttpError(409, `Account "${username}" already exists`);
+      return { username, ...account, passwordHash, createdAt: now, updatedAt: now };
+    });
+    return toPublic(stored);
+  }
+
+  /**
+   * Changes an account's password, role or links
+   * @param {string} username Username
+   * @param {Object} changes { password?, role?, userId?, batch? }
+   * @returns {Promise<Object>} Account without its password hash
+   * @throws {NotFoundError} When there is no such account
+   */
+  async update(username, { password, ...changes }) {
+    assertUsername(username);
+    const passwordHash = password ? await hashPassword(password) : undefined;
+
+    const stored = await this.store.update(STORE_COLLECTION, username, current => {
+      if (!current) throw new NotFoundError(`Unknown account "${username}"`);
+      const { passwordHash: currentHash, ...fields } = current;
+      return {
+        ...this.normalize({ ...fields, ...changes }),
+        passwordHash: passwordHash || currentHash,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    return toPublic(stored);
+  }
+
+  /**
+   * Deletes an account
+   * @param {string} username Username
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} When there is no such account
+   */
+  async remove(username) {
+    assertUsername(username);
+    if (!await this.store.remove(STORE_COLLECTION, username)) {
+      throw new NotFoundError(`Unknown account "${username}"`);
+    }
+  }
+
+  /**
+   * Checks a username and password
+   * @param {string} username Username
+   * @param {string} password Password
+   * @returns {Promise<Object|null>} Account without its password hash, or null when either is wrong
+   */
+  async authenticate(username, password) {
+    const account = await this.read(username);
+    if (!account) {
+      dummyHash = dummyHash || hashPassword('');
+      await verifyPassword(password, await dummyHash);
+      return null;
+    }
+    return await verifyPassword(password, account.passwordHash) ? toPublic(account) : null;
+  }
+
+  /**
+   * Checks whether any admin account exists
+   * @returns {Promise<boolean>} Whether an admin exists
+   */
+  async hasAdmin() {
+    return (await this.list()).some(account => account.role === 'admin');
+  }
+}
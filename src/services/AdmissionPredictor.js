@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_COLLEGES_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), '../reference/colleges.json');
+
+export const CATEGORIES = ['GEN', 'OBC', 'SC', 'ST', 'EWS'];
+export const COURSES = ['MBBS', 'BDS'];
+export const QUOTAS = ['AIQ', 'STATE'];
+
+export const ADMISSION_LABELS = ['safe', 'target', 'reach'];
+
+/**
+ * Labels a cutoff against a rank interval (lower is the best rank):
+ * safe if even the worst rank closes inside it, target if the predicted rank
+ * does, reach if only the best rank does
+ * @param {number} closingRank Closing rank of the seat
+ * @param {Object} prediction { predictedRank, confidenceInterval: { lower, upper } }
+ * @returns {string|null} Label, or null when the seat is out of reach
+ */
+export function labelCutoff(closingRank, { predictedRank, confidenceInterval }) {
+  if (confidenceInterval.upper <= closingRank) return 'safe';
+  if (predictedRank <= closingRank) return 'target';
+  if (confidenceInterval.lower <= closingRank) return 'reach';
+  return null;
+}
+
+export class AdmissionPredictor {
+  /**
+   * @param {Object} dataset College cutoff dataset (see src/reference/colleges.json)
+   */
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.colleges = dataset.colleges;
+  }
+
+  /**
+   * Seat categories a student can compete in: their own category plus open (GEN) seats
+   * @param {string} category Student category
+   * @returns {Array} Seat categories
+   */
+  getSeatCategories(category) {
+    return category === 'GEN' ? ['GEN'] : [category, 'GEN'];
+  }
+
+  /**
+   * Finds the most accessible seat a student is eligible for at a college: AIQ
+   * everywhere, state quota only in the home state. Cutoffs for `year` are used
+   * when the dataset has them, else each quota's latest year.
+   * @param {Object} college College record
+   * @param {Object} profile { category, state, course }
+   * @param {number} [year] Preferred cutoff year
+   * @returns {Object|null} Best option with its closing rank history, or null
+   */
+  findBestOption(college, { category, state, course }, year) {
+    const homeState = state && college.state.toLowerCase() === state.toLowerCase();
+    const quotas = QUOTAS.filter(quota => quota === 'AIQ' || homeState);
+
+    const options = quotas.flatMap(quota => {
+      const cutoffs = college.cutoffs
+        .filter(cutoff => cutoff.course === course && cutoff.quota === quota)
+        .sort((a, b) => b.year - a.year);
+      if (cutoffs.length === 0) return [];
+      const selected = cutoffs.find(cutoff => cutoff.year === year) || cutoffs[0];
+
+      return this.getSeatCategories(category)
+        .filter(seatCategory => selected.closingRanks[seatCategory] !== undefined)
+        .map(seatCategory => ({
+          quota,
+          seatCategory,
+          year: selected.year,
+          closingRank: selected.closingRanks[seatCategory],
+          closingRankHistory: Object.fromEntries(cutoffs
+            .filter(cutoff => cutoff.closingRanks[seatCategory] !== undefined)
+            .map(cutoff => [cutoff.year, cutoff.closingRanks[seatCategory]]))
+        }));
+    });
+
+    if (options.length === 0) return null;
+    return options.reduce((best, option) => (option.closingRank > best.closingRank ? option : best));
+  }
+
+  /**
+   * Ranks colleges for a predicted rank interval and student profile. Cutoffs
+   * are taken from the same year as the prediction's rank table where possible.
+   * @param {Object} prediction Rank prediction with predictedRank, confidenceInterval and rankTable
+   * @param {Object} profile { category, state, course }
+   * @returns {Object} Colleges grouped by safe/target/reach, most competitive first
+   */
+  predict(prediction, profile) {
+    const colleges = Object.fromEntries(ADMISSION_LABELS.map(label => [label, []]));
+    let outOfReach = 0;
+
+    this.colleges.forEach(college => {
+      const option = this.findBestOption(college, profile, prediction.rankTable && prediction.rankTable.year);
+      if (!option) return;
+
+      const label = labelCutoff(option.closingRank, prediction);
+      if (!label) {
+        outOfReach++;
+        return;
+      }
+      colleges[label].push({
+        id: college.id,
+        name: college.name,
+        state: college.state,
+        ownership: college.ownership,
+        course: profile.course,
+        ...option,
+        margin: option.closingRank - prediction.predictedRank
+      });
+    });
+
+    ADMISSION_LABELS.forEach(label => colleges[label].sort((a, b) => a.closingRank - b.closingRank));
+
+    return {
+      profile,
+      rankType: this.dataset.rankType,
+      rankInterval: {
+        predictedRank: prediction.predictedRank,
+        lower: prediction.confidenceInterval.lower,
+        upper: prediction.confidenceInterval.upper
+      },
+      summary: {
+        ...Object.fromEntries(ADMISSION_LABELS.map(label => [label, colleges[label].length])),
+        outOfReach
+      },
+      colleges,
+      source: this.dataset.source
+    };
+  }
+}
+
+const datasetCache = new Map();
+
+/**
+ * Loads and checks the college cutoff dataset. Results are memoized per file.
+ * @param {string} [file] Dataset path (defaults to COLLEGES_FILE or the bundled dataset)
+ * @returns {Promise<Object>} Dataset
+ */
+export function loadColleges(file = process.env.COLLEGES_FILE || DEFAULT_COLLEGES_FILE) {
+  const resolved = path.resolve(file);
+  if (!datasetCache.has(resolved)) {
+    const loading = (async () => {
+      const dataset = JSON.parse(await fs.readFile(resolved, 'utf8'));
+      if (!Array.isArray(dataset.colleges)) {
+        throw new Error(`Invalid college dataset ${resolved}: "colleges" must be an array`);
+      }
+      dataset.colleges.forEach(college => {
+        if (!Array.isArray(college.cutoffs)) {
+          throw new Error(`Invalid college dataset ${resolved}: ${college.id} needs a "cutoffs" array`);
+        }
+        college.cutoffs.forEach(cutoff => {
+          if (!COURSES.includes(cutoff.course) || !QUOTAS.includes(cutoff.quota)) {
+            throw new Error(`Invalid college dataset ${resolved}: ${college.id} has an unknown course or quota`);
+          }
+        });
+      });
+      return dataset;
+    })();
+
+    datasetCache.set(resolved, loading);
+    loading.catch(() => datasetCache.delete(resolved));
+  }
+  return datasetCache.get(resolved);
+}
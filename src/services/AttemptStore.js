@@ -0,0 +1,84 @@
+import { PracticeLibrary } from './PracticeLibrary.js';
+import { SCHEMAS, assertHistoryEntry, validate } from '../utils/schemas.js';
+
+const STORE_COLLECTION = 'attempts';
+
+/**
+ * Keeps the quiz attempts a user submits through the API in the store, and
+ * merges them into the upstream data so the analyzers see them
+ */
+export class AttemptStore {
+  /**
+   * @param {JsonFileStore} store Store the attempts are kept in
+   * @param {string} userId Attempt owner
+   */
+  constructor(store, userId) {
+    this.store = store;
+    this.userId = userId;
+  }
+
+  /**
+   * Reads the stored attempts
+   * @returns {Promise<Array>} Submissions in the upstream shape, oldest first
+   */
+  async list() {
+    const log = await this.store.read(STORE_COLLECTION, this.userId, { attempts: [] });
+    return log.attempts;
+  }
+
+  /**
+   * Stores an attempt. It must be a valid history entry, since it joins the
+   * history on every later load.
+   * @param {Function} build Receives the number of stored attempts and returns the submission
+   * @returns {Promise<Object>} Stored submission
+   */
+  async add(build) {
+    let submission = null;
+    await this.store.update(STORE_COLLECTION, this.userId, current => {
+      submission = build(current.attempts.length);
+      assertHistoryEntry(submission);
+      return { ...current, attempts: [...current.attempts, submission] };
+    }, { userId: this.userId, attempts: [] });
+    return submission;
+  }
+
+  /**
+   * Adds the stored attempts, and the submissions to the user's practice
+   * quizzes, to loaded quiz data. Every valid attempt joins the history; the
+   * latest attempt at the current quiz replaces the upstream submission when it
+   * is more recent. Invalid attempts (stored before they were checked) are left
+   * out and reported as warnings.
+   * @param {Object} data { currentQuiz, submission, history, warnings } from loadQuizData
+   * @returns {Promise<Object>} Data with the stored attempts merged in
+   */
+  async merge(data) {
+    const stored = {
+      attempts: await this.list(),
+      practice: await new PracticeLibrary(this.store, this.userId).listSubmissions()
+    };
+    if (stored.attempts.length === 0 && stored.practice.length === 0) return data;
+
+    const attempts = [];
+    const warnings = [...(data.warnings || [])];
+    Object.entries(stored).forEach(([dataset, entries]) => entries.forEach((attempt, index) => {
+      const issues = validate(SCHEMAS.historyEntry, attempt);
+      if (issues.length === 0) {
+        attempts.push(attempt);
+      } else {
+        warnings.push({ dataset, path: `[${index}]`, problem: 'entry dropped', issues });
+      }
+    }));
+    attempts.sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+
+    const known = new Set(data.history.map(attempt => String(attempt.id)));
+    const history = [...data.history, ...attempts.filter(attempt => !known.has(String(attempt.id)))];
+
+    const quiz = (data.currentQuiz && data.currentQuiz.quiz) || data.currentQuiz || {};
+    const latest = attempts.filter(attempt => String(attempt.quiz_id) === String(quiz.id)).pop();
+    const submission = latest && !(Date.parse(latest.submitted_at) < Date.parse(data.submission.submitted_at))
+      ? latest
+      : data.submission;
+
+    return { ...data, submission, history, warnings };
+  }
+}
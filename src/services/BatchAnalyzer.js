@@ -0,0 +1,147 @@
+import { QuizAnalyzer, WEAK_ACCURACY } from './QuizAnalyzer.js';
+import { RankPredictor } from './RankPredictor.js';
+import { TrendAnalyzer } from './TrendAnalyzer.js';
+import { parseNumeric } from '../utils/dataProcessing.js';
+
+export const BATCH_SORT_FIELDS = ['userId', 'score', 'accuracy', 'rank', 'trend', 'submittedAt'];
+export const TREND_DIRECTIONS = ['improving', 'flat', 'declining', 'insufficient-data'];
+
+/**
+ * Summarizes a batch of students for coaches: one row per student with their
+ * latest result, accuracy trend, predicted rank band and weakest topic, and a
+ * topic × student accuracy heatmap
+ */
+export class BatchAnalyzer {
+  /**
+   * @param {Array} students { userId, currentQuiz, submission, history } per student
+   * @param {Object} options Analyzer options
+   * @param {RankTable} options.rankTable Marks → rank table for the rank bands
+   * @param {number} [options.seed] Bootstrap seed for the rank intervals
+   * @param {number} [options.iterations] Bootstrap resamples for the rank intervals
+   */
+  constructor(students, { rankTable, seed, iterations }) {
+    this.students = students;
+    this.rankOptions = { rankTable, seed, iterations };
+  }
+
+  /**
+   * Averages a student's accuracy per topic over their history and current
+   * quiz, weighted by attempts
+   * @param {Object} student Student data
+   * @returns {Map} Lower-cased topic to { topic, accuracy (0-100), attempts }
+   */
+  calculateTopicAccuracy({ currentQuiz, submission, history }) {
+    const topics = new Map();
+    new QuizAnalyzer(currentQuiz, submission, history).collectTopicAccuracy().forEach(({ topic, accuracy, attempts }) => {
+      const key = String(topic).toLowerCase();
+      const existing = topics.get(key);
+      topics.set(key, existing
+        ? {
+          topic: existing.topic,
+          accuracy: (existing.accuracy * existing.attempts + accuracy * attempts) / (existing.attempts + attempts),
+          attempts: existing.attempts + attempts
+        }
+        : { topic, accuracy, attempts });
+    });
+    return topics;
+  }
+
+  /**
+   * Summarizes one student
+   * @param {Object} student Student data
+   * @returns {Object} { userId, submittedAt, score, accuracy, trend, rank, weakestTopic, weakTopics }
+   */
+  summarize(student) {
+    const { userId, submission, history } = student;
+    const trends = new TrendAnalyzer(submission, history);
+    const { direction, slopePerWeek = null } = trends.fitTrend(trends.buildSeries(trends.attempts, 'accuracy'));
+    const prediction = new RankPredictor(history, this.rankOptions).predictRank(submission);
+    const weak = [...this.calculateTopicAccuracy(student).values()]
+      .filter(topic => topic.accuracy < WEAK_ACCURACY)
+      .sort((a, b) => a.accuracy - b.accuracy);
+
+    return {
+      userId,
+      submittedAt: submission.submitted_at || null,
+      quiz: submission.quiz ? submission.quiz.topic : null,
+      score: parseNumeric(submission.final_score ?? submission.score),
+      accuracy: parseNumeric(submission.accuracy),
+      trend: { direction, slopePerWeek },
+      rank: {
+        predicted: prediction.predictedRank,
+        lower: prediction.confidenceInterval.lower,
+        upper: prediction.confidenceInterval.upper
+      },
+      weakestTopic: weak.length > 0 ? { topic: weak[0].topic, accuracy: weak[0].accuracy } : null,
+      weakTopics: weak.length
+    };
+  }
+
+  /**
+   * Lists the students, filtered and sorted
+   * @param {Object} [options] List options
+   * @param {string} [options.sort] One of BATCH_SORT_FIELDS (default userId)
+   * @param {string} [options.order] asc or desc (default asc)
+   * @param {string} [options.trend] Only students with this trend direction
+   * @param {string} [options.weakTopic] Only students whose weakest topic matches, any case
+   * @param {string} [options.search] Only user ids containing this text, any case
+   * @returns {Array} Student summaries
+   */
+  listStudents({ sort = 'userId', order = 'asc', trend, weakTopic, search } = {}) {
+    const keys = {
+      userId: row => row.userId,
+      score: row => row.score,
+      accuracy: row => row.accuracy,
+      rank: row => row.rank.predicted,
+      trend: row => TREND_DIRECTIONS.indexOf(row.trend.direction),
+      submittedAt: row => Date.parse(row.submittedAt)
+    };
+    const key = keys[sort];
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => {
+      const [left, right] = [key(a), key(b)];
+      // Missing values sort last either way
+      const missing = value => value === null || value === undefined || Number.isNaN(value);
+      if (missing(left) || missing(right)) return missing(left) - missing(right);
+      return (typeof left === 'string' ? left.localeCompare(right) : left - right) * direction;
+    };
+
+    return this.students
+      .map(student => this.summarize(student))
+      .filter(row => !trend || row.trend.direction === trend)
+      .filter(row => !weakTopic ||
+        (row.weakestTopic && row.weakestTopic.topic.toLowerCase() === weakTopic.toLowerCase()))
+      .filter(row => !search || row.userId.toLowerCase().includes(search.toLowerCase()))
+      .sort(compare);
+  }
+
+  /**
+   * Builds the topic × student accuracy heatmap
+   * @param {Object} [options] Heatmap options
+   * @param {Array} [options.users] Only these students, in this order
+   * @returns {Object} { students, topics: [{ topic, average, values }] } with one value (or null) per student
+   */
+  buildHeatmap({ users } = {}) {
+    const students = users
+      ? users.map(userId => this.students.find(student => student.userId === userId)).filter(Boolean)
+      : this.students;
+    const accuracies = students.map(student => this.calculateTopicAccuracy(student));
+
+    const names = new Map();
+    accuracies.forEach(topics => topics.forEach((entry, key) => {
+      if (!names.has(key)) names.set(key, entry.topic);
+    }));
+
+    const topics = [...names].map(([key, topic]) => {
+      const values = accuracies.map(topicsOfStudent => (topicsOfStudent.has(key) ? topicsOfStudent.get(key).accuracy : null));
+      const known = values.filter(value => value !== null);
+      return { topic, average: known.reduce((sum, value) => sum + value, 0) / known.length, values };
+    });
+
+    return {
+      students: students.map(student => student.userId),
+      // Weakest topics across the batch first
+      topics: topics.sort((a, b) => a.average - b.average)
+    };
+  }
+}
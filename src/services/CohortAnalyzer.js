@@ -0,0 +1,122 @@
+import { QuizAnalyzer } from './QuizAnalyzer.js';
+import { calculateMean, calculatePercentile, getQuizQuestions, parseNumeric } from '../utils/dataProcessing.js';
+
+// Percentiles are reported from this many students in the cohort
+export const MIN_COHORT_SIZE = 3;
+
+// Share of the cohort answering correctly at or above which a question counts
+// as easy, and below which it counts as hard
+const EASY_SHARE = 0.7;
+const HARD_SHARE = 0.4;
+
+export const BENCHMARK_METRICS = ['score', 'accuracy', 'speed'];
+
+/**
+ * Benchmarks a student against the other students who attempted the same quiz:
+ * percentiles for score, accuracy, speed and each topic, and the difficulty of
+ * every question as the share of the cohort answering it correctly
+ */
+export class CohortAnalyzer {
+  /**
+   * @param {Object} currentQuiz Quiz definition
+   * @param {Array} members { userId, submission } of every student with an attempt at the quiz
+   */
+  constructor(currentQuiz, members) {
+    this.questions = getQuizQuestions(currentQuiz);
+    this.members = members.map(({ userId, submission }) => ({
+      userId,
+      submission,
+      results: new QuizAnalyzer(currentQuiz, submission, []).getQuestionResults()
+    }));
+  }
+
+  /**
+   * Reads a member's benchmarked metrics
+   * @param {Object} member Cohort member
+   * @returns {Object} { score, accuracy, speed, topics } with topic accuracies (0-100) in the quiz
+   */
+  metricsOf({ submission, results }) {
+    const topics = {};
+    results.forEach(result => {
+      const stats = topics[result.topic] || (topics[result.topic] = { questions: 0, correct: 0 });
+      stats.questions++;
+      if (result.status === 'correct') stats.correct++;
+    });
+
+    return {
+      score: parseNumeric(submission.final_score ?? submission.score),
+      accuracy: parseNumeric(submission.accuracy),
+      speed: parseNumeric(submission.speed),
+      topics: Object.fromEntries(Object.entries(topics)
+        .map(([topic, { questions, correct }]) => [topic, (correct / questions) * 100]))
+    };
+  }
+
+  /**
+   * Labels a question by the share of the cohort answering it correctly
+   * @param {number} share Share answering correctly (0-1)
+   * @returns {string} easy, medium or hard
+   */
+  classifyDifficulty(share) {
+    if (share >= EASY_SHARE) return 'easy';
+    return share < HARD_SHARE ? 'hard' : 'medium';
+  }
+
+  /**
+   * Calculates each question's difficulty for the cohort
+   * @returns {Array} { id, topic, labelledDifficulty, attempted, correct, correctShare, difficulty } in quiz order
+   */
+  calculateQuestionDifficulty() {
+    const size = this.members.length;
+    return this.questions.map((question, index) => {
+      const statuses = this.members.map(member => member.results[index].status);
+      const correct = statuses.filter(status => status === 'correct').length;
+      const correctShare = size > 0 ? correct / size : null;
+      return {
+        id: question.id,
+        topic: question.topic,
+        labelledDifficulty: question.difficulty,
+        attempted: statuses.filter(status => status !== 'skipped').length,
+        correct,
+        correctShare,
+        difficulty: correctShare === null ? null : this.classifyDifficulty(correctShare)
+      };
+    });
+  }
+
+  /**
+   * Benchmarks one student against the cohort. Percentiles are null while the
+   * cohort is smaller than MIN_COHORT_SIZE or the student isn't part of it.
+   * @param {string} userId Student to benchmark
+   * @returns {Object} { size, minimumSize, percentiles, cohortAverages, topics, questions }
+   */
+  benchmark(userId) {
+    const student = this.members.find(member => member.userId === userId);
+    const ranked = Boolean(student) && this.members.length >= MIN_COHORT_SIZE;
+    const metrics = this.members.map(member => this.metricsOf(member));
+    const own = student ? this.metricsOf(student) : { topics: {} };
+    const percentileOf = (value, values) => (ranked && Number.isFinite(value)
+      ? calculatePercentile(value, values.filter(Number.isFinite))
+      : null);
+    const statuses = new Map(student ? student.results.map(result => [String(result.id), result.status]) : []);
+
+    return {
+      size: this.members.length,
+      minimumSize: MIN_COHORT_SIZE,
+      percentiles: Object.fromEntries(BENCHMARK_METRICS.map(metric =>
+        [metric, percentileOf(own[metric], metrics.map(entry => entry[metric]))])),
+      cohortAverages: Object.fromEntries(BENCHMARK_METRICS.map(metric => {
+        const values = metrics.map(entry => entry[metric]).filter(Number.isFinite);
+        return [metric, values.length > 0 ? calculateMean(values) : null];
+      })),
+      topics: Object.entries(own.topics).map(([topic, accuracy]) => {
+        const values = metrics.map(entry => entry.topics[topic]);
+        return { topic, accuracy, cohortAverage: calculateMean(values), percentile: percentileOf(accuracy, values) };
+      }),
+      questions: this.calculateQuestionDifficulty().map(question => ({
+        ...question,
+        status: statuses.get(String(question.id)) || null
+      }))
+    };
+  }
+}
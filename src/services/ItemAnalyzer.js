@@ -0,0 +1,173 @@
+import { QuizAnalyzer } from './QuizAnalyzer.js';
+import { MIN_COHORT_SIZE } from './CohortAnalyzer.js';
+import { calculateCorrelation, calculateMean, calculateStandardDeviation, getQuizQuestions } from '../utils/dataProcessing.js';
+import { HttpError } from '../utils/errors.js';
+
+// Share of students, ranked by total score, in each of the upper and lower groups
+const GROUP_SHARE = 0.27;
+
+// p-values above/below which a question tells students apart poorly
+const TOO_EASY_P = 0.9;
+const TOO_HARD_P = 0.2;
+
+// Point-biserial below which a question discriminates weakly
+const LOW_DISCRIMINATION = 0.2;
+
+// Distractors chosen by fewer students than this share aren't doing their job
+const FUNCTIONING_DISTRACTOR_SHARE = 0.05;
+
+export const ITEM_FLAGS = [
+  'possible-key-error',
+  'negative-discrimination',
+  'low-discrimination',
+  'too-easy',
+  'too-hard',
+  'non-functioning-distractors'
+];
+
+/**
+ * Classical item analysis of a quiz over every student who attempted it:
+ * difficulty (p-value), point-biserial discrimination, how often each option
+ * was chosen overall and by the top and bottom scorers, and flags for broken
+ * questions such as likely answer-key errors
+ */
+export class ItemAnalyzer {
+  /**
+   * @param {Object} currentQuiz Quiz definition
+   * @param {Array} members { userId, submission } of every student with an attempt at the quiz
+   */
+  constructor(currentQuiz, members) {
+    if (members.length < MIN_COHORT_SIZE) {
+      throw new HttpError(422, `Item analysis needs at least ${MIN_COHORT_SIZE} students; found ${members.length}`);
+    }
+
+    this.questions = getQuizQuestions(currentQuiz);
+    this.students = members.map(({ userId, submission }) => {
+      const results = new QuizAnalyzer(currentQuiz, submission, []).getQuestionResults();
+      return {
+        userId,
+        chosen: results.map(result => (result.chosenOption ? String(result.chosenOption.id) : null)),
+        correct: results.map(result => (result.status === 'correct' ? 1 : 0)),
+        total: results.filter(result => result.status === 'correct').length
+      };
+    });
+
+    const ranked = [...this.students].sort((a, b) => b.total - a.total);
+    const groupSize = Math.max(1, Math.round(ranked.length * GROUP_SHARE));
+    this.upper = ranked.slice(0, groupSize);
+    this.lower = ranked.slice(-groupSize);
+  }
+
+  /**
+   * Correlates an indicator with the students' total scores excluding the
+   * question itself (the corrected point-biserial)
+   * @param {number} index Question index
+   * @param {Function} indicator Receives a student and returns 0 or 1
+   * @returns {number|null} Correlation, null when either side doesn't vary
+   */
+  pointBiserial(index, indicator) {
+    return calculateCorrelation(
+      this.students.map(indicator),
+      this.students.map(student => student.total - student.correct[index]));
+  }
+
+  /**
+   * Analyzes one question
+   * @param {Object} question Normalized question
+   * @param {number} index Question index
+   * @returns {Object} Item statistics, options and flags
+   */
+  analyzeItem(question, index) {
+    const count = (students, optionId) => students.filter(student => student.chosen[index] === optionId).length;
+    const key = String(question.correctOption);
+    const correct = this.students.filter(student => student.correct[index] === 1).length;
+    const pValue = correct / this.students.length;
+    const pointBiserial = this.pointBiserial(index, student => student.correct[index]);
+
+    const options = question.options.map(option => {
+      const id = String(option.id);
+      const chosen = count(this.students, id);
+      return {
+        id: option.id,
+        description: option.description,
+        isKey: id === key,
+        chosen,
+        share: chosen / this.students.length,
+        upperShare: count(this.upper, id) / this.upper.length,
+        lowerShare: count(this.lower, id) / this.lower.length,
+        pointBiserial: this.pointBiserial(index, student => (student.chosen[index] === id ? 1 : 0))
+      };
+    });
+    const keyOption = options.find(option => option.isKey);
+    const distractors = options.filter(option => !option.isKey);
+
+    // A distractor the top scorers prefer to the key, or one that tracks high
+    // total scores better than the key does, points at a wrong key
+    const rivals = distractors.filter(option =>
+      option.upperShare > (keyOption ? keyOption.upperShare : 0) ||
+      (option.pointBiserial !== null && option.pointBiserial > 0 &&
+        (pointBiserial === null || option.pointBiserial > pointBiserial)));
+    const suspectedKey = rivals.length > 0
+      ? rivals.reduce((best, option) => (option.upperShare > best.upperShare ? option : best)).id
+      : null;
+
+    const flags = [];
+    if (suspectedKey !== null) flags.push('possible-key-error');
+    if (pointBiserial !== null && pointBiserial < 0) flags.push('negative-discrimination');
+    else if (pointBiserial !== null && pointBiserial < LOW_DISCRIMINATION) flags.push('low-discrimination');
+    if (pValue > TOO_EASY_P) flags.push('too-easy');
+    if (pValue < TOO_HARD_P) flags.push('too-hard');
+    if (distractors.some(option => option.share < FUNCTIONING_DISTRACTOR_SHARE)) flags.push('non-functioning-distractors');
+
+    return {
+      id: question.id,
+      description: question.description,
+      topic: question.topic,
+      labelledDifficulty: question.difficulty,
+      students: this.students.length,
+      attempted: this.students.filter(student => student.chosen[index] !== null).length,
+      correct,
+      pValue,
+      pointBiserial,
+      discriminationIndex: keyOption ? keyOption.upperShare - keyOption.lowerShare : null,
+      correctOption: question.correctOption ?? null,
+      suspectedKey,
+      omitted: this.students.filter(student => student.chosen[index] === null).length,
+      options,
+      flags
+    };
+  }
+
+  /**
+   * Calculates KR-20, the internal consistency of the quiz as a whole
+   * @param {Array} items Analyzed items
+   * @returns {number|null} Reliability, null when total scores don't vary
+   */
+  calculateReliability(items) {
+    const k = items.length;
+    const variance = Math.pow(calculateStandardDeviation(this.students.map(student => student.total)), 2);
+    if (k < 2 || !(variance > 0)) return null;
+    const itemVariance = items.reduce((sum, item) => sum + item.pValue * (1 - item.pValue), 0);
+    return (k / (k - 1)) * (1 - itemVariance / variance);
+  }
+
+  /**
+   * Analyzes every question of the quiz
+   * @returns {Object} { summary, items }
+   */
+  analyze() {
+    const items = this.questions.map((question, index) => this.analyzeItem(question, index));
+    return {
+      summary: {
+        students: this.students.length,
+        questions: items.length,
+        groupSize: this.upper.length,
+        meanPValue: items.length > 0 ? calculateMean(items.map(item => item.pValue)) : null,
+        reliability: this.calculateReliability(items),
+        flagged: Object.fromEntries(ITEM_FLAGS.map(flag =>
+          [flag, items.filter(item => item.flags.includes(flag)).map(item => item.id)]))
+      },
+      items
+    };
+  }
+}
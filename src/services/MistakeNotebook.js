@@ -0,0 +1,339 @@
+import { QuizAnalyzer, WEAK_ACCURACY } from './QuizAnalyzer.js';
+import { normalizeTopicName } from './SyllabusGraph.js';
+import {
+  MIXED_TOPIC,
+  calculateMean,
+  getAttemptTopic,
+  getQuizQuestions,
+  parseDurationMinutes,
+  parseNumeric
+} from '../utils/dataProcessing.js';
+import { HttpError, NotFoundError } from '../utils/errors.js';
+
+export const MISTAKE_CATEGORIES = ['careless', 'conceptual', 'time-pressure'];
+export const MISTAKE_STATUSES = ['unresolved', 'resolved', 'all'];
+
+export const DEFAULT_REQUIZ_SIZE = 10;
+
+const STORE_COLLECTION = 'mistakes';
+
+// An attempt that used this share of the allotted time ran out of time...
+const TIME_PRESSURE_USAGE = 0.9;
+// ...and mistakes in this last share of its questions are put down to time pressure
+const LATE_QUESTION_SHARE = 0.25;
+
+/**
+ * Identifies a submission in mistake ids: its id, else its quiz and submission
+ * time (upstream submissions don't always carry an id)
+ * @param {Object} submission Submission
+ * @returns {string} Submission key
+ */
+const submissionKey = (submission) => (submission.id !== undefined && submission.id !== null
+  ? String(submission.id)
+  : `${submission.quiz_id}-${Date.parse(submission.submitted_at)}`);
+
+/**
+ * Records every incorrect answer in a per-user notebook kept in the store,
+ * classifies it, links repeat mistakes on the same concept and builds re-quizzes
+ * from the unresolved ones
+ */
+export class MistakeNotebook {
+  /**
+   * @param {JsonFileStore} store Store the notebook is kept in
+   * @param {string} userId Notebook owner
+   * @param {SyllabusGraph} [syllabus] Syllabus graph, used to match concepts across topic spellings
+   */
+  constructor(store, userId, syllabus = null) {
+    this.store = store;
+    this.userId = userId;
+    this.syllabus = syllabus;
+  }
+
+  /**
+   * Reads the notebook's entries
+   * @returns {Promise<Array>} Mistakes, oldest first
+   */
+  async getEntries() {
+    const notebook = await this.store.read(STORE_COLLECTION, this.userId, { entries: [] });
+    return notebook.entries;
+  }
+
+  /**
+   * Identifies the concept a topic belongs to: its syllabus node when the
+   * syllabus knows it, else the normalized topic name
+   * @param {string} topic Topic name
+   * @returns {string} Concept key
+   */
+  conceptOf(topic) {
+    const node = this.syllabus && this.syllabus.findNode(topic);
+    return node ? node.id : normalizeTopicName(topic);
+  }
+
+  /**
+   * Classifies a mistake from the signals gathered for it. Running out of time
+   * explains late mistakes; repeats, weak topics and hard questions point at
+   * the concept; anything else is put down to carelessness.
+   * @param {Object} signals { lateInQuiz, timeUsed, repeats, topicAccuracy, difficulty }
+   * @returns {string} careless, conceptual or time-pressure
+   */
+  classify({ lateInQuiz, timeUsed, repeats, topicAccuracy, difficulty }) {
+    if (lateInQuiz && timeUsed !== null && timeUsed >= TIME_PRESSURE_USAGE) return 'time-pressure';
+    if (repeats > 0 || (topicAccuracy !== null && topicAccuracy < WEAK_ACCURACY) || difficulty === 'hard') {
+      return 'conceptual';
+    }
+    return 'careless';
+  }
+
+  /**
+   * Averages accuracy per concept over the history's attempts
+   * @param {Array} history Historical attempts
+   * @returns {Map} Concept key to accuracy (0-100)
+   */
+  calculateConceptAccuracy(history) {
+    const accuracies = new Map();
+    history.forEach(attempt => {
+      const topic = getAttemptTopic(attempt);
+      if (!topic) return;
+      const concept = this.conceptOf(topic);
+      if (!accuracies.has(concept)) accuracies.set(concept, []);
+      accuracies.get(concept).push(parseNumeric(attempt.accuracy));
+    });
+    return new Map([...accuracies].map(([concept, values]) => [concept, calculateMean(values)]));
+  }
+
+  /**
+   * Adds a submission's incorrect answers to the notebook. Mistakes already
+   * recorded for the submission are left as they are, so recording is idempotent.
+   * @param {Object} currentQuiz Quiz definition
+   * @param {Object} submission Submission
+   * @param {Array} history Historical attempts
+   * @returns {Promise<Object>} { added, entries }
+   */
+  async record(currentQuiz, submission, history) {
+    const quiz = currentQuiz && currentQuiz.quiz ? currentQuiz.quiz : currentQuiz || {};
+    const questions = new Map(getQuizQuestions(currentQuiz).map((question, index) => [String(question.id), { question, index }]));
+    const results = new QuizAnalyzer(currentQuiz, submission, history).getQuestionResults()
+      .filter(result => result.status === 'incorrect');
+    const allotted = parseDurationMinutes(quiz.duration);
+    const used = parseDurationMinutes(submission.duration);
+    const timeUsed = allotted > 0 && Number.isFinite(used) ? used / allotted : null;
+    const conceptAccuracy = this.calculateConceptAccuracy(history);
+    const submissionId = submissionKey(submission);
+
+    // Leave the store untouched when every mistake is already recorded
+    const entries = await this.getEntries();
+    const recorded = new Set(entries.map(entry => entry.id));
+    if (results.every(result => recorded.has(`${submissionId}-${result.id}`))) {
+      return { added: 0, entries };
+    }
+
+    let added = 0;
+    const notebook = await this.store.update(STORE_COLLECTION, this.userId, current => {
+      const entries = [...current.entries];
+      results.forEach(result => {
+        const id = `${submissionId}-${result.id}`;
+        if (entries.some(entry => entry.id === id)) return;
+
+        const { question, index } = questions.get(String(result.id));
+        const concept = this.conceptOf(result.topic);
+        const earlier = entries.filter(entry => entry.concept === concept && String(entry.submissionId) !== submissionId);
+        const signals = {
+          timeUsed,
+          lateInQuiz: index >= questions.size * (1 - LATE_QUESTION_SHARE),
+          repeats: earlier.length,
+          repeatedQuestion: earlier.some(entry => String(entry.questionId) === String(result.id)),
+          topicAccuracy: conceptAccuracy.has(concept) ? conceptAccuracy.get(concept) : null,
+          difficulty: result.difficulty
+        };
+
+        entries.push({
+          id,
+          submissionId: submission.id ?? submissionId,
+          quizId: quiz.id ?? submission.quiz_id ?? null,
+          questionId: result.id,
+          question: result.description,
+          topic: result.topic,
+          concept,
+          difficulty: result.difficulty,
+          chosenOption: result.chosenOption,
+          correctOption: result.correctOption,
+          options: question.options,
+          solution: result.solution,
+          date: submission.submitted_at || null,
+          category: this.classify(signals),
+          signals,
+          resolved: false,
+          resolvedAt: null
+        });
+        added++;
+      });
+      return { ...current, entries };
+    }, { userId: this.userId, entries: [] });
+
+    return { added, entries: notebook.entries };
+  }
+
+  /**
+   * Records the mistakes of every attempt at one of the given quizzes that the
+   * notebook is missing: the upstream submission and history, which are not
+   * submitted through the API, and API attempts whose recording failed.
+   * Attempts are recorded oldest first, each against the attempts before it.
+   * Attempts at other quizzes are skipped, since there are no questions to
+   * check their answers against.
+   * @param {Array} quizzes Quiz definitions
+   * @param {Array} attempts The user's attempts, in any order and possibly repeated
+   * @returns {Promise<Object>} { added }
+   */
+  async sync(quizzes, attempts) {
+    const quizzesById = new Map(quizzes.map(currentQuiz => {
+      const quiz = currentQuiz && currentQuiz.quiz ? currentQuiz.quiz : currentQuiz;
+      return [String(quiz.id), currentQuiz];
+    }));
+    const unique = new Map(attempts.filter(Boolean).map(attempt => [submissionKey(attempt), attempt]));
+    const ordered = [...unique.values()].sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+
+    let added = 0;
+    for (const attempt of ordered) {
+      const currentQuiz = quizzesById.get(String(attempt.quiz_id ?? (attempt.quiz && attempt.quiz.id)));
+      if (!currentQuiz) continue;
+      const earlier = ordered.filter(other => Date.parse(other.submitted_at) < Date.parse(attempt.submitted_at));
+      added += (await this.record(currentQuiz, attempt, earlier)).added;
+    }
+    return { added };
+  }
+
+  /**
+   * Lists mistakes, newest first, with counts per category and topic and the
+   * concepts missed in more than one attempt
+   * @param {Object} [filters] List filters
+   * @param {string} [filters.status] unresolved (default), resolved or all
+   * @param {string} [filters.topic] Topic name, any case
+   * @param {string} [filters.category] careless, conceptual or time-pressure
+   * @returns {Promise<Object>} { summary, repeatedConcepts, mistakes }
+   */
+  async list({ status = 'unresolved', topic, category } = {}) {
+    const entries = await this.getEntries();
+    const mistakes = entries
+      .filter(entry => status === 'all' || entry.resolved === (status === 'resolved'))
+      .filter(entry => !topic || this.conceptOf(topic) === entry.concept)
+      .filter(entry => !category || entry.category === category)
+      .reverse();
+
+    const count = (items, key) => items.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      summary: {
+        total: entries.length,
+        unresolved: entries.filter(entry => !entry.resolved).length,
+        byCategory: { ...Object.fromEntries(MISTAKE_CATEGORIES.map(name => [name, 0])), ...count(entries, 'category') },
+        byTopic: count(entries, 'topic')
+      },
+      repeatedConcepts: this.findRepeatedConcepts(entries),
+      filters: { status, topic: topic || null, category: category || null },
+      mistakes
+    };
+  }
+
+  /**
+   * Finds concepts missed in more than one attempt
+   * @param {Array} entries Mistakes
+   * @returns {Array} { concept, topics, attempts, mistakes, unresolved }, most attempts first
+   */
+  findRepeatedConcepts(entries) {
+    const concepts = new Map();
+    entries.forEach(entry => {
+      if (!concepts.has(entry.concept)) {
+        concepts.set(entry.concept, { concept: entry.concept, topics: new Set(), submissions: new Set(), mistakes: 0, unresolved: 0 });
+      }
+      const stats = concepts.get(entry.concept);
+      stats.topics.add(entry.topic);
+      stats.submissions.add(entry.submissionId);
+      stats.mistakes++;
+      if (!entry.resolved) stats.unresolved++;
+    });
+
+    return [...concepts.values()]
+      .filter(stats => stats.submissions.size > 1)
+      .map(stats => ({
+        concept: stats.concept,
+        topics: [...stats.topics],
+        attempts: stats.submissions.size,
+        mistakes: stats.mistakes,
+        unresolved: stats.unresolved
+      }))
+      .sort((a, b) => b.attempts - a.attempts || b.mistakes - a.mistakes);
+  }
+
+  /**
+   * Marks a mistake resolved or reopens it
+   * @param {string} id Mistake id
+   * @param {boolean} resolved Resolved state
+   * @returns {Promise<Object>} Updated mistake
+   */
+  async setResolved(id, resolved) {
+    let updated = null;
+    await this.store.update(STORE_COLLECTION, this.userId, current => {
+      const entries = current.entries.map(entry => {
+        if (entry.id !== id) return entry;
+        updated = { ...entry, resolved, resolvedAt: resolved ? new Date().toISOString() : null };
+        return updated;
+      });
+      return { ...current, entries };
+    }, { userId: this.userId, entries: [] });
+
+    if (!updated) {
+      throw new NotFoundError(`No mistake "${id}"`);
+    }
+    return updated;
+  }
+
+  /**
+   * Builds a quiz from unresolved mistakes in the upstream quiz shape, without
+   * the correct options and solutions (the notebook's entries keep them).
+   * Repeated concepts come first, then the most recent mistakes; each
+   * question appears once.
+   * @param {Object} [options] Re-quiz options
+   * @param {number} [options.limit] Maximum number of questions
+   * @param {string} [options.topic] Only mistakes on this topic
+   * @returns {Promise<Object>} { quiz, mistakeIds }
+   */
+  async buildReQuiz({ limit = DEFAULT_REQUIZ_SIZE, topic } = {}) {
+    const { mistakes, repeatedConcepts } = await this.list({ status: 'unresolved', topic });
+    if (mistakes.length === 0) {
+      throw new HttpError(404, 'No unresolved mistakes to build a re-quiz from');
+    }
+
+    const repeated = new Map(repeatedConcepts.map(stats => [stats.concept, stats.attempts]));
+    const seen = new Set();
+    const selected = [...mistakes]
+      .sort((a, b) => (repeated.get(b.concept) || 0) - (repeated.get(a.concept) || 0))
+      .filter(entry => {
+        const key = String(entry.questionId);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+
+    const topics = [...new Set(selected.map(entry => entry.topic))];
+    return {
+      quiz: {
+        id: `requiz-${Date.now().toString(36)}`,
+        title: 'Mistake re-quiz',
+        topic: topics.length === 1 ? topics[0] : MIXED_TOPIC,
+        questions_count: selected.length,
+        questions: selected.map(entry => ({
+          id: entry.questionId,
+          description: entry.question,
+          topic: entry.topic,
+          difficulty_level: entry.difficulty,
+          options: entry.options.map(option => ({ id: option.id, description: option.description }))
+        }))
+      },
+      mistakeIds: selected.map(entry => entry.id)
+    };
+  }
+}
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { QuizAnalyzer } from './QuizAnalyzer.js';
+import { normalizeTopicName } from './SyllabusGraph.js';
+import { DIFFICULTY_LEVELS, MIXED_TOPIC, createRandom, getQuizQuestions } from '../utils/dataProcessing.js';
+import { validate, SCHEMAS } from '../utils/schemas.js';
+import { HttpError } from '../utils/errors.js';
+
+export const DEFAULT_QUESTION_BANK_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), '../reference/question-bank.json');
+
+export const DEFAULT_PRACTICE_LENGTH = 10;
+export const MAX_PRACTICE_LENGTH = 60;
+
+// Expected time per question by difficulty, used to fit the time limit
+export const SECONDS_BY_DIFFICULTY = { easy: 45, medium: 60, hard: 90 };
+
+// Questions the student saw this recently are avoided while others are left
+export const RECENT_DAYS = 14;
+
+// Accuracy (0-1) at which a difficulty level counts as mastered
+const MASTERY_ACCURACY = 0.8;
+
+// Topic weight is 1 for a fully mastered topic, rising by this much as accuracy falls to 0
+const WEAKNESS_EMPHASIS = 3;
+// Weight of topics the student hasn't been assessed on
+const UNASSESSED_WEIGHT = 1.5;
+
+// Weight by distance (in levels) from the challenge difficulty
+const DIFFICULTY_WEIGHTS = [3, 1.5, 0.5];
+
+// NEET marking, stored on generated quizzes for the QUIZ marking scheme
+const PRACTICE_MARKS = { correct_answer_marks: '4.0', negative_marks: '1.0' };
+
+/**
+ * Builds practice quizzes from a question bank, weighted toward the student's
+ * weak topics and the difficulty just above what they have mastered
+ */
+export class PracticeGenerator {
+  /**
+   * @param {Array} bank Question bank in the upstream question shape
+   * @param {Object} data { currentQuiz, submission, history } of the student
+   * @param {SyllabusGraph} [syllabus] Syllabus graph, used to match topics and filter by subject
+   */
+  constructor(bank, { currentQuiz, submission, history }, syllabus = null) {
+    this.bank = bank;
+    this.syllabus = syllabus;
+    this.analyzer = new QuizAnalyzer(currentQuiz, submission, history, syllabus);
+  }
+
+  /**
+   * Identifies the concept a topic belongs to: its syllabus node when the
+   * syllabus knows it, else the normalized topic name
+   * @param {string} topic Topic name
+   * @returns {string} Concept key
+   */
+  conceptOf(topic) {
+    const node = this.syllabus && this.syllabus.findNode(topic);
+    return node ? node.id : normalizeTopicName(topic);
+  }
+
+  /**
+   * Averages the student's accuracy per concept, weighted by attempts
+   * @returns {Map} Concept key to { accuracy (0-100), attempts }
+   */
+  calculateConceptAccuracy() {
+    const concepts = new Map();
+    this.analyzer.collectTopicAccuracy().forEach(({ topic, accuracy, attempts }) => {
+      const concept = this.conceptOf(topic);
+      const existing = concepts.get(concept);
+      concepts.set(concept, existing
+        ? {
+          accuracy: (existing.accuracy * existing.attempts + accuracy * attempts) / (existing.attempts + attempts),
+          attempts: existing.attempts + attempts
+        }
+        : { accuracy, attempts });
+    });
+    return concepts;
+  }
+
+  /**
+   * Finds the best-challenge difficulty: the easiest level the student hasn't
+   * mastered yet (untested levels count as not mastered). Hard once everything
+   * is mastered, medium without any data.
+   * @returns {string} easy, medium or hard
+   */
+  findChallengeDifficulty() {
+    const { byDifficulty } = this.analyzer.calculateDifficultyBreakdown();
+    if (DIFFICULTY_LEVELS.every(level => byDifficulty[level].accuracy === null)) return 'medium';
+    return DIFFICULTY_LEVELS.find(level => byDifficulty[level].accuracy === null ||
+      byDifficulty[level].accuracy < MASTERY_ACCURACY) || 'hard';
+  }
+
+  /**
+   * Generates a practice quiz. Questions are drawn without replacement with
+   * probability proportional to topic weight × difficulty weight, skipping
+   * recently seen questions unless the bank runs out, until the requested
+   * length is reached or no further question fits the time limit.
+   * @param {Object} [options] Generation options
+   * @param {number} [options.length] Number of questions
+   * @param {number} [options.minutes] Time limit; defaults to the questions' expected time
+   * @param {string} [options.subject] Only questions from this syllabus subject
+   * @param {number} [options.seed] Random seed, for reproducible quizzes
+   * @param {Set} [options.recentQuestionIds] Ids of questions seen within RECENT_DAYS
+   * @returns {Object} { quiz, selection }
+   */
+  generate({
+    length = DEFAULT_PRACTICE_LENGTH,
+    minutes,
+    subject,
+    seed = Math.floor(Math.random() * 2 ** 32),
+    recentQuestionIds = new Set()
+  } = {}) {
+    let pool = getQuizQuestions({ questions: this.bank });
+    if (subject) {
+      const subjects = this.syllabus ? this.syllabus.getSubjects() : [];
+      const name = subjects.find(candidate => candidate.toLowerCase() === String(subject).toLowerCase());
+      if (!name) {
+        throw new HttpError(400, `subject must be one of: ${subjects.join(', ')}`);
+      }
+      pool = pool.filter(question => this.syllabus.subjectOf(question.topic) === name);
+    }
+    if (pool.length === 0) {
+      throw new HttpError(404, 'The question bank has no questions to practise');
+    }
+
+    const conceptAccuracy = this.calculateConceptAccuracy();
+    const challengeDifficulty = this.findChallengeDifficulty();
+    const challengeIndex = DIFFICULTY_LEVELS.indexOf(challengeDifficulty);
+    const topicWeight = question => {
+      const stats = conceptAccuracy.get(this.conceptOf(question.topic));
+      return stats ? 1 + WEAKNESS_EMPHASIS * (1 - stats.accuracy / 100) : UNASSESSED_WEIGHT;
+    };
+    const difficultyWeight = question => {
+      const level = question.difficulty || 'medium';
+      return DIFFICULTY_WEIGHTS[Math.abs(DIFFICULTY_LEVELS.indexOf(level) - challengeIndex)];
+    };
+    const secondsFor = question => SECONDS_BY_DIFFICULTY[question.difficulty || 'medium'];
+
+    const random = createRandom(seed);
+    const budget = minutes === undefined ? Infinity : minutes * 60;
+    const selected = [];
+    let seconds = 0;
+    const draw = candidates => {
+      let remaining = candidates.map(question => ({ question, weight: topicWeight(question) * difficultyWeight(question) }));
+      while (selected.length < length) {
+        remaining = remaining.filter(({ question }) => seconds + secondsFor(question) <= budget);
+        if (remaining.length === 0) return;
+        const total = remaining.reduce((sum, candidate) => sum + candidate.weight, 0);
+        let target = random() * total;
+        const index = remaining.findIndex(candidate => (target -= candidate.weight) < 0);
+        const [{ question }] = remaining.splice(index === -1 ? remaining.length - 1 : index, 1);
+        selected.push(question);
+        seconds += secondsFor(question);
+      }
+    };
+    draw(pool.filter(question => !recentQuestionIds.has(String(question.id))));
+    const fresh = selected.length;
+    draw(pool.filter(question => recentQuestionIds.has(String(question.id))));
+
+    if (selected.length === 0) {
+      throw new HttpError(400, 'No question fits the time limit');
+    }
+
+    const bankById = new Map(this.bank.map(question => [String(question.id), question]));
+    const topics = [...new Set(selected.map(question => question.topic))];
+    const quiz = {
+      id: `practice-${Date.now().toString(36)}-${(seed >>> 0).toString(36)}`,
+      title: 'Practice quiz',
+      topic: topics.length === 1 ? topics[0] : MIXED_TOPIC,
+      duration: minutes === undefined ? Math.ceil(seconds / 60) : minutes,
+      questions_count: selected.length,
+      ...PRACTICE_MARKS,
+      questions: selected.map(question => structuredClone(bankById.get(String(question.id))))
+    };
+
+    return {
+      quiz: { quiz },
+      selection: {
+        seed,
+        challengeDifficulty,
+        estimatedMinutes: seconds / 60,
+        recentQuestionsReused: selected.length - fresh,
+        difficultyMix: Object.fromEntries(DIFFICULTY_LEVELS.map(level =>
+          [level, selected.filter(question => (question.difficulty || 'medium') === level).length])),
+        topics: topics.map(topic => {
+          const stats = conceptAccuracy.get(this.conceptOf(topic));
+          return {
+            topic,
+            questions: selected.filter(question => question.topic === topic).length,
+            accuracy: stats ? stats.accuracy : null,
+            weight: topicWeight({ topic })
+          };
+        })
+      }
+    };
+  }
+}
+
+const bankCache = new Map();
+
+/**
+ * Loads and checks the question bank. Results are memoized per file.
+ * @param {string} [file] Bank path (defaults to QUESTION_BANK_FILE or the bundled bank)
+ * @returns {Promise<Array>} Questions in the upstream question shape
+ */
+export function loadQuestionBank(file = process.env.QUESTION_BANK_FILE || DEFAULT_QUESTION_BANK_FILE) {
+  const resolved = path.resolve(file);
+  if (!bankCache.has(resolved)) {
+    const loading = (async () => {
+      const bank = JSON.parse(await fs.readFile(resolved, 'utf8'));
+      const issues = validate(SCHEMAS.currentQuiz, { questions: bank.questions });
+      if (issues.length > 0) {
+        const [{ path: at, problem }] = issues;
+        throw new Error(`Invalid question bank ${resolved}: ${at} ${problem}`);
+      }
+      return bank.questions;
+    })();
+
+    bankCache.set(resolved, loading);
+    loading.catch(() => bankCache.delete(resolved));
+  }
+  return bankCache.get(resolved);
+}
@@ -0,0 +1,148 @@
+import { RECENT_DAYS } from './PracticeGenerator.js';
+import { NotFoundError } from '../utils/errors.js';
+import { assertHistoryEntry } from '../utils/schemas.js';
+
+const STORE_COLLECTION = 'practice';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Prepares a quiz record for the student. Until the quiz has been submitted its
+ * questions go out without the correct options and solutions; the stored
+ * record keeps them for scoring.
+ * @param {Object} record Quiz record
+ * @returns {Object} Record to send
+ */
+export function presentPracticeQuiz(record) {
+  if (record.submissions.length > 0) return record;
+
+  const { questions, ...quiz } = record.quiz.quiz;
+  return {
+    ...record,
+    quiz: {
+      quiz: {
+        ...quiz,
+        questions: questions.map(({ detailed_solution: _solution, solution: _text, options, ...question }) => ({
+          ...question,
+          options: options.map(({ is_correct: _correct, ...option }) => option)
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Keeps a user's generated practice quizzes and the submissions made to them
+ * in the store
+ */
+export class PracticeLibrary {
+  /**
+   * @param {JsonFileStore} store Store the library is kept in
+   * @param {string} userId Library owner
+   */
+  constructor(store, userId) {
+    this.store = store;
+    this.userId = userId;
+  }
+
+  /**
+   * Reads the library's quizzes
+   * @returns {Promise<Array>} Quiz records, oldest first
+   */
+  async getQuizzes() {
+    const library = await this.store.read(STORE_COLLECTION, this.userId, { quizzes: [] });
+    return library.quizzes;
+  }
+
+  /**
+   * Lists the quizzes without their questions
+   * @returns {Promise<Array>} Summaries, newest first
+   */
+  async list() {
+    const quizzes = await this.getQuizzes();
+    return quizzes
+      .map(record => ({
+        id: record.id,
+        createdAt: record.createdAt,
+        topic: record.quiz.quiz.topic,
+        questions: record.quiz.quiz.questions_count,
+        duration: record.quiz.quiz.duration,
+        submissions: record.submissions.length
+      }))
+      .reverse();
+  }
+
+  /**
+   * Reads one quiz record
+   * @param {string} quizId Quiz id
+   * @returns {Promise<Object>} { id, createdAt, quiz, selection, submissions }
+   */
+  async get(quizId) {
+    const record = (await this.getQuizzes()).find(candidate => candidate.id === quizId);
+    if (!record) {
+      throw new NotFoundError(`No practice quiz "${quizId}"`);
+    }
+    return record;
+  }
+
+  /**
+   * Lists the submissions to every quiz, which join the user's history
+   * @returns {Promise<Array>} Submissions, oldest first
+   */
+  async listSubmissions() {
+    const quizzes = await this.getQuizzes();
+    return quizzes
+      .flatMap(record => record.submissions)
+      .sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+  }
+
+  /**
+   * Collects the questions of quizzes generated within RECENT_DAYS
+   * @param {Date} [now] Current time
+   * @returns {Promise<Set>} Question ids as strings
+   */
+  async getRecentQuestionIds(now = new Date()) {
+    const since = now.getTime() - RECENT_DAYS * DAY_MS;
+    const quizzes = await this.getQuizzes();
+    return new Set(quizzes
+      .filter(record => Date.parse(record.createdAt) >= since)
+      .flatMap(record => record.quiz.quiz.questions.map(question => String(question.id))));
+  }
+
+  /**
+   * Stores a generated quiz
+   * @param {Object} generated Result of PracticeGenerator.generate
+   * @returns {Promise<Object>} Quiz record
+   */
+  async save({ quiz, selection }) {
+    const record = { id: quiz.quiz.id, createdAt: new Date().toISOString(), quiz, selection, submissions: [] };
+    await this.store.update(STORE_COLLECTION, this.userId, current =>
+      ({ ...current, quizzes: [...current.quizzes, record] }), { userId: this.userId, quizzes: [] });
+    return record;
+  }
+
+  /**
+   * Stores a submission to a quiz
+   * @param {string} quizId Quiz id
+   * @param {Function} build Receives the quiz record and returns the submission
+   * @returns {Promise<Object>} Stored submission
+   */
+  async addSubmission(quizId, build) {
+    let submission = null;
+    await this.store.update(STORE_COLLECTION, this.userId, current => {
+      const record = current.quizzes.find(candidate => candidate.id === quizId);
+      if (!record) {
+        throw new NotFoundError(`No practice quiz "${quizId}"`);
+      }
+      submission = build(record);
+      assertHistoryEntry(submission);
+      return {
+        ...current,
+        quizzes: current.quizzes.map(candidate => (candidate === record
+          ? { ...record, submissions: [...record.submissions, submission] }
+          : candidate))
+      };
+    }, { userId: this.userId, quizzes: [] });
+    return submission;
+  }
+}
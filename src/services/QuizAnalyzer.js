@@ -1,23 +1,260 @@
+import {
+  DIFFICULTY_LEVELS,
+  calculateMean,
+  calculateStandardDeviation,
+  getAttemptTopic,
+  getQuizQuestions,
+  getSubmissionAnswers,
+  parseDurationMinutes,
+  parseNumeric
+} from '../utils/dataProcessing.js';
+import { HttpError } from '../utils/errors.js';
+
+// Weak areas: topics averaging below this accuracy (%) or above this mistake
+// rate. Weak topics of the current quiz and the 'Needs Focus' topic status use
+// the same accuracy threshold.
+export const WEAK_ACCURACY = 70;
+export const WEAK_MISTAKE_RATE = 0.3;
+
+// Topics at or above this accuracy (%) in the current quiz count as strong
+export const STRONG_ACCURACY = 80;
+
+// Marks per correct answer for the difficulty-weighted score; questions
+// without a difficulty count as medium.
+export const DIFFICULTY_WEIGHTS = { easy: 1, medium: 2, hard: 3 };
+
+const DIFFICULTY_WEAKNESS_DESCRIPTIONS = {
+  fundamentals: 'Misses easy questions - revise core concepts before attempting harder problems',
+  intermediate: 'Handles easy questions but misses medium ones - practise standard problem types',
+  advanced: 'Only misses hard questions - work on multi-step and application problems'
+};
+
 export class QuizAnalyzer {
-  constructor(currentQuiz, submission, history) {
+  /**
+   * @param {Object} currentQuiz Quiz definition
+   * @param {Object} submission Current submission
+   * @param {Array} history Historical attempts
+   * @param {SyllabusGraph} [syllabus] Syllabus graph for conceptual gaps and chapter/subject rollups
+   */
+  constructor(currentQuiz, submission, history, syllabus = null) {
     this.currentQuiz = currentQuiz;
     this.submission = submission;
     this.history = history;
+    this.syllabus = syllabus;
+    this.questions = getQuizQuestions(currentQuiz);
+    this.answers = getSubmissionAnswers(submission);
   }
 
   /**
    * Generates comprehensive analysis of quiz performance
+   * @param {Object} [options] Analysis options
+   * @param {string} [options.subject] Only report topics of this subject
    * @returns {Object} Analysis results
    */
-  generateAnalysis() {
+  generateAnalysis({ subject } = {}) {
+    const { topicPerformance, weakAreas } = this.analyzeHistoricalTopics();
+
+    const analysis = {
+      currentPerformance: this.analyzePerformance(),
+      topicPerformance,
+      weakAreas,
+      currentQuizTopics: this.analyzeTopicWisePerformance(),
+      improvementAreas: this.identifyImprovementAreas(),
+      difficultyAnalysis: {
+        ...this.calculateDifficultyBreakdown(),
+        weightedScore: this.calculateDifficultyWeightedScore(),
+        weakAreas: this.classifyDifficultyWeaknesses()
+      },
+      subjectAnalysis: this.analyzeSubjects(),
+      trends: this.analyzePerformanceTrend()
+    };
+    return subject ? this.filterAnalysisBySubject(analysis, subject) : analysis;
+  }
+
+  /**
+   * Narrows the topic-keyed parts of an analysis to one subject
+   * @param {Object} analysis Result of generateAnalysis
+   * @param {string} subject Subject name, any case
+   * @returns {Object} Filtered analysis
+   */
+  filterAnalysisBySubject(analysis, subject) {
+    if (!this.syllabus) {
+      throw new HttpError(400, 'Subject filtering needs the syllabus');
+    }
+    const name = this.syllabus.getSubjects().find(candidate => candidate.toLowerCase() === String(subject).toLowerCase());
+    if (!name) {
+      throw new HttpError(400, `subject must be one of: ${this.syllabus.getSubjects().join(', ')}`);
+    }
+
+    const inSubject = topic => this.syllabus.subjectOf(topic) === name;
+    const pickTopics = byTopic => Object.fromEntries(Object.entries(byTopic).filter(([topic]) => inSubject(topic)));
+    const trends = Object.fromEntries(Object.entries(analysis.trends)
+      .map(([metric, points]) => [metric, points.filter(point => point.subject === name)]));
+
     return {
-      performance: this.analyzePerformance(),
-      insights: {
-        improvementAreas: this.identifyImprovementAreas(),
-        performanceTrend: this.analyzePerformanceTrend(),
-        topicWiseAnalysis: this.analyzeTopicWisePerformance()
-      }
+      ...analysis,
+      subject: name,
+      topicPerformance: pickTopics(analysis.topicPerformance),
+      weakAreas: analysis.weakAreas.filter(area => inSubject(area.topic)),
+      currentQuizTopics: pickTopics(analysis.currentQuizTopics),
+      improvementAreas: analysis.improvementAreas.filter(inSubject),
+      difficultyAnalysis: {
+        ...analysis.difficultyAnalysis,
+        byTopic: pickTopics(analysis.difficultyAnalysis.byTopic)
+      },
+      subjectAnalysis: analysis.subjectAnalysis.filter(entry => entry.subject === name),
+      trends
+    };
+  }
+
+  /**
+   * Rolls the current quiz and history up to the NEET subjects through the
+   * syllabus. An attempt's time counts towards its quiz topic's subject; the
+   * current quiz's time is split across subjects by question count.
+   * @returns {Array|null} Subject stats in syllabus order, or null without a syllabus
+   */
+  analyzeSubjects() {
+    if (!this.syllabus) return null;
+
+    const subjects = new Map(this.syllabus.getSubjects().map(subject => [subject, {
+      subject,
+      attempts: [],
+      timeSpentMinutes: 0,
+      currentQuiz: { questions: 0, correct: 0, incorrect: 0, skipped: 0 }
+    }]));
+
+    this.history.forEach(attempt => {
+      const stats = subjects.get(this.syllabus.subjectOf(attempt.quiz.topic));
+      if (!stats) return;
+      stats.attempts.push(attempt);
+      stats.timeSpentMinutes += parseDurationMinutes(attempt.duration) || 0;
+    });
+
+    const results = this.getQuestionResults();
+    const currentMinutes = parseDurationMinutes(this.submission.duration) || 0;
+    results.forEach(result => {
+      const stats = subjects.get(this.syllabus.subjectOf(result.topic));
+      if (!stats) return;
+      stats.currentQuiz.questions++;
+      stats.currentQuiz[result.status]++;
+      stats.timeSpentMinutes += currentMinutes / results.length;
+    });
+
+    const rollup = this.syllabus.rollUp(this.collectTopicAccuracy());
+    return [...subjects.values()].map(stats => {
+      const rolled = rollup.subjects.find(entry => entry.name === stats.subject);
+      const { questions, correct } = stats.currentQuiz;
+      return {
+        subject: stats.subject,
+        attempts: stats.attempts.length,
+        averageScore: stats.attempts.length > 0
+          ? calculateMean(stats.attempts.map(attempt => parseNumeric(attempt.final_score)))
+          : null,
+        averageAccuracy: stats.attempts.length > 0
+          ? calculateMean(stats.attempts.map(attempt => parseNumeric(attempt.accuracy)))
+          : null,
+        timeSpentMinutes: stats.timeSpentMinutes,
+        currentQuiz: questions > 0 ? { ...stats.currentQuiz, accuracy: (correct / questions) * 100 } : null,
+        accuracy: rolled ? rolled.accuracy : null,
+        weakTopics: rolled ? rolled.weakTopics : [],
+        weak: rolled ? rolled.weak : false
+      };
+    });
+  }
+
+  /**
+   * Calculates accuracy by difficulty, overall and per topic
+   * @returns {Object} { byDifficulty, byTopic } with { total, correct, accuracy } cells
+   */
+  calculateDifficultyBreakdown() {
+    const emptyCell = () => ({ total: 0, correct: 0, accuracy: null });
+    const emptyRow = () => Object.fromEntries(
+      [...DIFFICULTY_LEVELS, 'unknown'].map(level => [level, emptyCell()]));
+
+    const byDifficulty = emptyRow();
+    const byTopic = {};
+
+    this.questions.forEach(question => {
+      const level = question.difficulty || 'unknown';
+      const correct = this.isCorrectAnswer(question.id);
+      if (!byTopic[question.topic]) byTopic[question.topic] = emptyRow();
+
+      [byDifficulty[level], byTopic[question.topic][level]].forEach(cell => {
+        cell.total++;
+        if (correct) cell.correct++;
+      });
+    });
+
+    const finalize = row => {
+      Object.values(row).forEach(cell => {
+        cell.accuracy = cell.total > 0 ? cell.correct / cell.total : null;
+      });
+      return row;
     };
+    finalize(byDifficulty);
+    Object.values(byTopic).forEach(finalize);
+
+    return { byDifficulty, byTopic };
+  }
+
+  /**
+   * Scores the current quiz with correct answers weighted by difficulty
+   * @returns {Object} Earned and possible weighted marks and percentage
+   */
+  calculateDifficultyWeightedScore() {
+    let earned = 0;
+    let possible = 0;
+
+    this.questions.forEach(question => {
+      const weight = DIFFICULTY_WEIGHTS[question.difficulty] || DIFFICULTY_WEIGHTS.medium;
+      possible += weight;
+      if (this.isCorrectAnswer(question.id)) earned += weight;
+    });
+
+    return {
+      earned,
+      possible,
+      percentage: possible > 0 ? (earned / possible) * 100 : 0,
+      weights: DIFFICULTY_WEIGHTS
+    };
+  }
+
+  /**
+   * Separates topics that lose marks on easy questions (a fundamentals gap)
+   * from those that only miss hard ones. A topic's questions of one difficulty
+   * count as weak when their accuracy is below WEAK_ACCURACY, so an odd slip
+   * among many right answers doesn't flag the topic.
+   * @returns {Array} Weak areas with type 'fundamentals' | 'intermediate' | 'advanced'
+   */
+  classifyDifficultyWeaknesses() {
+    const { byTopic } = this.calculateDifficultyBreakdown();
+    const missed = cell => cell.total - cell.correct;
+    const weak = cell => cell.total > 0 && cell.accuracy * 100 < WEAK_ACCURACY;
+    const weakAreas = [];
+
+    Object.entries(byTopic).forEach(([topic, row]) => {
+      let type = null;
+      if (weak(row.easy)) {
+        type = 'fundamentals';
+      } else if (weak(row.medium) || weak(row.unknown)) {
+        type = 'intermediate';
+      } else if (weak(row.hard)) {
+        type = 'advanced';
+      }
+      if (!type) return;
+
+      weakAreas.push({
+        topic,
+        type,
+        description: DIFFICULTY_WEAKNESS_DESCRIPTIONS[type],
+        missedByDifficulty: Object.fromEntries(
+          Object.entries(row).filter(([_, cell]) => cell.total > 0).map(([level, cell]) => [level, missed(cell)]))
+      });
+    });
+
+    // Fundamentals gaps first
+    const order = ['fundamentals', 'intermediate', 'advanced'];
+    return weakAreas.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
   }
 
   /**
@@ -25,19 +262,64 @@ export class QuizAnalyzer {
    * @returns {Object} Performance metrics
    */
   analyzePerformance() {
-    const { score, accuracy, speed } = this.submission;
-    const weakTopics = this.identifyWeakTopics();
-    const strongTopics = this.identifyStrongTopics();
+    const { score, accuracy, speed, mistakes_corrected, initial_mistake_count } = this.submission;
 
     return {
-      score,
-      accuracy,
-      speed,
-      weakTopics,
-      strongTopics
+      score: parseNumeric(score),
+      accuracy: parseNumeric(accuracy),
+      speed: parseNumeric(speed),
+      mistakesImprovement: initial_mistake_count ? mistakes_corrected / initial_mistake_count : 0,
+      weakTopics: this.identifyWeakTopics(),
+      strongTopics: this.identifyStrongTopics()
     };
   }
 
+  /**
+   * Aggregates historical attempts by quiz topic and flags weak areas
+   * (average accuracy below WEAK_ACCURACY or mistake rate above WEAK_MISTAKE_RATE).
+   * Mixed-topic attempts are left out.
+   * @returns {Object} Topic stats and weak areas
+   */
+  analyzeHistoricalTopics() {
+    const topicPerformance = {};
+
+    this.history.forEach(attempt => {
+      const topic = getAttemptTopic(attempt);
+      if (!topic) return;
+      if (!topicPerformance[topic]) {
+        topicPerformance[topic] = {
+          attempts: 0,
+          totalAccuracy: 0,
+          averageSpeed: 0,
+          mistakeRate: 0
+        };
+      }
+
+      const stats = topicPerformance[topic];
+      stats.attempts++;
+      stats.totalAccuracy += parseNumeric(attempt.accuracy);
+      stats.averageSpeed += parseNumeric(attempt.speed);
+      stats.mistakeRate += attempt.incorrect_answers / attempt.total_questions;
+    });
+
+    const weakAreas = [];
+    Object.entries(topicPerformance).forEach(([topic, stats]) => {
+      stats.averageAccuracy = stats.totalAccuracy / stats.attempts;
+      stats.averageSpeed = stats.averageSpeed / stats.attempts;
+      stats.averageMistakeRate = stats.mistakeRate / stats.attempts;
+
+      if (stats.averageAccuracy < WEAK_ACCURACY || stats.averageMistakeRate > WEAK_MISTAKE_RATE) {
+        weakAreas.push({
+          topic,
+          averageAccuracy: stats.averageAccuracy,
+          mistakeRate: stats.averageMistakeRate
+        });
+      }
+    });
+
+    return { topicPerformance, weakAreas };
+  }
+
   /**
    * Identifies topics needing improvement
    * @returns {Array} List of topics
@@ -45,19 +327,27 @@ export class QuizAnalyzer {
   identifyImprovementAreas() {
     const topicPerformance = this.calculateTopicPerformance();
     return Object.entries(topicPerformance)
-      .filter(([_, performance]) => performance.accuracy < 0.7)
+      .filter(([_, performance]) => performance.accuracy * 100 < WEAK_ACCURACY)
       .map(([topic]) => topic);
   }
 
   /**
    * Analyzes performance trends from historical data
-   * @returns {Object} Performance trends
+   * @returns {Object} Dated accuracy, speed and score series, oldest first
    */
   analyzePerformanceTrend() {
+    const attempts = [...this.history].sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+    const point = (attempt, key, value) => ({
+      date: attempt.submitted_at,
+      [key]: value,
+      topic: getAttemptTopic(attempt),
+      subject: this.syllabus ? this.syllabus.subjectOf(attempt.quiz.topic) : null
+    });
+
     return {
-      scoreProgression: this.history.map(quiz => quiz.score),
-      accuracyTrend: this.history.map(quiz => quiz.accuracy),
-      speedTrend: this.history.map(quiz => quiz.speed)
+      accuracy: attempts.map(attempt => point(attempt, 'accuracy', parseNumeric(attempt.accuracy))),
+      speed: attempts.map(attempt => point(attempt, 'speed', parseNumeric(attempt.speed))),
+      score: attempts.map(attempt => point(attempt, 'score', parseNumeric(attempt.final_score)))
     };
   }
 
@@ -72,6 +362,8 @@ export class QuizAnalyzer {
     for (const [topic, performance] of Object.entries(topicPerformance)) {
       result[topic] = {
         accuracy: performance.accuracy,
+        totalQuestions: performance.totalQuestions,
+        correctAnswers: performance.correctAnswers,
         improvement: this.calculateTopicImprovement(topic),
         status: this.determineTopicStatus(performance.accuracy)
       };
@@ -81,14 +373,14 @@ export class QuizAnalyzer {
   }
 
   /**
-   * Calculates performance metrics for each topic
+   * Calculates performance metrics for each topic of the current quiz
    * @returns {Object} Topic performance metrics
    */
   calculateTopicPerformance() {
     const topicStats = {};
 
     // Group questions by topic
-    this.currentQuiz.questions.forEach(question => {
+    this.questions.forEach(question => {
       if (!topicStats[question.topic]) {
         topicStats[question.topic] = {
           total: 0,
@@ -121,58 +413,93 @@ export class QuizAnalyzer {
    * @returns {boolean} Whether answer was correct
    */
   isCorrectAnswer(questionId) {
-    const question = this.currentQuiz.questions.find(q => q.id === questionId);
-    const userAnswer = this.submission.answers[questionId];
-    return question && userAnswer === question.correctOption;
+    const question = this.questions.find(q => String(q.id) === String(questionId));
+    const userAnswer = this.answers[questionId];
+    return Boolean(question) && userAnswer !== undefined && userAnswer !== null &&
+      String(userAnswer) === String(question.correctOption);
   }
 
   /**
-   * Identifies topics with low performance
+   * Builds the per-question review of the current quiz
+   * @returns {Array} Question results with chosen/correct options, status and
+   * time spent (when the submission recorded per-question timings)
+   */
+  getQuestionResults() {
+    const timings = (this.submission && this.submission.question_timings) || {};
+    const describeOption = (question, optionId) => {
+      if (optionId === undefined || optionId === null) return null;
+      const option = question.options.find(o => String(o.id) === String(optionId));
+      return { id: optionId, description: option ? option.description : null };
+    };
+
+    return this.questions.map(question => {
+      const chosen = this.answers[question.id];
+      const isSkipped = chosen === undefined || chosen === null;
+      const isCorrect = this.isCorrectAnswer(question.id);
+
+      return {
+        id: question.id,
+        description: question.description,
+        topic: question.topic,
+        difficulty: question.difficulty,
+        chosenOption: describeOption(question, chosen),
+        correctOption: describeOption(question, question.correctOption),
+        isCorrect,
+        isSkipped,
+        status: isSkipped ? 'skipped' : (isCorrect ? 'correct' : 'incorrect'),
+        timeSpentSeconds: timings[question.id] ?? null,
+        solution: question.solution
+      };
+    });
+  }
+
+  /**
+   * Identifies topics of the current quiz below WEAK_ACCURACY
    * @returns {Array} List of weak topics
    */
   identifyWeakTopics() {
     const topicPerformance = this.calculateTopicPerformance();
     return Object.entries(topicPerformance)
-      .filter(([_, performance]) => performance.accuracy < 0.6)
+      .filter(([_, performance]) => performance.accuracy * 100 < WEAK_ACCURACY)
       .map(([topic]) => topic);
   }
 
   /**
-   * Identifies topics with high performance
+   * Identifies topics of the current quiz at or above STRONG_ACCURACY
    * @returns {Array} List of strong topics
    */
   identifyStrongTopics() {
     const topicPerformance = this.calculateTopicPerformance();
     return Object.entries(topicPerformance)
-      .filter(([_, performance]) => performance.accuracy > 0.8)
+      .filter(([_, performance]) => performance.accuracy * 100 >= STRONG_ACCURACY)
       .map(([topic]) => topic);
   }
 
   /**
-   * Calculates improvement in topic performance
+   * Calculates improvement in topic accuracy over the last three historical
+   * attempts on that topic
    * @param {string} topic Topic to analyze
-   * @returns {number} Improvement rate
+   * @returns {number} Improvement rate (fraction of questions)
    */
   calculateTopicImprovement(topic) {
-    const recentQuizzes = this.history.slice(-3);
-    const topicScores = recentQuizzes.map(quiz => {
-      const topicQuestions = quiz.questions.filter(q => q.topic === topic);
-      const correct = topicQuestions.filter(q => this.isCorrectAnswer(q.id)).length;
-      return correct / topicQuestions.length;
-    });
+    const topicAttempts = this.history
+      .filter(attempt => (getAttemptTopic(attempt) || '').toLowerCase() === String(topic).toLowerCase())
+      .slice(-3)
+      .map(attempt => parseNumeric(attempt.accuracy) / 100);
 
-    if (topicScores.length < 2) return 0;
-    return topicScores[topicScores.length - 1] - topicScores[0];
+    if (topicAttempts.length < 2) return 0;
+    return topicAttempts[topicAttempts.length - 1] - topicAttempts[0];
   }
 
   /**
-   * Determines topic mastery status
-   * @param {number} accuracy Topic accuracy
+   * Determines topic mastery status: 'Needs Focus' below WEAK_ACCURACY,
+   * 'Mastered' from STRONG_ACCURACY
+   * @param {number} accuracy Topic accuracy (fraction)
    * @returns {string} Status label
    */
   determineTopicStatus(accuracy) {
-    if (accuracy >= 0.8) return 'Mastered';
-    if (accuracy >= 0.6) return 'Improving';
+    if (accuracy * 100 >= STRONG_ACCURACY) return 'Mastered';
+    if (accuracy * 100 >= WEAK_ACCURACY) return 'Improving';
     return 'Needs Focus';
   }
 
@@ -182,9 +509,9 @@ export class QuizAnalyzer {
    */
   generateInsights() {
     const analysis = this.generateAnalysis();
-    const trends = this.analyzePerformanceTrend();
 
     return {
+      performance: analysis,
       overallPerformance: {
         averageScore: this.calculateAverageScore(),
         averageAccuracy: this.calculateAverageAccuracy(),
@@ -192,12 +519,23 @@ export class QuizAnalyzer {
         consistencyScore: this.calculateConsistencyScore()
       },
       topicWiseAnalysis: this.generateTopicWiseInsights(),
-      weakAreas: {
-        topics: analysis.performance.weakTopics,
-        conceptualGaps: this.identifyConceptualGaps(),
-        recommendedActions: this.generateRecommendations()
-      },
-      trends
+      syllabusRollup: this.syllabus ? this.syllabus.rollUp(this.collectTopicAccuracy()) : null,
+      recommendations: {
+        weakAreas: analysis.weakAreas,
+        weakTopics: analysis.currentPerformance.weakTopics,
+        improvementAreas: analysis.weakAreas.map(area => ({
+          topic: area.topic,
+          recommendation: `Focus on improving ${area.topic} with current accuracy of ${area.averageAccuracy.toFixed(1)}%`
+        })),
+        conceptualGaps: this.identifyConceptualGaps(analysis.weakAreas),
+        difficultyWeakAreas: analysis.difficultyAnalysis.weakAreas,
+        recommendedActions: this.generateRecommendations(),
+        nextSteps: [
+          'Practice weak topics more frequently',
+          'Focus on accuracy over speed initially',
+          'Review mistakes after each quiz attempt'
+        ]
+      }
     };
   }
 
@@ -206,8 +544,7 @@ export class QuizAnalyzer {
    * @returns {number} Average score
    */
   calculateAverageScore() {
-    const scores = this.history.map(quiz => quiz.score);
-    return scores.reduce((a, b) => a + b, 0) / scores.length;
+    return calculateMean(this.history.map(quiz => parseNumeric(quiz.score)));
   }
 
   /**
@@ -215,8 +552,7 @@ export class QuizAnalyzer {
    * @returns {number} Average accuracy
    */
   calculateAverageAccuracy() {
-    const accuracies = this.history.map(quiz => quiz.accuracy);
-    return accuracies.reduce((a, b) => a + b, 0) / accuracies.length;
+    return calculateMean(this.history.map(quiz => parseNumeric(quiz.accuracy)));
   }
 
   /**
@@ -224,9 +560,9 @@ export class QuizAnalyzer {
    * @returns {number} Improvement rate
    */
   calculateImprovementRate() {
-    const scores = this.history.map(quiz => quiz.score);
-    if (scores.length < 2) return 0;
-    return (scores[scores.length - 1] - scores[0]) / scores[0];
+    const scores = this.history.map(quiz => parseNumeric(quiz.score));
+    if (scores.length < 2 || scores[0] === 0) return 0;
+    return (scores[scores.length - 1] - scores[0]) / Math.abs(scores[0]);
   }
 
   /**
@@ -234,10 +570,10 @@ export class QuizAnalyzer {
    * @returns {number} Consistency score
    */
   calculateConsistencyScore() {
-    const scores = this.history.map(quiz => quiz.score);
-    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-    const variance = scores.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / scores.length;
-    return 1 - Math.sqrt(variance) / mean;
+    const scores = this.history.map(quiz => parseNumeric(quiz.score));
+    const mean = calculateMean(scores);
+    if (mean === 0) return 0;
+    return 1 - calculateStandardDeviation(scores) / mean;
   }
 
   /**
@@ -250,30 +586,60 @@ export class QuizAnalyzer {
       topic,
       accuracy: performance.accuracy,
       improvement: this.calculateTopicImprovement(topic),
-      recommendedFocus: performance.accuracy < 0.7
+      recommendedFocus: performance.accuracy * 100 < WEAK_ACCURACY
     }));
   }
 
   /**
-   * Identifies conceptual gaps from weak areas
-   * @returns {Array} List of conceptual gaps
+   * Combines historical topic accuracy with the current quiz's per-topic accuracy
+   * @returns {Array} { topic, accuracy (0-100), attempts }
    */
-  identifyConceptualGaps() {
-    const weakTopics = this.identifyWeakTopics();
-    return weakTopics.map(topic => ({
+  collectTopicAccuracy() {
+    const { topicPerformance } = this.analyzeHistoricalTopics();
+    const stats = Object.entries(topicPerformance).map(([topic, performance]) => ({
       topic,
-      conceptualAreas: this.findRelatedConcepts(topic)
+      accuracy: performance.averageAccuracy,
+      attempts: performance.attempts
     }));
+    Object.entries(this.calculateTopicPerformance()).forEach(([topic, performance]) => {
+      stats.push({ topic, accuracy: performance.accuracy * 100, attempts: 1 });
+    });
+    return stats;
   }
 
   /**
-   * Finds related concepts for a topic
+   * Identifies conceptual gaps behind weak topics (weak in the current quiz or
+   * historical weak areas) by walking the syllabus prerequisites
+   * @param {Array} [weakAreas] Historical weak areas
+   * @returns {Array} List of conceptual gaps
+   */
+  identifyConceptualGaps(weakAreas = this.analyzeHistoricalTopics().weakAreas) {
+    const weakTopics = new Map();
+    [...this.identifyWeakTopics(), ...weakAreas.map(area => area.topic)].forEach(topic => {
+      const key = String(topic).toLowerCase();
+      if (!weakTopics.has(key)) weakTopics.set(key, topic);
+    });
+
+    const topicStats = this.collectTopicAccuracy();
+    return [...weakTopics.values()].map(topic => {
+      const gaps = this.syllabus ? this.syllabus.findConceptualGaps(topic, topicStats) : null;
+      return {
+        topic,
+        syllabusTopic: gaps ? gaps.syllabusTopic : null,
+        conceptualAreas: this.findRelatedConcepts(topic),
+        prerequisiteGaps: gaps ? gaps.prerequisiteGaps : []
+      };
+    });
+  }
+
+  /**
+   * Finds the concepts (subtopics) a topic covers in the syllabus
    * @param {string} topic Topic to analyze
-   * @returns {Array} Related concepts
+   * @returns {Array} Related concepts, empty when the topic isn't in the syllabus
    */
   findRelatedConcepts(topic) {
-    // Implementation would depend on concept mapping data
-    return [`Core concepts in ${topic}`, `Fundamental principles of ${topic}`];
+    const node = this.syllabus && this.syllabus.findNode(topic);
+    return node ? this.syllabus.getConcepts(node) : [];
   }
 
   /**
@@ -288,4 +654,3 @@ export class QuizAnalyzer {
     }));
   }
 }
-
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HttpError } from '../utils/errors.js';
+
+export const DEFAULT_RANK_DISTRIBUTIONS_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), '../reference/rank-distributions.json');
+
+/**
+ * Looks up the band covering a rank in a distribution table
+ * @param {Array} bands Bands ordered by maxRank, the last one open-ended (maxRank null)
+ * @param {number} rank All India Rank
+ * @returns {Object} Band
+ */
+function bandFor(bands, rank) {
+  return bands.find(band => band.maxRank === null || rank <= band.maxRank) || bands[bands.length - 1];
+}
+
+/**
+ * Converts All India Ranks into category, PwD and state merit ranks. A group's
+ * rank is the number of its candidates expected at or above the AIR: the
+ * integral of the group's share of candidates over ranks 1..AIR, where shares
+ * are piecewise constant over the distribution table's rank bands.
+ */
+export class RankConverter {
+  /**
+   * @param {Object} distributions Distribution tables (see src/reference/rank-distributions.json)
+   */
+  constructor(distributions) {
+    this.distributions = distributions;
+    this.states = Object.keys(bandFor(distributions.state, 1).shares);
+  }
+
+  /**
+   * Integrates the product of share functions over ranks 1..air
+   * @param {number} air All India Rank
+   * @param {Array} tables [bands, shareOf(band)] pairs
+   * @returns {number} Expected number of group candidates at or above the AIR
+   */
+  integrate(air, tables) {
+    const breakpoints = [...new Set(tables.flatMap(([bands]) => bands
+      .map(band => band.maxRank)
+      .filter(maxRank => maxRank !== null && maxRank < air)))]
+      .sort((a, b) => a - b);
+
+    let total = 0;
+    let start = 0;
+    [...breakpoints, air].forEach(end => {
+      const share = tables.reduce((product, [bands, shareOf]) => product * shareOf(bandFor(bands, end)), 1);
+      total += (end - start) * share;
+      start = end;
+    });
+    return total;
+  }
+
+  /**
+   * Converts an AIR with the tables for a group
+   * @param {number} air All India Rank
+   * @param {Array} tables [bands, shareOf(band)] pairs
+   * @returns {number} Group rank
+   */
+  convertRank(air, tables) {
+    return Math.max(1, Math.round(this.integrate(air, tables)));
+  }
+
+  /**
+   * Converts a rank and its interval
+   * @param {Object} prediction { predictedRank, confidenceInterval: { lower, upper } }
+   * @param {Array} tables [bands, shareOf(band)] pairs
+   * @returns {Object} { rank, lower, upper }
+   */
+  convertInterval({ predictedRank, confidenceInterval }, tables) {
+    return {
+      rank: this.convertRank(predictedRank, tables),
+      lower: this.convertRank(confidenceInterval.lower, tables),
+      upper: this.convertRank(confidenceInterval.upper, tables)
+    };
+  }
+
+  /**
+   * Resolves a domicile state against the distribution table's states
+   * @param {string} state State name, any case
+   * @returns {string} State name as spelled in the table
+   */
+  resolveState(state) {
+    const match = this.states.find(name => name.toLowerCase() === state.toLowerCase());
+    if (!match) {
+      throw new HttpError(400, `Unknown state "${state}". Use one of: ${this.states.join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Estimates the All India, category, PwD and state ranks for a profile.
+   * Category and PwD ranks follow NEET's category-wise merit lists; the state
+   * rank is the position among candidates domiciled in the state.
+   * @param {Object} prediction Rank prediction with predictedRank and confidenceInterval
+   * @param {Object} profile { category, pwd, state }
+   * @returns {Object} { air, category, pwd, state } each with rank, lower and upper
+   */
+  convert(prediction, { category, pwd = false, state = null }) {
+    const categoryTable = [this.distributions.category, band => band.shares[category] || 0];
+    const pwdTable = [this.distributions.pwd, band => band.share];
+
+    const ranks = {
+      air: {
+        rank: prediction.predictedRank,
+        lower: prediction.confidenceInterval.lower,
+        upper: prediction.confidenceInterval.upper
+      },
+      category: { category, ...this.convertInterval(prediction, [categoryTable]) },
+      pwd: pwd
+        ? { category: `${category}-PwD`, ...this.convertInterval(prediction, [categoryTable, pwdTable]) }
+        : null,
+      state: null
+    };
+
+    if (state) {
+      const name = this.resolveState(state);
+      ranks.state = {
+        state: name,
+        ...this.convertInterval(prediction, [[this.distributions.state, band => band.shares[name] || 0]])
+      };
+    }
+    return ranks;
+  }
+}
+
+const distributionCache = new Map();
+
+/**
+ * Loads the rank distribution tables. Results are memoized per file.
+ * @param {string} [file] Tables path (defaults to RANK_DISTRIBUTIONS_FILE or the bundled tables)
+ * @returns {Promise<Object>} Distribution tables
+ */
+export function loadRankDistributions(file = process.env.RANK_DISTRIBUTIONS_FILE || DEFAULT_RANK_DISTRIBUTIONS_FILE) {
+  const resolved = path.resolve(file);
+  if (!distributionCache.has(resolved)) {
+    const loading = (async () => {
+      const distributions = JSON.parse(await fs.readFile(resolved, 'utf8'));
+      ['category', 'pwd', 'state'].forEach(table => {
+        const bands = distributions[table];
+        if (!Array.isArray(bands) || bands.length === 0 || bands[bands.length - 1].maxRank !== null) {
+          throw new Error(`Invalid rank distributions ${resolved}: "${table}" needs bands ending with an open-ended one (maxRank null)`);
+        }
+      });
+      return distributions;
+    })();
+
+    distributionCache.set(resolved, loading);
+    loading.catch(() => distributionCache.delete(resolved));
+  }
+  return distributionCache.get(resolved);
+}
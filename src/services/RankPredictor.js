@@ -1,215 +1,315 @@
+import {
+  calculateMean,
+  calculateQuantile,
+  calculateSampleStandardDeviation,
+  createRandom,
+  parseNumeric
+} from '../utils/dataProcessing.js';
+
+// NEET awards 4 marks per question, so an attempt's score is expressed as a
+// share of total_questions * 4 before projecting it onto the exam's marks.
+const MARKS_PER_QUESTION = 4;
+
+export const DEFAULT_BOOTSTRAP = { seed: 1, iterations: 2000 };
+
+const CONFIDENCE_LEVEL = 0.95;
+
+// Attempt-to-attempt spread (percentage points) assumed when history is too short
+// to estimate one. Deliberately generous so a single attempt gives a wide interval.
+const PRIOR_SPREAD = 10;
+
+// Fewer attempts than this make the interval noticeably wide
+const MIN_RELIABLE_ATTEMPTS = 5;
+
 export class RankPredictor {
-  constructor(historicalData) {
+  /**
+   * @param {Array} historicalData Historical attempts
+   * @param {Object} options Predictor options
+   * @param {RankTable} options.rankTable Marks → rank table used for the prediction
+   * @param {Array} [options.rankTables] All available tables, for the year comparison
+   * @param {number} [options.seed] Bootstrap seed; the same seed reproduces the same interval
+   * @param {number} [options.iterations] Bootstrap resamples
+   * @param {SyllabusGraph} [options.syllabus] Syllabus graph for the subject-wise breakdown
+   */
+  constructor(historicalData, {
+    rankTable,
+    rankTables = [],
+    syllabus = null,
+    seed = DEFAULT_BOOTSTRAP.seed,
+    iterations = DEFAULT_BOOTSTRAP.iterations
+  } = {}) {
+    if (!rankTable) {
+      throw new Error('RankPredictor requires a rank table');
+    }
     this.historicalData = historicalData;
-    this.confidenceLevel = 0.95; // 95% confidence interval
+    this.rankTable = rankTable;
+    this.rankTables = rankTables.length > 0 ? rankTables : [rankTable];
+    // Blend of the current attempt and the historical average in the projection
+    this.weights = {
+      current: 0.6,
+      history: 0.4
+    };
+    this.bootstrap = { seed, iterations };
+    this.syllabus = syllabus;
   }
 
   /**
-   * Predicts NEET rank based on performance
-   * @param {Object} performance Current performance metrics
+   * Predicts NEET rank based on the current submission
+   * @param {Object} submission Current submission
    * @returns {Object} Rank prediction with confidence interval
    */
-  predictRank(performance) {
-    const normalizedScore = this.normalizeScore(performance);
-    const predictedRank = this.calculatePredictedRank(normalizedScore);
-    const confidenceInterval = this.calculateConfidenceInterval(predictedRank);
-    const potentialColleges = this.getPotentialColleges(predictedRank);
+  predictRank(submission) {
+    const projectedPercentage = this.calculateProjectedPercentage(submission);
+    const projectedMarks = this.percentageToMarks(projectedPercentage, this.rankTable);
+    const predictedRank = this.getBaseRank(projectedMarks);
+    const confidenceInterval = this.calculateConfidenceInterval(submission);
 
     return {
       predictedRank,
+      projectedMarks,
       confidenceInterval,
-      normalizedScore,
-      potentialColleges,
-      accuracy: this.calculatePredictionAccuracy()
+      uncertainty: this.explainUncertainty(confidenceInterval, projectedMarks),
+      rankTable: this.rankTable.describe(),
+      yearComparison: this.compareYears(projectedPercentage),
+      subjectBreakdown: this.calculateSubjectBreakdown(submission),
+      metrics: {
+        projectedPercentage,
+        currentPercentage: this.calculateAttemptPercentage(submission),
+        consistency: this.calculateConsistency(),
+        averageScore: this.calculateAverageScore()
+      }
     };
   }
 
   /**
-   * Normalizes performance score
-   * @param {Object} performance Performance metrics
-   * @returns {number} Normalized score
+   * Expresses an attempt's final score as a percentage of its NEET-style maximum
+   * @param {Object} attempt Submission or history entry
+   * @returns {number} Percentage in [0, 100]
    */
-  normalizeScore(performance) {
-    const weights = {
-      accuracy: 0.4,
-      speed: 0.2,
-      consistency: 0.2,
-      improvement: 0.2
-    };
-
-    return (
-      performance.accuracy * weights.accuracy +
-      performance.speed * weights.speed +
-      this.calculateConsistency() * weights.consistency +
-      this.calculateImprovement() * weights.improvement
-    );
+  calculateAttemptPercentage(attempt) {
+    const maxMarks = attempt.total_questions * MARKS_PER_QUESTION;
+    const percentage = (parseNumeric(attempt.final_score) / maxMarks) * 100;
+    return Math.min(100, Math.max(0, percentage));
   }
 
   /**
-   * Calculates predicted rank based on normalized score
-   * @param {number} normalizedScore Normalized performance score
-   * @returns {number} Predicted rank
+   * Blends the current attempt with the historical average
+   * @param {Object} submission Current submission
+   * @returns {number} Projected percentage
    */
-  calculatePredictedRank(normalizedScore) {
-    // Using historical data correlation
-    const historicalCorrelation = this.calculateHistoricalCorrelation();
-    const baseRank = this.getBaseRank(normalizedScore);
-    return Math.round(baseRank * historicalCorrelation);
+  calculateProjectedPercentage(submission) {
+    const current = this.calculateAttemptPercentage(submission);
+    if (this.historicalData.length === 0) return current;
+
+    const historical = calculateMean(this.historicalData.map(data => this.calculateAttemptPercentage(data)));
+    return current * this.weights.current + historical * this.weights.history;
   }
 
   /**
-   * Calculates confidence interval for prediction
-   * @param {number} predictedRank Predicted rank
-   * @returns {Object} Confidence interval bounds
+   * Projects a percentage onto a table's marks scale
+   * @param {number} percentage Score percentage
+   * @param {RankTable} rankTable Rank table
+   * @returns {number} Marks
    */
-  calculateConfidenceInterval(predictedRank) {
-    const standardError = this.calculateStandardError();
-    const zScore = 1.96; // For 95% confidence level
-    const margin = zScore * standardError;
-
-    return {
-      lower: Math.max(1, Math.round(predictedRank - margin)),
-      upper: Math.round(predictedRank + margin)
-    };
+  percentageToMarks(percentage, rankTable) {
+    return Math.round((percentage / 100) * rankTable.maxMarks);
   }
 
   /**
-   * Gets potential colleges based on predicted rank
-   * @param {number} predictedRank Predicted rank
-   * @returns {Array} List of potential colleges
+   * Gets base rank from projected marks using the selected year's table
+   * @param {number} marks Projected marks
+   * @returns {number} Base rank
    */
-  getPotentialColleges(predictedRank) {
-    // College tiers based on historical cutoffs
-    const collegeTiers = [
-      { maxRank: 1000, name: 'Tier 1 Medical Colleges' },
-      { maxRank: 5000, name: 'Tier 2 Medical Colleges' },
-      { maxRank: 10000, name: 'Tier 3 Medical Colleges' }
-    ];
-
-    return collegeTiers
-      .filter(tier => predictedRank <= tier.maxRank)
-      .map(tier => ({
-        name: tier.name,
-        probability: this.calculateCollegeProbability(predictedRank, tier.maxRank),
-        cutoffRange: {
-          min: tier.maxRank - 1000,
-          max: tier.maxRank
-        }
-      }));
+  getBaseRank(marks) {
+    return this.rankTable.rankForMarks(marks);
   }
 
   /**
-   * Calculates probability of college admission
-   * @param {number} predictedRank Predicted rank
-   * @param {number} cutoff College cutoff rank
-   * @returns {number} Admission probability
+   * Predicts the rank against every available year's table
+   * @param {number} projectedPercentage Projected percentage
+   * @returns {Array} { year, version, projectedMarks, predictedRank } newest first
    */
-  calculateCollegeProbability(predictedRank, cutoff) {
-    const buffer = cutoff * 0.1; // 10% buffer
-    if (predictedRank <= cutoff - buffer) return 0.9;
-    if (predictedRank <= cutoff) return 0.7;
-    return 0.3;
+  compareYears(projectedPercentage) {
+    return this.rankTables.map(table => {
+      const projectedMarks = this.percentageToMarks(projectedPercentage, table);
+      return {
+        year: table.year,
+        version: table.version,
+        projectedMarks,
+        predictedRank: table.rankForMarks(projectedMarks),
+        candidates: table.candidates
+      };
+    });
   }
 
   /**
-   * Calculates historical correlation factor
-   * @returns {number} Correlation factor
+   * Bootstraps the projected percentage. Each resample draws the historical
+   * attempts with replacement (uncertainty in the student's average) and one
+   * attempt standing in for exam day (attempt-to-attempt variance), then blends
+   * them with the same weights as the point projection.
+   * @param {Object} submission Current submission
+   * @returns {Array} Bootstrapped projected percentages
    */
-  calculateHistoricalCorrelation() {
-    const scores = this.historicalData.map(data => data.score);
-    const ranks = this.historicalData.map(data => data.rank);
-    
-    if (scores.length < 2) return 1;
-
-    // Calculate Pearson correlation coefficient
-    const meanScore = scores.reduce((a, b) => a + b, 0) / scores.length;
-    const meanRank = ranks.reduce((a, b) => a + b, 0) / ranks.length;
-
-    const numerator = scores.reduce((sum, score, i) => 
-      sum + (score - meanScore) * (ranks[i] - meanRank), 0);
-    const denominator = Math.sqrt(
-      scores.reduce((sum, score) => sum + Math.pow(score - meanScore, 2), 0) *
-      ranks.reduce((sum, rank) => sum + Math.pow(rank - meanRank, 2), 0)
-    );
-
-    return denominator === 0 ? 1 : numerator / denominator;
+  bootstrapProjectedPercentages(submission) {
+    const current = this.calculateAttemptPercentage(submission);
+    const history = this.historicalData.map(data => this.calculateAttemptPercentage(data));
+    const attempts = [...history, current];
+    const random = createRandom(this.bootstrap.seed);
+    const draw = values => values[Math.floor(random() * values.length)];
+    const clamp = value => Math.min(100, Math.max(0, value));
+
+    const samples = [];
+    for (let i = 0; i < this.bootstrap.iterations; i++) {
+      if (attempts.length < 2) {
+        // Nothing to resample: spread the single attempt by the prior (Box-Muller normal draw)
+        const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        samples.push(clamp(current + normal * PRIOR_SPREAD));
+        continue;
+      }
+
+      const examDay = draw(attempts);
+      if (history.length === 0) {
+        samples.push(examDay);
+        continue;
+      }
+      const resampledMean = calculateMean(history.map(() => draw(history)));
+      samples.push(clamp(examDay * this.weights.current + resampledMean * this.weights.history));
+    }
+    return samples;
   }
 
   /**
-   * Calculates standard error of prediction
-   * @returns {number} Standard error
+   * Calculates the 95% confidence interval for the prediction from the
+   * bootstrapped scores, mapped through the rank table. Ranks fall as marks
+   * rise, so the best rank comes from the upper score bound.
+   * @param {Object} submission Current submission
+   * @returns {Object} Rank bounds plus the score interval they came from
    */
-  calculateStandardError() {
-    const predictions = this.historicalData.map(data => ({
-      actual: data.rank,
-      predicted: this.calculatePredictedRank(this.normalizeScore(data))
-    }));
+  calculateConfidenceInterval(submission) {
+    const samples = this.bootstrapProjectedPercentages(submission);
+    const tail = (1 - CONFIDENCE_LEVEL) / 2;
+    const lowerPercentage = calculateQuantile(samples, tail);
+    const upperPercentage = calculateQuantile(samples, 1 - tail);
+    const lowerMarks = this.percentageToMarks(lowerPercentage, this.rankTable);
+    const upperMarks = this.percentageToMarks(upperPercentage, this.rankTable);
 
-    const errors = predictions.map(p => Math.abs(p.actual - p.predicted));
-    const meanError = errors.reduce((a, b) => a + b, 0) / errors.length;
-    const variance = errors.reduce((sum, error) => 
-      sum + Math.pow(error - meanError, 2), 0) / errors.length;
+    return {
+      lower: this.getBaseRank(upperMarks),
+      upper: this.getBaseRank(lowerMarks),
+      level: CONFIDENCE_LEVEL,
+      marks: { lower: lowerMarks, upper: upperMarks },
+      percentage: { lower: lowerPercentage, upper: upperPercentage },
+      attempts: this.historicalData.length + 1,
+      standardError: this.calculateStandardError(),
+      method: this.historicalData.length === 0 ? 'prior' : 'bootstrap',
+      seed: this.bootstrap.seed,
+      iterations: this.bootstrap.iterations
+    };
+  }
 
-    return Math.sqrt(variance);
+  /**
+   * Standard error of the historical mean attempt percentage (sample SD / √n)
+   * @returns {number|null} Standard error, or null with fewer than two attempts
+   */
+  calculateStandardError() {
+    const percentages = this.historicalData.map(data => this.calculateAttemptPercentage(data));
+    if (percentages.length < 2) return null;
+    return calculateSampleStandardDeviation(percentages) / Math.sqrt(percentages.length);
   }
 
   /**
-   * Calculates performance consistency
-   * @returns {number} Consistency score
+   * Explains what drives the width of the confidence interval
+   * @param {Object} interval Result of calculateConfidenceInterval
+   * @param {number} projectedMarks Projected marks
+   * @returns {string} Explanation
    */
-  calculateConsistency() {
-    const scores = this.historicalData.map(data => data.score);
-    if (scores.length < 2) return 1;
+  explainUncertainty(interval, projectedMarks) {
+    const reasons = [];
+    const { attempts } = interval;
+    const attemptsLabel = `${attempts} attempt${attempts === 1 ? '' : 's'}`;
+
+    if (attempts < 2) {
+      reasons.push(`only 1 attempt exists, so a spread of ±${PRIOR_SPREAD} percentage points is assumed`);
+    } else if (attempts < MIN_RELIABLE_ATTEMPTS) {
+      reasons.push(`only ${attemptsLabel} exist`);
+    }
+
+    const percentages = this.historicalData.map(data => this.calculateAttemptPercentage(data));
+    const spread = calculateSampleStandardDeviation(percentages);
+    if (percentages.length >= 2 && spread >= PRIOR_SPREAD) {
+      reasons.push(`scores vary by about ${Math.round(spread)} percentage points between attempts`);
+    }
 
-    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-    const variance = scores.reduce((sum, score) => 
-      sum + Math.pow(score - mean, 2), 0) / scores.length;
+    const ranksPerMark = (this.getBaseRank(projectedMarks - 5) - this.getBaseRank(projectedMarks + 5)) / 10;
+    if (ranksPerMark >= 100) {
+      reasons.push(`around ${projectedMarks} marks each mark is worth about ${Math.round(ranksPerMark)} ranks`);
+    }
 
-    return 1 - Math.sqrt(variance) / mean;
+    const range = `${Math.round(CONFIDENCE_LEVEL * 100)}% interval spans ranks ${interval.lower}–${interval.upper} ` +
+      `(${interval.marks.lower}–${interval.marks.upper} marks) from ${attemptsLabel}`;
+    return reasons.length > 0
+      ? `${range}; it is wide because ${reasons.join(' and ')}`
+      : `${range}; scores have been consistent enough for a narrow interval`;
   }
 
   /**
-   * Calculates improvement rate
-   * @returns {number} Improvement rate
+   * Projects section marks per subject: each NEET subject carries an equal
+   * share of the exam's marks, scored at the student's average attempt
+   * percentage in that subject
+   * @param {Object} submission Current submission
+   * @returns {Array|null} { subject, maxMarks, attempts, percentage, projectedMarks }, or null without a syllabus
    */
-  calculateImprovement() {
-    const scores = this.historicalData.map(data => data.score);
-    if (scores.length < 2) return 0;
+  calculateSubjectBreakdown(submission) {
+    if (!this.syllabus) return null;
 
-    const firstScore = scores[0];
-    const lastScore = scores[scores.length - 1];
-    return (lastScore - firstScore) / firstScore;
+    const subjects = this.syllabus.getSubjects();
+    const maxMarks = this.rankTable.maxMarks / subjects.length;
+    const attempts = [...this.historicalData, submission].filter(attempt => attempt.quiz);
+
+    return subjects.map(subject => {
+      const percentages = attempts
+        .filter(attempt => this.syllabus.subjectOf(attempt.quiz.topic) === subject)
+        .map(attempt => this.calculateAttemptPercentage(attempt));
+      const percentage = percentages.length > 0 ? calculateMean(percentages) : null;
+
+      return {
+        subject,
+        maxMarks,
+        attempts: percentages.length,
+        percentage,
+        projectedMarks: percentage === null ? null : Math.round((percentage / 100) * maxMarks)
+      };
+    });
   }
 
   /**
-   * Gets base rank from normalized score
-   * @param {number} normalizedScore Normalized score
-   * @returns {number} Base rank
+   * Calculates average final score across history
+   * @returns {number} Average score
    */
-  getBaseRank(normalizedScore) {
-    // Example ranking scale (would be calibrated with actual NEET data)
-    const maxRank = 50000;
-    return Math.round(maxRank * (1 - normalizedScore));
+  calculateAverageScore() {
+    return calculateMean(this.historicalData.map(data => parseNumeric(data.final_score)));
   }
 
   /**
-   * Calculates prediction accuracy
-   * @returns {number} Prediction accuracy
+   * Calculates performance consistency
+   * @returns {number} Consistency score
    */
-  calculatePredictionAccuracy() {
-    if (this.historicalData.length < 2) return 0.7; // Default accuracy
-
-    const predictions = this.historicalData.map(data => ({
-      actual: data.rank,
-      predicted: this.calculatePredictedRank(this.normalizeScore(data))
-    }));
+  calculateConsistency() {
+    const scores = this.historicalData.map(data => parseNumeric(data.final_score));
+    const averageScore = calculateMean(scores);
+    return 1 - calculateSampleStandardDeviation(scores) / (averageScore || 1); // Prevent division by zero
+  }
 
-    const accuracies = predictions.map(p => {
-      const error = Math.abs(p.actual - p.predicted) / p.actual;
-      return 1 - error;
-    });
+  /**
+   * Calculates improvement rate
+   * @returns {number} Improvement rate
+   */
+  calculateImprovement() {
+    const scores = this.historicalData.map(data => parseNumeric(data.final_score));
+    if (scores.length < 2 || scores[0] === 0) return 0;
 
-    return accuracies.reduce((a, b) => a + b, 0) / accuracies.length;
+    const firstScore = scores[0];
+    const lastScore = scores[scores.length - 1];
+    return (lastScore - firstScore) / Math.abs(firstScore);
   }
 }
-
@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_RANK_TABLES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), '../reference/rank-tables');
+
+/**
+ * A versioned marks → rank distribution for one exam year. Ranks between the
+ * table's points are linearly interpolated.
+ */
+export class RankTable {
+  constructor({ exam = 'NEET-UG', year, version = '1', maxMarks = 720, candidates, qualifyingMarks, source, points }) {
+    if (!Number.isInteger(year)) {
+      throw new Error('Rank table year must be an integer');
+    }
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error(`Rank table ${year} needs at least two points`);
+    }
+
+    this.exam = exam;
+    this.year = year;
+    this.version = String(version);
+    this.maxMarks = maxMarks;
+    this.candidates = candidates;
+    this.qualifyingMarks = qualifyingMarks;
+    this.source = source;
+    // Highest marks first; ranks must not decrease as marks fall
+    this.points = points
+      .map(point => ({ marks: Number(point.marks), rank: Number(point.rank) }))
+      .sort((a, b) => b.marks - a.marks);
+
+    this.points.forEach((point, index) => {
+      if (!Number.isFinite(point.marks) || !Number.isFinite(point.rank)) {
+        throw new Error(`Rank table ${year} has a non-numeric point`);
+      }
+      if (index > 0 && point.rank < this.points[index - 1].rank) {
+        throw new Error(`Rank table ${year} ranks must increase as marks decrease`);
+      }
+    });
+  }
+
+  /**
+   * Interpolates the rank for a score
+   * @param {number} marks Marks out of maxMarks
+   * @returns {number} Rank (1 is best)
+   */
+  rankForMarks(marks) {
+    const { points } = this;
+    if (marks >= points[0].marks) return points[0].rank;
+    const last = points[points.length - 1];
+    if (marks <= last.marks) return last.rank;
+
+    const upperIndex = points.findIndex(point => point.marks <= marks);
+    const upper = points[upperIndex - 1];
+    const lower = points[upperIndex];
+    const fraction = (upper.marks - marks) / (upper.marks - lower.marks);
+    return Math.max(1, Math.round(upper.rank + fraction * (lower.rank - upper.rank)));
+  }
+
+  describe() {
+    return {
+      exam: this.exam,
+      year: this.year,
+      version: this.version,
+      maxMarks: this.maxMarks,
+      candidates: this.candidates,
+      source: this.source
+    };
+  }
+}
+
+/**
+ * Parses a CSV rank table: `# key: value` metadata lines followed by a
+ * `marks,rank` header and one point per line
+ * @param {string} text CSV content
+ * @returns {Object} Rank table definition
+ */
+export function parseRankTableCsv(text) {
+  const meta = {};
+  const points = [];
+  let header = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    if (line.startsWith('#')) {
+      const match = line.slice(1).match(/^\s*(\w+)\s*:\s*(.*)$/);
+      if (match) meta[match[1]] = match[2].trim();
+      return;
+    }
+
+    const cells = line.split(',').map(cell => cell.trim());
+    if (!header) {
+      header = cells.map(cell => cell.toLowerCase());
+      if (!header.includes('marks') || !header.includes('rank')) {
+        throw new Error('CSV rank table needs a "marks,rank" header');
+      }
+      return;
+    }
+    points.push({
+      marks: Number(cells[header.indexOf('marks')]),
+      rank: Number(cells[header.indexOf('rank')])
+    });
+  });
+
+  const numeric = ['year', 'maxMarks', 'candidates', 'qualifyingMarks'];
+  numeric.forEach(key => {
+    if (meta[key] !== undefined) meta[key] = Number(meta[key]);
+  });
+  return { ...meta, points };
+}
+
+const tableCache = new Map();
+
+/**
+ * Loads every `.json` and `.csv` rank table in a directory, newest year first.
+ * Results are memoized per directory.
+ * @param {string} [directory] Tables directory (defaults to RANK_TABLES_DIR or the bundled tables)
+ * @returns {Promise<Array>} RankTable instances
+ */
+export function loadRankTables(directory = process.env.RANK_TABLES_DIR || DEFAULT_RANK_TABLES_DIR) {
+  const resolved = path.resolve(directory);
+  if (!tableCache.has(resolved)) {
+    const loading = (async () => {
+      const files = (await fs.readdir(resolved)).filter(file => /\.(json|csv)$/i.test(file)).sort();
+      const tables = await Promise.all(files.map(async file => {
+        const text = await fs.readFile(path.join(resolved, file), 'utf8');
+        try {
+          const definition = file.toLowerCase().endsWith('.csv') ? parseRankTableCsv(text) : JSON.parse(text);
+          return new RankTable(definition);
+        } catch (error) {
+          throw new Error(`Invalid rank table ${file}: ${error.message}`);
+        }
+      }));
+
+      if (tables.length === 0) {
+        throw new Error(`No rank tables found in ${resolved}`);
+      }
+      return tables.sort((a, b) => b.year - a.year);
+    })();
+
+    tableCache.set(resolved, loading);
+    loading.catch(() => tableCache.delete(resolved));
+  }
+  return tableCache.get(resolved);
+}
@@ -0,0 +1,150 @@
+import { QuizAnalyzer, WEAK_ACCURACY } from './QuizAnalyzer.js';
+import { parseNumeric } from '../utils/dataProcessing.js';
+
+/**
+ * Gathers a student's printable report from the same analyses as the
+ * dashboard: the performance summary and topic breakdown of QuizAnalyzer,
+ * the trend series, a rank prediction and the recommendations, plus the
+ * attempt history for the spreadsheet exports
+ */
+export class ReportBuilder {
+  /**
+   * @param {Object} currentQuiz Current quiz
+   * @param {Object} submission Current submission
+   * @param {Array} history Historical attempts
+   * @param {SyllabusGraph} [syllabus] Syllabus graph, used for the trend points' subjects and prerequisite gaps
+   */
+  constructor(currentQuiz, submission, history, syllabus = null) {
+    this.currentQuiz = currentQuiz;
+    this.submission = submission;
+    this.history = history;
+    this.analyzer = new QuizAnalyzer(currentQuiz, submission, history, syllabus);
+  }
+
+  /**
+   * Joins the historical topic averages with the current quiz's topic accuracy.
+   * Topics are matched in any case; the history's spelling wins. A topic is weak
+   * when it is a historical weak area or this quiz's accuracy on it is below
+   * WEAK_ACCURACY.
+   * @returns {Array} { topic, attempts, averageAccuracy, averageSpeed, mistakeRate, currentAccuracy, status, weak }, weakest first
+   */
+  buildTopicRows() {
+    const { topicPerformance, weakAreas } = this.analyzer.analyzeHistoricalTopics();
+    const weak = new Set(weakAreas.map(area => area.topic.toLowerCase()));
+    const rows = new Map();
+    const rowFor = topic => {
+      const key = topic.toLowerCase();
+      if (!rows.has(key)) {
+        rows.set(key, {
+          topic,
+          attempts: 0,
+          averageAccuracy: null,
+          averageSpeed: null,
+          mistakeRate: null,
+          currentAccuracy: null,
+          status: null,
+          weak: weak.has(key)
+        });
+      }
+      return rows.get(key);
+    };
+
+    Object.entries(topicPerformance).forEach(([topic, stats]) => {
+      Object.assign(rowFor(topic), {
+        attempts: stats.attempts,
+        averageAccuracy: stats.averageAccuracy,
+        averageSpeed: stats.averageSpeed,
+        mistakeRate: stats.averageMistakeRate * 100
+      });
+    });
+    Object.entries(this.analyzer.analyzeTopicWisePerformance()).forEach(([topic, performance]) => {
+      const row = rowFor(topic);
+      Object.assign(row, {
+        currentAccuracy: performance.accuracy * 100,
+        status: performance.status,
+        weak: row.weak || performance.accuracy * 100 < WEAK_ACCURACY
+      });
+    });
+
+    return [...rows.values()]
+      .sort((a, b) => (a.averageAccuracy ?? a.currentAccuracy) - (b.averageAccuracy ?? b.currentAccuracy));
+  }
+
+  /**
+   * Lists every attempt, the current submission included once
+   * @returns {Array} { id, submittedAt, quiz, score, accuracy, speed, correct, incorrect, total, duration }, oldest first
+   */
+  buildAttemptRows() {
+    const attempts = this.history.some(attempt => attempt.id === this.submission.id)
+      ? this.history
+      : [...this.history, this.submission];
+
+    return [...attempts]
+      .sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at))
+      .map(attempt => ({
+        id: attempt.id,
+        submittedAt: attempt.submitted_at,
+        quiz: attempt.quiz ? attempt.quiz.topic : null,
+        score: parseNumeric(attempt.final_score ?? attempt.score),
+        accuracy: parseNumeric(attempt.accuracy),
+        speed: parseNumeric(attempt.speed),
+        correct: attempt.correct_answers ?? null,
+        incorrect: attempt.incorrect_answers ?? null,
+        total: attempt.total_questions ?? null,
+        duration: attempt.duration ?? null
+      }));
+  }
+
+  /**
+   * Collects the recommendations of the dashboard's insights (weak areas, weak
+   * topics and untested or weak prerequisites), one line each
+   * @returns {Array} Recommendation texts
+   */
+  buildRecommendations() {
+    const { weakAreas } = this.analyzer.analyzeHistoricalTopics();
+
+    // A prerequisite shared by several weak topics is listed once
+    const prerequisites = new Map();
+    this.analyzer.identifyConceptualGaps(weakAreas).forEach(gap => gap.prerequisiteGaps.forEach(prerequisite => {
+      if (!prerequisites.has(prerequisite.id)) prerequisites.set(prerequisite.id, { ...prerequisite, topics: [] });
+      prerequisites.get(prerequisite.id).topics.push(gap.topic);
+    }));
+
+    return [
+      ...weakAreas.map(area => `Focus on improving ${area.topic} with current accuracy of ${area.averageAccuracy.toFixed(1)}%`),
+      ...this.analyzer.generateRecommendations().map(recommendation => recommendation.action),
+      ...[...prerequisites.values()].map(({ name, status, topics }) =>
+        `Revise ${name} (${status} prerequisite of ${topics.join(', ')})`)
+    ];
+  }
+
+  /**
+   * Builds the report
+   * @param {Object} options Report options
+   * @param {string} options.userId Student the report is for
+   * @param {Object} options.rankPrediction Result of RankPredictor.predictRank for the submission
+   * @returns {Object} { userId, generatedAt, quiz, summary, topics, trends, rankPrediction, recommendations, attempts }
+   */
+  build({ userId, rankPrediction }) {
+    const quiz = (this.currentQuiz && this.currentQuiz.quiz) || this.currentQuiz || {};
+    const { predictedRank, projectedMarks, confidenceInterval } = rankPrediction;
+
+    return {
+      userId,
+      generatedAt: new Date().toISOString(),
+      quiz: { id: quiz.id ?? null, title: quiz.title ?? null, topic: quiz.topic ?? null },
+      summary: { ...this.analyzer.analyzePerformance(), submittedAt: this.submission.submitted_at || null },
+      topics: this.buildTopicRows(),
+      trends: this.analyzer.analyzePerformanceTrend(),
+      rankPrediction: {
+        predictedRank,
+        projectedMarks,
+        lower: confidenceInterval.lower,
+        upper: confidenceInterval.upper,
+        level: confidenceInterval.level
+      },
+      recommendations: this.buildRecommendations(),
+      attempts: this.buildAttemptRows()
+    };
+  }
+}
@@ -0,0 +1,263 @@
+import { QuizAnalyzer } from './QuizAnalyzer.js';
+import {
+  calculateMean,
+  formatDuration,
+  getQuizQuestions,
+  getQuizTopic,
+  parseDurationMinutes,
+  parseNumeric
+} from '../utils/dataProcessing.js';
+import { HttpError } from '../utils/errors.js';
+
+export const MARKING_SCHEMES = {
+  NEET: { name: 'NEET', correct: 4, incorrect: -1, unattempted: 0 },
+  NO_NEGATIVE: { name: 'NO_NEGATIVE', correct: 4, incorrect: 0, unattempted: 0 }
+};
+
+// Confidence thresholds evaluated by the attempt strategy analysis
+const STRATEGY_THRESHOLDS = [0.2, 0.3, 0.4, 0.5];
+
+// Adjustment of topic accuracy by question difficulty when estimating confidence
+const DIFFICULTY_CONFIDENCE_SHIFT = { easy: 0.15, medium: 0, hard: -0.15 };
+
+/**
+ * Resolves a marking scheme from request options: a named scheme, `quiz` for the
+ * marks in the quiz definition, or custom `correct`/`incorrect`/`unattempted`
+ * marks (which override the named scheme's values).
+ * @param {Object} options Scheme options
+ * @param {Object} [currentQuiz] Quiz definition, used by the `quiz` scheme
+ * @returns {Object} Marking scheme
+ */
+export function resolveMarkingScheme({ scheme = 'NEET', correct, incorrect, unattempted } = {}, currentQuiz) {
+  const name = String(scheme).toUpperCase();
+  let base;
+  if (name === 'QUIZ') {
+    const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz || {};
+    base = {
+      name: 'QUIZ',
+      correct: parseNumeric(quiz.correct_answer_marks),
+      incorrect: -Math.abs(parseNumeric(quiz.negative_marks)),
+      unattempted: 0
+    };
+    if (!Number.isFinite(base.correct) || !Number.isFinite(base.incorrect)) {
+      throw new HttpError(400, 'Quiz does not define correct_answer_marks and negative_marks');
+    }
+  } else if (MARKING_SCHEMES[name]) {
+    base = MARKING_SCHEMES[name];
+  } else {
+    throw new HttpError(400, `Unknown marking scheme "${scheme}". Use one of: ${[...Object.keys(MARKING_SCHEMES), 'QUIZ'].join(', ')}`);
+  }
+
+  const overrides = { correct, incorrect, unattempted };
+  const resolved = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new HttpError(400, `${key} marks must be a number`);
+    }
+    resolved[key] = number;
+    resolved.name = 'CUSTOM';
+  }
+
+  if (resolved.correct <= resolved.incorrect) {
+    throw new HttpError(400, 'Marks for a correct answer must exceed marks for an incorrect one');
+  }
+  return resolved;
+}
+
+/**
+ * Resolves the marking a quiz is taken under: its own marks when it defines
+ * them, else NEET marking
+ * @param {Object} currentQuiz Quiz definition
+ * @returns {Object} Marking scheme
+ */
+export function resolveQuizMarkingScheme(currentQuiz) {
+  const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz || {};
+  return quiz.correct_answer_marks !== undefined && quiz.negative_marks !== undefined
+    ? resolveMarkingScheme({ scheme: 'QUIZ' }, currentQuiz)
+    : MARKING_SCHEMES.NEET;
+}
+
+/**
+ * Scores answers to a quiz into a submission in the upstream shape, so it can
+ * go through the analyzers like any other attempt. Marking follows
+ * resolveQuizMarkingScheme. Speed is the allotted time as
+ * a percentage of the time taken (100 when either is unknown). Without a
+ * duration, the time taken is the sum of the per-question timings. The
+ * attempt is filed under getQuizTopic, as history entries need a topic.
+ * @param {Object} currentQuiz Quiz definition
+ * @param {Object} attempt { answers (question id → option id), timings (question id → seconds), duration ("mm:ss"), submitted_at }
+ * @param {Object} meta { id, userId } of the new submission
+ * @returns {Object} Submission
+ */
+export function createSubmission(currentQuiz, { answers = {}, timings, duration, submitted_at: submittedAt }, { id, userId }) {
+  const quiz = (currentQuiz && currentQuiz.quiz) || currentQuiz || {};
+  const questions = new Map(getQuizQuestions(currentQuiz).map(question => [String(question.id), question]));
+  const assertQuestion = questionId => {
+    if (!questions.has(questionId)) {
+      throw new HttpError(400, `Question ${questionId} is not part of quiz ${quiz.id}`);
+    }
+    return questions.get(questionId);
+  };
+  Object.entries(answers).forEach(([questionId, optionId]) => {
+    const question = assertQuestion(questionId);
+    if (optionId !== null && !question.options.some(option => String(option.id) === String(optionId))) {
+      throw new HttpError(400, `Option ${optionId} does not belong to question ${questionId}`);
+    }
+  });
+  Object.keys(timings || {}).forEach(assertQuestion);
+
+  const scheme = resolveQuizMarkingScheme(currentQuiz);
+  const submission = { quiz_id: quiz.id, response_map: answers };
+  const { rawMarks, counts } = new ScoringEngine(currentQuiz, submission, [], scheme).calculateScore();
+
+  const timedSeconds = Object.values(timings || {}).reduce((sum, seconds) => sum + seconds, 0);
+  const timeTaken = duration || (timings ? formatDuration(timedSeconds) : undefined);
+  const allotted = parseDurationMinutes(quiz.duration);
+  const used = parseDurationMinutes(timeTaken);
+  const total = questions.size;
+
+  return {
+    id,
+    quiz_id: quiz.id,
+    user_id: userId,
+    submitted_at: submittedAt || new Date().toISOString(),
+    score: rawMarks,
+    accuracy: `${Math.round((counts.correct / total) * 100)} %`,
+    speed: String(allotted > 0 && used > 0 ? Math.round((allotted / used) * 100) : 100),
+    final_score: rawMarks.toFixed(1),
+    negative_score: String(counts.incorrect * -scheme.incorrect),
+    correct_answers: counts.correct,
+    incorrect_answers: counts.incorrect,
+    total_questions: total,
+    duration: timeTaken || null,
+    response_map: answers,
+    ...(timings ? { question_timings: timings } : {}),
+    quiz: { id: quiz.id, title: quiz.title, topic: getQuizTopic(currentQuiz) }
+  };
+}
+
+export class ScoringEngine {
+  constructor(currentQuiz, submission, history, scheme = MARKING_SCHEMES.NEET) {
+    this.submission = submission;
+    this.history = history;
+    this.scheme = scheme;
+    this.results = new QuizAnalyzer(currentQuiz, submission, history).getQuestionResults();
+  }
+
+  /**
+   * Marks awarded for a question result under the scheme
+   * @param {Object} result Question result
+   * @returns {number} Marks
+   */
+  marksFor(result) {
+    return this.scheme[result.status === 'skipped' ? 'unattempted' : result.status];
+  }
+
+  /**
+   * Recomputes raw marks from the answers and the quiz definition
+   * @returns {Object} Marks, counts and per-topic breakdown
+   */
+  calculateScore() {
+    const counts = { correct: 0, incorrect: 0, unattempted: 0 };
+    const byTopic = {};
+    let rawMarks = 0;
+
+    this.results.forEach(result => {
+      const marks = this.marksFor(result);
+      const countKey = result.status === 'skipped' ? 'unattempted' : result.status;
+      counts[countKey]++;
+      rawMarks += marks;
+
+      if (!byTopic[result.topic]) {
+        byTopic[result.topic] = { correct: 0, incorrect: 0, unattempted: 0, marks: 0, marksLostToNegative: 0 };
+      }
+      const topic = byTopic[result.topic];
+      topic[countKey]++;
+      topic.marks += marks;
+      if (result.status === 'incorrect') topic.marksLostToNegative += -this.scheme.incorrect;
+    });
+
+    const maxMarks = this.results.length * this.scheme.correct;
+
+    return {
+      scheme: this.scheme,
+      rawMarks,
+      maxMarks,
+      percentage: maxMarks > 0 ? (rawMarks / maxMarks) * 100 : 0,
+      counts,
+      marksLostToNegative: counts.incorrect * -this.scheme.incorrect,
+      byTopic,
+      upstream: {
+        score: parseNumeric(this.submission.score),
+        finalScore: parseNumeric(this.submission.final_score)
+      }
+    };
+  }
+
+  /**
+   * Estimates how likely each attempted question was to be answered correctly,
+   * from the student's historical accuracy on its topic adjusted for difficulty
+   * @returns {Map} Question id to confidence in [0.05, 0.95]
+   */
+  estimateConfidence() {
+    const topicAccuracy = {};
+    this.history.forEach(attempt => {
+      const topic = String(attempt.quiz.topic).toLowerCase();
+      (topicAccuracy[topic] = topicAccuracy[topic] || []).push(parseNumeric(attempt.accuracy) / 100);
+    });
+    const overall = calculateMean(this.history.map(attempt => parseNumeric(attempt.accuracy) / 100)) || 0.5;
+
+    const confidence = new Map();
+    this.results.forEach(result => {
+      const accuracies = topicAccuracy[String(result.topic).toLowerCase()];
+      const base = accuracies ? calculateMean(accuracies) : overall;
+      const shift = DIFFICULTY_CONFIDENCE_SHIFT[result.difficulty] || 0;
+      confidence.set(result.id, Math.min(0.95, Math.max(0.05, base + shift)));
+    });
+    return confidence;
+  }
+
+  /**
+   * Replays the submission skipping attempted questions whose estimated
+   * confidence falls below each threshold, to show whether a more selective
+   * attempt strategy would have scored higher
+   * @returns {Object} Strategy comparison
+   */
+  analyzeAttemptStrategy() {
+    const confidence = this.estimateConfidence();
+    const actualMarks = this.results.reduce((sum, result) => sum + this.marksFor(result), 0);
+    // Attempting is worth it in expectation when p * correct + (1 - p) * incorrect > unattempted
+    const breakEvenConfidence = (this.scheme.unattempted - this.scheme.incorrect) /
+      (this.scheme.correct - this.scheme.incorrect);
+
+    const strategies = STRATEGY_THRESHOLDS.map(threshold => {
+      const skipped = this.results.filter(result =>
+        result.status !== 'skipped' && confidence.get(result.id) < threshold);
+      const delta = skipped.reduce((sum, result) => sum + this.scheme.unattempted - this.marksFor(result), 0);
+
+      return {
+        threshold,
+        skippedQuestions: skipped.map(result => result.id),
+        skippedCorrect: skipped.filter(result => result.status === 'correct').length,
+        skippedIncorrect: skipped.filter(result => result.status === 'incorrect').length,
+        marks: actualMarks + delta,
+        delta
+      };
+    });
+
+    const best = strategies.reduce((top, strategy) => (strategy.delta > top.delta ? strategy : top),
+      { threshold: null, delta: 0 });
+
+    return {
+      actualMarks,
+      breakEvenConfidence,
+      strategies,
+      recommendation: best.threshold === null
+        ? 'Attempting every question you answered was the best strategy for this quiz'
+        : `Skipping questions below ${Math.round(best.threshold * 100)}% estimated confidence would have scored ${best.delta} more marks`,
+      confidence: Object.fromEntries(confidence)
+    };
+  }
+}
@@ -0,0 +1,151 @@
+import { WEAK_ACCURACY } from './QuizAnalyzer.js';
+import {
+  calculateCorrelation,
+  calculateMean,
+  calculateQuantile,
+  getAttemptTopic,
+  parseDurationMinutes,
+  parseNumeric
+} from '../utils/dataProcessing.js';
+
+// NEET-UG pace: 180 questions in 180 minutes
+export const EXAM_SECONDS_PER_QUESTION = 60;
+
+// Speeds within this fraction of the student's median count as their usual pace
+const PACE_MARGIN = 0.05;
+
+// Correlations need at least this many attempts
+const MIN_CORRELATION_ATTEMPTS = 3;
+
+export const PACE_STATUSES = ['rushing', 'overthinking', 'balanced'];
+
+/**
+ * Relates speed to accuracy per topic across a student's attempts: flags
+ * topics answered fast but inaccurately (rushing) or slowly without an
+ * accuracy gain (overthinking), and splits the exam's time per question
+ * across topics by how much each one needs. Attempts without a real topic
+ * (mixed-topic quizzes) are left out.
+ */
+export class SpeedAccuracyAnalyzer {
+  /**
+   * @param {Object} submission Current submission (added to the history if it isn't there)
+   * @param {Array} history Historical attempts
+   */
+  constructor(submission, history) {
+    const attempts = history.some(attempt => attempt.id === submission.id) ? history : [...history, submission];
+    this.attempts = attempts
+      .map(attempt => {
+        const minutes = parseDurationMinutes(attempt.duration);
+        return {
+          topic: getAttemptTopic(attempt),
+          date: attempt.submitted_at,
+          accuracy: parseNumeric(attempt.accuracy),
+          speed: parseNumeric(attempt.speed),
+          secondsPerQuestion: Number.isFinite(minutes) && attempt.total_questions > 0
+            ? (minutes * 60) / attempt.total_questions
+            : null
+        };
+      })
+      .filter(attempt => attempt.topic && Number.isFinite(attempt.accuracy) && Number.isFinite(attempt.speed));
+  }
+
+  /**
+   * Summarizes the student's usual pace and accuracy over every attempt
+   * @returns {Object} { attempts, medianSpeed, averageAccuracy, correlation }
+   */
+  calculateBaseline() {
+    const speeds = this.attempts.map(attempt => attempt.speed);
+    const accuracies = this.attempts.map(attempt => attempt.accuracy);
+    return {
+      attempts: this.attempts.length,
+      medianSpeed: speeds.length > 0 ? calculateQuantile(speeds, 0.5) : null,
+      averageAccuracy: accuracies.length > 0 ? calculateMean(accuracies) : null,
+      correlation: this.attempts.length >= MIN_CORRELATION_ATTEMPTS ? calculateCorrelation(speeds, accuracies) : null
+    };
+  }
+
+  /**
+   * Classifies a topic's pace against the student's baseline
+   * @param {Object} topic { averageSpeed, accuracy }
+   * @param {Object} baseline Result of calculateBaseline
+   * @returns {string} rushing, overthinking or balanced
+   */
+  classifyPace({ averageSpeed, accuracy }, baseline) {
+    if (averageSpeed >= baseline.medianSpeed * (1 + PACE_MARGIN) && accuracy < WEAK_ACCURACY) {
+      return 'rushing';
+    }
+    if (averageSpeed <= baseline.medianSpeed * (1 - PACE_MARGIN) && accuracy <= baseline.averageAccuracy) {
+      return 'overthinking';
+    }
+    return 'balanced';
+  }
+
+  /**
+   * Builds the advice for a topic
+   * @param {Object} topic Topic entry with status and time per question
+   * @returns {string} Recommendation
+   */
+  recommend({ topic, status, targetSecondsPerQuestion }) {
+    const target = `${Math.round(targetSecondsPerQuestion)}s per question`;
+    if (status === 'rushing') {
+      return `Slow down on ${topic}: speed is above your usual pace but accuracy is below ${WEAK_ACCURACY}%. Aim for ${target} and re-read each question before answering.`;
+    }
+    if (status === 'overthinking') {
+      return `Move faster on ${topic}: extra time isn't improving accuracy. Cap it at ${target} and skip questions you can't narrow down.`;
+    }
+    return `Keep your pace on ${topic}: about ${target}.`;
+  }
+
+  /**
+   * Analyzes speed against accuracy per topic
+   * @returns {Object} { baseline, examSecondsPerQuestion, topics, summary }
+   */
+  analyze() {
+    const baseline = this.calculateBaseline();
+    const byTopic = new Map();
+    this.attempts.forEach(attempt => {
+      const key = String(attempt.topic).toLowerCase();
+      if (!byTopic.has(key)) byTopic.set(key, { topic: attempt.topic, attempts: [] });
+      byTopic.get(key).attempts.push(attempt);
+    });
+
+    const topics = [...byTopic.values()].map(({ topic, attempts }) => {
+      const timed = attempts.filter(attempt => attempt.secondsPerQuestion !== null);
+      const entry = {
+        topic,
+        attempts: attempts.length,
+        accuracy: calculateMean(attempts.map(attempt => attempt.accuracy)),
+        averageSpeed: calculateMean(attempts.map(attempt => attempt.speed)),
+        secondsPerQuestion: timed.length > 0 ? calculateMean(timed.map(attempt => attempt.secondsPerQuestion)) : null,
+        correlation: attempts.length >= MIN_CORRELATION_ATTEMPTS
+          ? calculateCorrelation(attempts.map(attempt => attempt.speed), attempts.map(attempt => attempt.accuracy))
+          : null
+      };
+      return { ...entry, status: this.classifyPace(entry, baseline) };
+    });
+
+    // Weaker topics get a bigger share of the exam's time per question (the
+    // shares average out to the exam pace). Rushed topics get at least the exam
+    // pace and overthought ones at most.
+    const weights = topics.map(topic => 0.5 + (1 - topic.accuracy / 100));
+    const meanWeight = calculateMean(weights);
+    topics.forEach((topic, index) => {
+      const share = EXAM_SECONDS_PER_QUESTION * weights[index] / meanWeight;
+      topic.targetSecondsPerQuestion = topic.status === 'rushing'
+        ? Math.max(share, EXAM_SECONDS_PER_QUESTION)
+        : (topic.status === 'overthinking' ? Math.min(share, EXAM_SECONDS_PER_QUESTION) : share);
+      topic.recommendation = this.recommend(topic);
+    });
+
+    const order = status => PACE_STATUSES.indexOf(status);
+    topics.sort((a, b) => order(a.status) - order(b.status) || a.accuracy - b.accuracy);
+
+    return {
+      baseline,
+      examSecondsPerQuestion: EXAM_SECONDS_PER_QUESTION,
+      topics,
+      summary: Object.fromEntries(PACE_STATUSES.map(status =>
+        [status, topics.filter(topic => topic.status === status).map(topic => topic.topic)]))
+    };
+  }
+}
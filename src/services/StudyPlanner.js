@@ -0,0 +1,260 @@
+import { QuizAnalyzer, WEAK_ACCURACY, WEAK_MISTAKE_RATE } from './QuizAnalyzer.js';
+import { calculateMean, getAttemptTopic, parseNumeric } from '../utils/dataProcessing.js';
+import { HttpError } from '../utils/errors.js';
+
+// Days between successive reviews of a topic; the last interval repeats until the exam
+export const REVIEW_INTERVALS = [1, 3, 7, 14, 30];
+
+export const DEFAULT_HOURS_PER_DAY = 4;
+
+// Plans further out than this are rejected rather than generated
+export const MAX_PLAN_DAYS = 366;
+
+const STUDY_MINUTES = 60;
+const REVIEW_MINUTES = 30;
+const SESSION_STEP = 15;
+
+// Contribution of each signal to a topic's priority in [0, 1]
+const PRIORITY_WEIGHTS = { accuracy: 0.5, mistakes: 0.3, recency: 0.2 };
+// Days without practice after which recency contributes fully
+const RECENCY_HORIZON = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * @param {string} date Date
+ * @param {number} days Days to add
+ * @returns {string} Date
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} from Start date
+ * @param {string} to End date
+ * @returns {number} Days
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * NEET-UG is usually held on the first Sunday of May. Returns the next such
+ * date after `date`.
+ * @param {string} date YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function defaultExamDate(date) {
+  const year = Number(date.slice(0, 4));
+  const firstSunday = candidateYear => {
+    const mayFirst = new Date(Date.UTC(candidateYear, 4, 1));
+    return addDays(mayFirst.toISOString().slice(0, 10), (7 - mayFirst.getUTCDay()) % 7);
+  };
+  const thisYear = firstSunday(year);
+  return thisYear > date ? thisYear : firstSunday(year + 1);
+}
+
+/**
+ * Rounds minutes up to whole session steps
+ * @param {number} minutes Minutes
+ * @returns {number} Minutes
+ */
+function roundSession(minutes) {
+  return Math.ceil(minutes / SESSION_STEP) * SESSION_STEP;
+}
+
+export class StudyPlanner {
+  constructor(currentQuiz, submission, history) {
+    this.submission = submission;
+    this.history = history;
+    this.results = new QuizAnalyzer(currentQuiz, submission, history).getQuestionResults();
+  }
+
+  /**
+   * Collects accuracy, mistake rate and last practice date per topic from the
+   * history (mixed-topic attempts aside) and the current quiz's questions
+   * @param {string} today Plan start date
+   * @returns {Array} Topic stats, highest priority first
+   */
+  calculateTopicStats(today) {
+    const topics = new Map();
+    const topicFor = name => {
+      const key = String(name).toLowerCase();
+      if (!topics.has(key)) {
+        topics.set(key, { topic: name, accuracies: [], mistakeRates: [], lastPracticed: null });
+      }
+      return topics.get(key);
+    };
+    const practisedOn = (stats, submittedAt) => {
+      const date = submittedAt ? String(submittedAt).slice(0, 10) : null;
+      if (date && (!stats.lastPracticed || date > stats.lastPracticed)) stats.lastPracticed = date;
+    };
+
+    this.history.forEach(attempt => {
+      const topic = getAttemptTopic(attempt);
+      if (!topic) return;
+      const stats = topicFor(topic);
+      stats.accuracies.push(parseNumeric(attempt.accuracy));
+      stats.mistakeRates.push(attempt.incorrect_answers / attempt.total_questions);
+      practisedOn(stats, attempt.submitted_at);
+    });
+
+    const currentTopics = {};
+    this.results.forEach(result => {
+      const counts = currentTopics[result.topic] || (currentTopics[result.topic] = { total: 0, correct: 0, incorrect: 0 });
+      counts.total++;
+      if (result.status === 'correct') counts.correct++;
+      if (result.status === 'incorrect') counts.incorrect++;
+    });
+    Object.entries(currentTopics).forEach(([topic, counts]) => {
+      const stats = topicFor(topic);
+      stats.accuracies.push((counts.correct / counts.total) * 100);
+      stats.mistakeRates.push(counts.incorrect / counts.total);
+      practisedOn(stats, this.submission.submitted_at);
+    });
+
+    return [...topics.values()]
+      .map(stats => {
+        const accuracy = calculateMean(stats.accuracies);
+        const mistakeRate = calculateMean(stats.mistakeRates);
+        const daysSincePractice = stats.lastPracticed ? Math.max(0, daysBetween(stats.lastPracticed, today)) : null;
+        const recency = daysSincePractice === null ? 1 : Math.min(1, daysSincePractice / RECENCY_HORIZON);
+        const priority = PRIORITY_WEIGHTS.accuracy * (1 - accuracy / 100) +
+          PRIORITY_WEIGHTS.mistakes * mistakeRate +
+          PRIORITY_WEIGHTS.recency * recency;
+
+        return {
+          topic: stats.topic,
+          accuracy,
+          mistakeRate,
+          lastPracticed: stats.lastPracticed,
+          daysSincePractice,
+          priority,
+          weak: accuracy < WEAK_ACCURACY || mistakeRate > WEAK_MISTAKE_RATE
+        };
+      })
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Builds a day-by-day schedule from `startDate` up to the day before the
+   * exam. Weak topics start with a study session, then every topic is reviewed
+   * at the REVIEW_INTERVALS spacing (strong topics join the chain further
+   * along). Each day takes the most overdue sessions first, then the highest
+   * priority, without exceeding the hour budget; work that doesn't fit moves to
+   * the next day and later reviews are spaced from when it actually happens.
+   * Days without sessions are left out.
+   * @param {Object} options Plan options
+   * @param {string} options.startDate First day of the plan (YYYY-MM-DD)
+   * @param {string} [options.examDate] Exam date (YYYY-MM-DD), defaults to the next NEET date
+   * @param {number} [options.hoursPerDay] Daily study budget
+   * @returns {Object} Plan
+   */
+  generatePlan({ startDate, examDate = defaultExamDate(startDate), hoursPerDay = DEFAULT_HOURS_PER_DAY }) {
+    const totalDays = daysBetween(startDate, examDate);
+    if (totalDays < 1) {
+      throw new HttpError(400, 'examDate must be after the plan start date');
+    }
+    if (totalDays > MAX_PLAN_DAYS) {
+      throw new HttpError(400, `examDate must be within ${MAX_PLAN_DAYS} days of the plan start date`);
+    }
+
+    const budget = Math.round(hoursPerDay * 60);
+    const topics = this.calculateTopicStats(startDate);
+    let queue = topics.map(stats => ({
+      topic: stats.topic,
+      priority: stats.priority,
+      type: stats.weak ? 'study' : 'review',
+      // Strong topics skip the early, short intervals
+      reviewNumber: stats.weak ? 0 : (stats.accuracy >= 85 ? 3 : 2),
+      due: startDate,
+      minutes: Math.min(budget, stats.weak ? roundSession(STUDY_MINUTES * (1 + stats.priority)) : REVIEW_MINUTES)
+    }));
+
+    const days = [];
+    for (let offset = 0; offset < totalDays; offset++) {
+      const date = addDays(startDate, offset);
+      const due = queue
+        .filter(task => task.due <= date)
+        .sort((a, b) => (a.due === b.due ? b.priority - a.priority : a.due.localeCompare(b.due)));
+
+      const sessions = [];
+      let used = 0;
+      due.forEach(task => {
+        if (used + task.minutes > budget) return;
+        used += task.minutes;
+        sessions.push({
+          topic: task.topic,
+          type: task.type,
+          reviewNumber: task.type === 'review' ? task.reviewNumber : null,
+          minutes: task.minutes,
+          overdueDays: daysBetween(task.due, date)
+        });
+
+        const interval = REVIEW_INTERVALS[Math.min(task.reviewNumber, REVIEW_INTERVALS.length - 1)];
+        queue = queue.filter(queued => queued !== task);
+        queue.push({
+          ...task,
+          type: 'review',
+          reviewNumber: task.type === 'study' ? 1 : task.reviewNumber + 1,
+          due: addDays(date, interval),
+          minutes: Math.min(budget, REVIEW_MINUTES)
+        });
+      });
+
+      if (sessions.length > 0) {
+        days.push({ date, totalMinutes: used, sessions });
+      }
+    }
+
+    const scheduled = new Set(days.flatMap(day => day.sessions.map(session => session.topic)));
+    return {
+      basedOn: {
+        submissionId: this.submission.id,
+        submittedAt: this.submission.submitted_at
+      },
+      startDate,
+      examDate,
+      hoursPerDay,
+      reviewIntervals: REVIEW_INTERVALS,
+      topics,
+      days,
+      summary: {
+        studyDays: days.length,
+        sessions: days.reduce((sum, day) => sum + day.sessions.length, 0),
+        totalMinutes: days.reduce((sum, day) => sum + day.totalMinutes, 0),
+        unscheduledTopics: topics.filter(stats => !scheduled.has(stats.topic)).map(stats => stats.topic)
+      }
+    };
+  }
+
+  /**
+   * Lays the plan's sessions out back to back from `dayStart` each day, as
+   * events for buildCalendar
+   * @param {Object} plan Result of generatePlan
+   * @param {number} dayStart Minutes after midnight of the first session
+   * @returns {Array} Calendar events
+   */
+  toCalendarEvents(plan, dayStart) {
+    return plan.days.flatMap(day => {
+      let start = dayStart;
+      return day.sessions.map((session, index) => {
+        const event = {
+          uid: `${plan.basedOn.submissionId}-${day.date}-${index}@testline`,
+          date: day.date,
+          startMinutes: start,
+          endMinutes: start + session.minutes,
+          summary: session.type === 'study'
+            ? `Study: ${session.topic}`
+            : `Review ${session.reviewNumber}: ${session.topic}`,
+          description: `${session.minutes} minute ${session.type} session planned for the exam on ${plan.examDate}`
+        };
+        start += session.minutes;
+        return event;
+      });
+    });
+  }
+}
@@ -0,0 +1,285 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WEAK_ACCURACY } from './QuizAnalyzer.js';
+import { calculateMean } from '../utils/dataProcessing.js';
+
+export const DEFAULT_SYLLABUS_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), '../reference/syllabus.json');
+
+// Prerequisites further than this many edges from a weak topic aren't reported
+const MAX_PREREQUISITE_DEPTH = 2;
+
+/**
+ * Normalizes a topic name for lookups: case, "&" vs "and" and punctuation are ignored
+ * @param {string} name Name
+ * @returns {string} Lookup key
+ */
+export function normalizeTopicName(name) {
+  return String(name).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * The NEET syllabus as a graph: subject → chapter → topic (with subtopics),
+ * plus prerequisite edges between topics.
+ */
+export class SyllabusGraph {
+  /**
+   * @param {Object} definition Syllabus definition (see src/reference/syllabus.json)
+   */
+  constructor(definition) {
+    this.nodes = new Map();
+    this.index = new Map();
+
+    const addNode = node => {
+      if (this.nodes.has(node.id)) {
+        throw new Error(`Duplicate syllabus id "${node.id}"`);
+      }
+      this.nodes.set(node.id, node);
+    };
+
+    definition.subjects.forEach(subject => {
+      addNode({ id: subject.id, name: subject.name, level: 'subject', subjectId: subject.id });
+      subject.chapters.forEach(chapter => {
+        addNode({
+          id: chapter.id,
+          name: chapter.name,
+          level: 'chapter',
+          subjectId: subject.id,
+          chapterId: chapter.id,
+          topicIds: chapter.topics.map(topic => topic.id)
+        });
+        chapter.topics.forEach(topic => {
+          addNode({
+            id: topic.id,
+            name: topic.name,
+            level: 'topic',
+            subjectId: subject.id,
+            chapterId: chapter.id,
+            aliases: topic.aliases || [],
+            subtopics: topic.subtopics || [],
+            prerequisites: topic.prerequisites || []
+          });
+        });
+      });
+    });
+
+    // Topics are indexed last so they win over a chapter or subject of the same name
+    const levels = ['subject', 'chapter', 'topic'];
+    levels.forEach(level => {
+      this.nodes.forEach(node => {
+        if (node.level !== level) return;
+        [node.id, node.name, ...(node.aliases || [])].forEach(name => this.index.set(normalizeTopicName(name), node));
+      });
+    });
+
+    this.nodes.forEach(node => {
+      (node.prerequisites || []).forEach(id => {
+        if (!this.nodes.has(id)) {
+          throw new Error(`Syllabus topic "${node.id}" has unknown prerequisite "${id}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Finds a subject, chapter or topic by id, name or alias
+   * @param {string} name Name to look up
+   * @returns {Object|null} Node
+   */
+  findNode(name) {
+    return this.index.get(normalizeTopicName(name)) || null;
+  }
+
+  /**
+   * Lists the subject names in syllabus order
+   * @returns {Array} Subject names
+   */
+  getSubjects() {
+    return [...this.nodes.values()].filter(node => node.level === 'subject').map(node => node.name);
+  }
+
+  /**
+   * Resolves the subject a topic, chapter or subject name belongs to
+   * @param {string} name Name to look up
+   * @returns {string|null} Subject name, or null if the name isn't in the syllabus
+   */
+  subjectOf(name) {
+    const node = this.findNode(name);
+    return node ? this.nodes.get(node.subjectId).name : null;
+  }
+
+  /**
+   * Describes where a node sits in the syllabus
+   * @param {Object} node Node
+   * @returns {Object} { id, name, level, chapter, subject }
+   */
+  describe(node) {
+    const chapter = node.chapterId ? this.nodes.get(node.chapterId) : null;
+    return {
+      id: node.id,
+      name: node.name,
+      level: node.level,
+      chapter: chapter ? chapter.name : null,
+      subject: this.nodes.get(node.subjectId).name
+    };
+  }
+
+  /**
+   * Lists the concepts a node covers: a topic's subtopics or a chapter's topics
+   * @param {Object} node Node
+   * @returns {Array} Concept names
+   */
+  getConcepts(node) {
+    return node.subtopics || (node.topicIds || []).map(id => this.nodes.get(id).name);
+  }
+
+  /**
+   * Walks prerequisite edges breadth-first from a topic, or from every topic
+   * of a chapter
+   * @param {string} id Topic or chapter id
+   * @param {number} [maxDepth] Maximum number of edges to follow
+   * @returns {Array} { node, depth } nearest first
+   */
+  getPrerequisites(id, maxDepth = MAX_PREREQUISITE_DEPTH) {
+    const start = this.nodes.get(id).topicIds || [id];
+    const visited = new Set([id, ...start]);
+    const found = [];
+    let frontier = start;
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      frontier.forEach(current => {
+        (this.nodes.get(current).prerequisites || []).forEach(prerequisite => {
+          if (visited.has(prerequisite)) return;
+          visited.add(prerequisite);
+          found.push({ node: this.nodes.get(prerequisite), depth });
+          next.push(prerequisite);
+        });
+      });
+      frontier = next;
+    }
+    return found;
+  }
+
+  /**
+   * Maps topic performance onto syllabus nodes
+   * @param {Array} topicStats { topic, accuracy (0-100), attempts }
+   * @returns {Object} { byNode: Map of node id to stats, unmapped: topic names }
+   */
+  mapPerformance(topicStats) {
+    const byNode = new Map();
+    const unmapped = [];
+    topicStats.forEach(stats => {
+      const node = this.findNode(stats.topic);
+      if (!node) {
+        unmapped.push(stats.topic);
+        return;
+      }
+      const existing = byNode.get(node.id);
+      byNode.set(node.id, existing
+        ? {
+          accuracy: (existing.accuracy * existing.attempts + stats.accuracy * stats.attempts) / (existing.attempts + stats.attempts),
+          attempts: existing.attempts + stats.attempts
+        }
+        : { accuracy: stats.accuracy, attempts: stats.attempts });
+    });
+    return { byNode, unmapped };
+  }
+
+  /**
+   * Finds the prerequisites behind a weak topic that are weak themselves or
+   * haven't been assessed yet
+   * @param {string} topic Weak topic name
+   * @param {Array} topicStats { topic, accuracy (0-100), attempts } for every assessed topic
+   * @returns {Object|null} { syllabusTopic, subtopics, prerequisiteGaps }, or null if the topic isn't in the syllabus
+   */
+  findConceptualGaps(topic, topicStats) {
+    const node = this.findNode(topic);
+    if (!node) return null;
+
+    const { byNode } = this.mapPerformance(topicStats);
+    const prerequisiteGaps = this.getPrerequisites(node.id)
+      .map(({ node: prerequisite, depth }) => {
+        const stats = byNode.get(prerequisite.id);
+        return {
+          ...this.describe(prerequisite),
+          depth,
+          accuracy: stats ? stats.accuracy : null,
+          status: !stats ? 'untested' : (stats.accuracy < WEAK_ACCURACY ? 'weak' : 'ok')
+        };
+      })
+      .filter(prerequisite => prerequisite.status !== 'ok');
+
+    return {
+      syllabusTopic: this.describe(node),
+      subtopics: this.getConcepts(node),
+      prerequisiteGaps
+    };
+  }
+
+  /**
+   * Rolls topic performance up to chapters and subjects. Accuracy is averaged
+   * over attempts; only assessed chapters and subjects are listed.
+   * @param {Array} topicStats { topic, accuracy (0-100), attempts }
+   * @returns {Object} { chapters, subjects, unmappedTopics }
+   */
+  rollUp(topicStats) {
+    const { byNode, unmapped } = this.mapPerformance(topicStats);
+    const groups = { chapter: new Map(), subject: new Map() };
+
+    byNode.forEach((stats, id) => {
+      const node = this.nodes.get(id);
+      const entry = { ...stats, topic: node.name, weak: stats.accuracy < WEAK_ACCURACY };
+      [['chapter', node.chapterId], ['subject', node.subjectId]].forEach(([level, groupId]) => {
+        if (!groupId) return;
+        if (!groups[level].has(groupId)) groups[level].set(groupId, []);
+        groups[level].get(groupId).push(entry);
+      });
+    });
+
+    const summarize = ([id, entries]) => {
+      const attempts = entries.reduce((sum, entry) => sum + entry.attempts, 0);
+      const accuracy = entries.reduce((sum, entry) => sum + entry.accuracy * entry.attempts, 0) / attempts;
+      return {
+        ...this.describe(this.nodes.get(id)),
+        accuracy,
+        attempts,
+        topicsAssessed: entries.length,
+        averageTopicAccuracy: calculateMean(entries.map(entry => entry.accuracy)),
+        weakTopics: entries.filter(entry => entry.weak).map(entry => entry.topic),
+        weak: accuracy < WEAK_ACCURACY
+      };
+    };
+
+    return {
+      chapters: [...groups.chapter].map(summarize).sort((a, b) => a.accuracy - b.accuracy),
+      subjects: [...groups.subject].map(summarize).sort((a, b) => a.accuracy - b.accuracy),
+      unmappedTopics: unmapped
+    };
+  }
+}
+
+const syllabusCache = new Map();
+
+/**
+ * Loads the syllabus graph. Results are memoized per file.
+ * @param {string} [file] Syllabus path (defaults to SYLLABUS_FILE or the bundled syllabus)
+ * @returns {Promise<SyllabusGraph>} Syllabus graph
+ */
+export function loadSyllabus(file = process.env.SYLLABUS_FILE || DEFAULT_SYLLABUS_FILE) {
+  const resolved = path.resolve(file);
+  if (!syllabusCache.has(resolved)) {
+    const loading = (async () => {
+      try {
+        return new SyllabusGraph(JSON.parse(await fs.readFile(resolved, 'utf8')));
+      } catch (error) {
+        throw new Error(`Invalid syllabus ${resolved}: ${error.message}`);
+      }
+    })();
+
+    syllabusCache.set(resolved, loading);
+    loading.catch(() => syllabusCache.delete(resolved));
+  }
+  return syllabusCache.get(resolved);
+}
@@ -0,0 +1,258 @@
+import {
+  calculateLinearRegression,
+  calculateMean,
+  calculateMovingAverage,
+  getAttemptTopic,
+  parseNumeric,
+  studentTQuantile
+} from '../utils/dataProcessing.js';
+import { HttpError } from '../utils/errors.js';
+
+export const TREND_METRICS = ['accuracy', 'speed', 'score'];
+
+// Two-sided significance level for calling a slope a trend
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Coverage of the forecast prediction band
+export const PREDICTION_LEVEL = 0.95;
+
+// Attempts compared when looking for plateaus and regressions
+const RECENT_WINDOW = 4;
+
+// A window whose scores stay within this fraction of their mean is flat; a
+// drop of twice this fraction between windows is a regression
+const PLATEAU_TOLERANCE = 0.05;
+
+// Regression needs residual degrees of freedom, so at least three points
+const MIN_TREND_POINTS = 3;
+
+// Forecasts default to this many days after the latest attempt
+export const DEFAULT_FORECAST_DAYS = 30;
+
+// Forecasts further out than this are rejected rather than extrapolated
+const MAX_FORECAST_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRIC_FIELDS = { accuracy: 'accuracy', speed: 'speed', score: 'final_score' };
+
+// Forecasts of bounded metrics are clipped to the possible range
+const METRIC_BOUNDS = { accuracy: [0, 100] };
+
+/**
+ * Fits linear trends to a student's attempts over time: per metric, per topic,
+ * with plateau/regression detection and a score forecast
+ */
+export class TrendAnalyzer {
+  /**
+   * @param {Object} submission Current submission (added to the history if it isn't there)
+   * @param {Array} history Historical attempts
+   */
+  constructor(submission, history) {
+    const attempts = history.some(attempt => attempt.id === submission.id) ? history : [...history, submission];
+    this.attempts = attempts
+      .filter(attempt => !Number.isNaN(Date.parse(attempt.submitted_at)))
+      .sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+    this.origin = this.attempts.length > 0 ? Date.parse(this.attempts[0].submitted_at) : null;
+  }
+
+  /**
+   * Days between the first attempt and a date
+   * @param {string|number} date Date string or timestamp
+   * @returns {number} Days
+   */
+  dayOf(date) {
+    return (Date.parse(date) - this.origin) / DAY_MS;
+  }
+
+  /**
+   * Builds a metric's series from attempts
+   * @param {Array} attempts Attempts in date order
+   * @param {string} metric accuracy, speed or score
+   * @returns {Array} { date, day, value, topic }
+   */
+  buildSeries(attempts, metric) {
+    return attempts
+      .map(attempt => ({
+        date: attempt.submitted_at,
+        day: this.dayOf(attempt.submitted_at),
+        value: parseNumeric(attempt[METRIC_FIELDS[metric]]),
+        topic: getAttemptTopic(attempt)
+      }))
+      .filter(point => Number.isFinite(point.value));
+  }
+
+  /**
+   * Fits a linear trend to a series
+   * @param {Array} series { day, value }
+   * @returns {Object} Slope per day and week, p-value, direction and fit
+   */
+  fitTrend(series) {
+    if (series.length < MIN_TREND_POINTS) {
+      return { attempts: series.length, direction: 'insufficient-data', significant: false };
+    }
+
+    const fit = calculateLinearRegression(series.map(point => ({ x: point.day, y: point.value })));
+    const significant = fit.pValue !== null && fit.pValue < SIGNIFICANCE_LEVEL;
+    return {
+      attempts: series.length,
+      slopePerDay: fit.slope,
+      slopePerWeek: fit.slope * 7,
+      intercept: fit.intercept,
+      rSquared: fit.rSquared,
+      standardError: fit.slopeStandardError,
+      tStatistic: fit.tStatistic,
+      pValue: fit.pValue,
+      significant,
+      direction: !significant ? 'flat' : (fit.slope > 0 ? 'improving' : 'declining'),
+      fit
+    };
+  }
+
+  /**
+   * Compares the latest attempts with the ones before them. A plateau is a
+   * recent window without a significant slope whose values stay within
+   * PLATEAU_TOLERANCE of their mean; a regression is a recent window whose mean
+   * fell by more than twice that from the previous window.
+   * @param {Array} series { day, value } in date order
+   * @returns {Object} { plateau, regression, recentMean, previousMean, change }
+   */
+  detectChanges(series) {
+    const recent = series.slice(-RECENT_WINDOW);
+    const previous = series.slice(-2 * RECENT_WINDOW, -RECENT_WINDOW);
+    if (recent.length < RECENT_WINDOW) {
+      return { plateau: false, regression: false, recentMean: null, previousMean: null, change: null };
+    }
+
+    const values = recent.map(point => point.value);
+    const recentMean = calculateMean(values);
+    const tolerance = Math.abs(recentMean) * PLATEAU_TOLERANCE;
+    const recentTrend = this.fitTrend(recent);
+    const plateau = !recentTrend.significant && Math.max(...values) - Math.min(...values) <= 2 * tolerance;
+
+    const previousMean = previous.length > 0 ? calculateMean(previous.map(point => point.value)) : null;
+    const change = previousMean !== null ? recentMean - previousMean : null;
+    const regression = change !== null && change < -2 * Math.abs(previousMean) * PLATEAU_TOLERANCE;
+
+    return { plateau, regression, recentMean, previousMean, change };
+  }
+
+  /**
+   * Predicts a metric at a future date from its trend, with a prediction band
+   * for a single attempt on that day:
+   * ŷ ± t(n-2) · s · √(1 + 1/n + (x₀ − x̄)² / Sxx)
+   * @param {Object} trend Result of fitTrend
+   * @param {string} date Forecast date (YYYY-MM-DD)
+   * @param {Array} [bounds] [min, max] the metric can take
+   * @returns {Object|null} Forecast, or null without enough data
+   */
+  forecast(trend, date, bounds = [-Infinity, Infinity]) {
+    if (!trend.fit || trend.fit.residualStandardError === null || trend.fit.sxx === 0) return null;
+
+    const { fit } = trend;
+    const day = this.dayOf(`${date}T00:00:00Z`);
+    const predicted = fit.intercept + fit.slope * day;
+    const critical = studentTQuantile(1 - (1 - PREDICTION_LEVEL) / 2, fit.degreesOfFreedom);
+    const margin = critical * fit.residualStandardError *
+      Math.sqrt(1 + 1 / fit.n + Math.pow(day - fit.xMean, 2) / fit.sxx);
+
+    const clip = value => Math.min(bounds[1], Math.max(bounds[0], value));
+
+    return {
+      date,
+      predicted: clip(predicted),
+      lower: clip(predicted - margin),
+      upper: clip(predicted + margin),
+      level: PREDICTION_LEVEL
+    };
+  }
+
+  /**
+   * Fits accuracy trends per quiz topic, mixed-topic attempts aside
+   * @returns {Array} Topic trends, steepest decline first
+   */
+  analyzeTopicTrends() {
+    const byTopic = new Map();
+    this.attempts.forEach(attempt => {
+      const topic = getAttemptTopic(attempt);
+      if (!topic) return;
+      const key = String(topic).toLowerCase();
+      if (!byTopic.has(key)) byTopic.set(key, { topic, attempts: [] });
+      byTopic.get(key).attempts.push(attempt);
+    });
+
+    return [...byTopic.values()]
+      .map(({ topic, attempts }) => {
+        const series = this.buildSeries(attempts, 'accuracy');
+        const { fit, ...trend } = this.fitTrend(series);
+        return { topic, ...trend, latest: series.length > 0 ? series[series.length - 1].value : null };
+      })
+      // Topics without enough attempts for a slope go last
+      .sort((a, b) => {
+        if (a.slopePerDay === undefined || b.slopePerDay === undefined) {
+          return (a.slopePerDay === undefined) - (b.slopePerDay === undefined);
+        }
+        return a.slopePerDay - b.slopePerDay;
+      });
+  }
+
+  /**
+   * Analyzes trends for every metric and topic and forecasts the score
+   * @param {Object} [options] Trend options
+   * @param {string} [options.forecastDate] Date to forecast (YYYY-MM-DD), defaults
+   * to DEFAULT_FORECAST_DAYS after the latest attempt
+   * @returns {Object} Trend analysis
+   */
+  analyze({ forecastDate } = {}) {
+    if (this.attempts.length === 0) {
+      throw new HttpError(400, 'Trend analysis needs at least one dated attempt');
+    }
+
+    const lastDate = this.attempts[this.attempts.length - 1].submitted_at;
+    const date = forecastDate ||
+      new Date(Date.parse(lastDate) + DEFAULT_FORECAST_DAYS * DAY_MS).toISOString().slice(0, 10);
+    const daysAhead = (Date.parse(`${date}T00:00:00Z`) - Date.parse(lastDate)) / DAY_MS;
+    if (daysAhead < 0) {
+      throw new HttpError(400, 'forecastDate must not be before the latest attempt');
+    }
+    if (daysAhead > MAX_FORECAST_DAYS) {
+      throw new HttpError(400, `forecastDate must be within ${MAX_FORECAST_DAYS} days of the latest attempt`);
+    }
+
+    const metrics = {};
+    const forecasts = {};
+    TREND_METRICS.forEach(metric => {
+      const series = this.buildSeries(this.attempts, metric);
+      const { fit, ...trend } = this.fitTrend(series);
+      const smoothed = calculateMovingAverage(series.map(point => point.value), 3);
+      metrics[metric] = {
+        ...trend,
+        ...this.detectChanges(series),
+        series: series.map((point, index) => ({
+          ...point,
+          // Mean of this attempt and up to two before it
+          movingAverage: smoothed[index]
+        }))
+      };
+      forecasts[metric] = this.forecast({ fit }, date, METRIC_BOUNDS[metric]);
+    });
+
+    const topics = this.analyzeTopicTrends();
+    return {
+      attempts: this.attempts.length,
+      period: { from: this.attempts[0].submitted_at, to: lastDate },
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      metrics,
+      topics,
+      forecasts,
+      alerts: [
+        ...TREND_METRICS.filter(metric => metrics[metric].regression)
+          .map(metric => ({ type: 'regression', metric, change: metrics[metric].change })),
+        ...TREND_METRICS.filter(metric => metrics[metric].plateau)
+          .map(metric => ({ type: 'plateau', metric, recentMean: metrics[metric].recentMean })),
+        ...topics.filter(topic => topic.direction === 'declining')
+          .map(topic => ({ type: 'declining-topic', topic: topic.topic, slopePerWeek: topic.slopePerWeek }))
+      ]
+    };
+  }
+}
@@ -0,0 +1,97 @@
+// Password hashing (scrypt) and signed tokens (JWT, HS256) on node:crypto
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { UnauthorizedError } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters and output length, stored with each hash so they can
+// be raised later without invalidating existing passwords
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password Password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`, salt and hash in base64
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Checks a password against a hash from hashPassword, in constant time
+ * @param {string} password Password
+ * @param {string} stored Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const signature = (content, secret) => crypto.createHmac('sha256', secret).update(content).digest('base64url');
+
+/**
+ * Signs a JWT
+ * @param {Object} claims Token claims
+ * @param {string} secret Signing secret
+ * @param {number} ttlSeconds Lifetime in seconds
+ * @returns {Object} { token, expiresAt }
+ */
+export const signToken = (claims, secret, ttlSeconds) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds };
+  const content = `${base64url(JSON.stringify(JWT_HEADER))}.${base64url(JSON.stringify(payload))}`;
+  return {
+    token: `${content}.${signature(content, secret)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Verifies a JWT signed by signToken
+ * @param {string} token Token
+ * @param {string} secret Signing secret
+ * @returns {Object} Claims
+ * @throws {UnauthorizedError} When the token is malformed, forged or expired
+ */
+export const verifyToken = (token, secret) => {
+  const [header, payload, signed] = String(token).split('.');
+  if (!header || !payload || !signed) {
+    throw new UnauthorizedError('Malformed token');
+  }
+
+  const expected = Buffer.from(signature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signed);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new UnauthorizedError('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== JWT_HEADER.alg) throw new Error(`unsupported algorithm ${alg}`);
+  } catch (error) {
+    throw new UnauthorizedError(`Malformed token: ${error.message}`);
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+    throw new UnauthorizedError('Token expired');
+  }
+  return claims;
+};
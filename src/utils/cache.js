@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory cache with per-entry TTL, tag-based invalidation and coalescing of
+ * concurrent loads for the same key. It holds at most `maxEntries` entries,
+ * evicting the least recently used, and sweeps out expired entries periodically.
+ */
+export class TtlCache {
+  /**
+   * @param {Object} options Cache options
+   * @param {number} [options.ttl] Time to live in milliseconds (0 disables caching)
+   * @param {number} [options.maxEntries] Entries kept before the least recently used is evicted
+   * @param {number} [options.sweepInterval] Milliseconds between sweeps of expired entries (0 disables sweeping)
+   * @param {Function} [options.now] Clock, overridable for tests
+   */
+  constructor({ ttl = 5 * 60 * 1000, maxEntries = 1000, sweepInterval = 60 * 1000, now = Date.now } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+    this.sweeper = null;
+    if (ttl > 0 && sweepInterval > 0) {
+      // Doesn't keep the process alive on its own
+      this.sweeper = setInterval(() => this.sweep(), sweepInterval).unref();
+    }
+  }
+
+  /**
+   * Returns a live entry ({ value, etag, createdAt, expiresAt, tags }) or
+   * undefined. A hit makes the entry the most recently used.
+   * @param {string} key Cache key
+   * @returns {Object|undefined} Cache entry
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  get(key) {
+    const entry = this.getEntry(key);
+    return entry && entry.value;
+  }
+
+  set(key, value, { tags = [] } = {}) {
+    const entry = this.createEntry(value, tags);
+    if (this.ttl > 0) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      // Maps iterate in insertion order, so the first key is the least recently used
+      for (const oldest of this.entries.keys()) {
+        if (this.entries.size <= this.maxEntries) break;
+        this.entries.delete(oldest);
+        this.stats.evictions++;
+      }
+    }
+    return entry;
+  }
+
+  createEntry(value, tags) {
+    const createdAt = this.now();
+    return {
+      value,
+      etag: createEtag(value),
+      createdAt,
+      expiresAt: createdAt + this.ttl,
+      tags: new Set(tags),
+      bodies: new Map()
+    };
+  }
+
+  /**
+   * Serializes an entry's value once per format. The body and its own ETag are
+   * kept on the entry, so they expire and are invalidated with it.
+   * @param {Object} entry Cache entry
+   * @param {string} format Format name
+   * @param {Function} serialize Turns the value into the body (or a promise of it)
+   * @returns {Promise<Object>} { body, etag }
+   */
+  wrapBody(entry, format, serialize) {
+    if (!entry.bodies.has(format)) {
+      const promise = (async () => {
+        const body = await serialize(entry.value);
+        return { body, etag: createEtag(body) };
+      })();
+      promise.catch(() => entry.bodies.delete(format));
+      entry.bodies.set(format, promise);
+    }
+    return entry.bodies.get(format);
+  }
+
+  /**
+   * Resolves the cached entry for `key`, calling `loader` on a miss. Concurrent
+   * misses for the same key share a single loader call; failures aren't cached,
+   * nor are values whose load was invalidated before it finished.
+   * @param {string} key Cache key
+   * @param {Function} loader Async function producing the value
+   * @param {Object} [options] Entry options
+   * @param {Array} [options.tags] Tags for invalidation
+   * @returns {Promise<Object>} Cache entry
+   */
+  async wrapEntry(key, loader, { tags = [] } = {}) {
+    const cached = this.getEntry(key);
+    if (cached) {
+      this.stats.hits++;
+      return cached;
+    }
+
+    if (this.pending.has(key)) {
+      this.stats.coalesced++;
+      return this.pending.get(key).promise;
+    }
+
+    this.stats.misses++;
+    const load = { tags: new Set(tags), stale: false };
+    load.promise = (async () => {
+      try {
+        const value = await loader();
+        return load.stale ? this.createEntry(value, tags) : this.set(key, value, { tags });
+      } finally {
+        if (this.pending.get(key) === load) this.pending.delete(key);
+      }
+    })();
+    this.pending.set(key, load);
+    return load.promise;
+  }
+
+  async wrap(key, loader, options) {
+    const entry = await this.wrapEntry(key, loader, options);
+    return entry.value;
+  }
+
+  /**
+   * Removes every entry carrying the given tag. Loads in progress for the tag
+   * are marked stale: their callers still get the value, but it isn't stored,
+   * and later misses start a fresh load.
+   * @param {string} tag Tag to invalidate
+   * @returns {number} Number of removed entries
+   */
+  invalidateTag(tag) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.has(tag)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    for (const [key, load] of this.pending) {
+      if (load.tags.has(tag)) this.abandon(key);
+    }
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    [...this.pending.keys()].forEach(key => this.abandon(key));
+    return removed;
+  }
+
+  abandon(key) {
+    this.pending.get(key).stale = true;
+    this.pending.delete(key);
+  }
+
+  /**
+   * Removes expired entries
+   * @returns {number} Number of removed entries
+   */
+  sweep() {
+    const now = this.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Stops the periodic sweep
+   */
+  close() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  describe() {
+    return {
+      ttlSeconds: this.ttl / 1000,
+      maxEntries: this.maxEntries,
+      size: this.entries.size,
+      pending: this.pending.size,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Hashes a value into a strong ETag. Strings and buffers (serialized response
+ * bodies) are hashed as they are, anything else as JSON.
+ * @param {*} value Value
+ * @returns {string} Quoted ETag
+ */
+export function createEtag(value) {
+  const data = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value) ?? '';
+  const hash = crypto.createHash('sha1').update(data).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Builds the cache from configuration. CACHE_TTL is in seconds (default 300,
+ * 0 disables), CACHE_MAX_ENTRIES the entry limit (default 1000) and
+ * CACHE_SWEEP_INTERVAL the seconds between sweeps of expired entries (default 60, 0 disables).
+ * @param {Object} config Configuration values
+ * @returns {TtlCache} Cache instance
+ */
+export function createCache(config = process.env) {
+  const setting = (name, fallback, valid) => {
+    const value = config[name] === undefined ? fallback : Number(config[name]);
+    if (!Number.isFinite(value) || !valid(value)) {
+      throw new Error(`Invalid ${name} "${config[name]}"`);
+    }
+    return value;
+  };
+  return new TtlCache({
+    ttl: setting('CACHE_TTL', 300, value => value >= 0) * 1000,
+    maxEntries: setting('CACHE_MAX_ENTRIES', 1000, value => Number.isInteger(value) && value > 0),
+    sweepInterval: setting('CACHE_SWEEP_INTERVAL', 60, value => value >= 0) * 1000
+  });
+}
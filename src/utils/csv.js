@@ -0,0 +1,30 @@
+// CSV (RFC 4180) serialization for exported reports
+
+// Leading characters that make spreadsheet apps evaluate a field as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats a field, quoting it when it contains a comma, quote or line break.
+ * Text starting like a formula is prefixed with ' so that spreadsheet apps
+ * show it as text; numbers are written as they are. null and undefined become
+ * empty fields.
+ * @param {*} value Field value
+ * @returns {string} CSV field
+ */
+export const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document with a header row
+ * @param {Array} columns { key, header } in output order
+ * @param {Array} rows Objects holding the columns' keys
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const buildCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeField(column.header))];
+  rows.forEach(row => lines.push(columns.map(column => escapeField(row[column.key]))));
+  return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+};
@@ -1,38 +1,112 @@
-import fetch from 'node-fetch';
+import { createDataSource, DEFAULT_USER_ID } from './dataSources.js';
+import { ValidationError, withContext } from './errors.js';
+import { SCHEMAS, validate, validateQuizData } from './schemas.js';
 
-const API_ENDPOINTS = {
-    currentQuiz: 'https://www.jsonkeeper.com/b/LLQT',
-    submission: 'https://api.jsonserve.com/rJvd7g',
-    history: 'https://api.jsonserve.com/XgAgFJ'
-};
+export const VALIDATION_MODES = ['strict', 'lenient'];
 
-export async function fetchData(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    } catch (error) {
-        throw new Error(`Failed to fetch data: ${error.message}`);
+export { fetchData } from './dataSources.js';
+
+let defaultSource = null;
+
+/**
+ * Returns the data source configured through the environment, creating it on
+ * first use.
+ * @returns {Promise<Object>} Data source instance
+ */
+export async function getDefaultDataSource() {
+    if (!defaultSource) {
+        defaultSource = createDataSource().catch(error => {
+            defaultSource = null;
+            throw error;
+        });
     }
+    return defaultSource;
 }
 
-export async function loadData() {
+/**
+ * Loads one dataset from a data source, through the cache when there is one.
+ * Per-user datasets are tagged with their user.
+ * @param {Object} dataSource Data source
+ * @param {TtlCache} [cache] Cache for loaded datasets
+ * @param {string} name Dataset name
+ * @param {string} [id] User id of per-user datasets
+ * @returns {Promise<*>} Dataset payload
+ */
+function loadDataset(dataSource, cache, name, id) {
+    if (!cache) return dataSource.load(name, id);
+    const tags = id === undefined ? ['dataset'] : ['dataset', `user:${id}`];
+    return cache.wrap(`dataset:${name}:${id ?? ''}`, () => dataSource.load(name, id), { tags });
+}
+
+// Bad payloads from a remote upstream are a gateway failure; local exports and
+// fixtures are the operator's own data.
+const validationStatus = dataSource => (dataSource.kind === 'http' ? 502 : 422);
+
+/**
+ * Loads the current quiz together with one user's submission and history.
+ * @param {Object} [source] Data source (defaults to the configured one)
+ * @param {Object} [options] Load options
+ * @param {string} [options.userId] User whose submission and history to load
+ * @param {TtlCache} [options.cache] Cache for loaded datasets; concurrent loads of the same dataset are coalesced
+ * @param {string} [options.validation] 'strict' (default) or 'lenient', see validateQuizData
+ * @returns {Promise<Object>} { currentQuiz, submission, history, warnings }
+ */
+export async function loadData(source, { userId = DEFAULT_USER_ID, cache, validation = 'strict' } = {}) {
     try {
+        const dataSource = source || await getDefaultDataSource();
+        const load = (name, id) => loadDataset(dataSource, cache, name, id);
+
         const [currentQuiz, submission, history] = await Promise.all([
-            fetchData(API_ENDPOINTS.currentQuiz),
-            fetchData(API_ENDPOINTS.submission),
-            fetchData(API_ENDPOINTS.history)
+            load('currentQuiz'),
+            load('submission', userId),
+            load('history', userId)
         ]);
 
-        return {
-            currentQuiz,
-            submission,
-            history
-        };
+        return validateQuizData({ currentQuiz, submission, history }, {
+            mode: validation,
+            status: validationStatus(dataSource)
+        });
+    } catch (error) {
+        throw withContext(error, 'Data loading failed');
+    }
+}
+
+/**
+ * Loads the current quiz on its own, for reports that aren't about one user.
+ * Quiz problems throw in either validation mode, so it is always checked strictly.
+ * @param {Object} [source] Data source (defaults to the configured one)
+ * @param {Object} [options] Load options
+ * @param {TtlCache} [options.cache] Cache for loaded datasets
+ * @returns {Promise<Object>} Current quiz
+ */
+export async function loadCurrentQuiz(source, { cache } = {}) {
+    try {
+        const dataSource = source || await getDefaultDataSource();
+        const currentQuiz = await loadDataset(dataSource, cache, 'currentQuiz');
+        const issues = validate(SCHEMAS.currentQuiz, currentQuiz).map(issue => ({ dataset: 'currentQuiz', ...issue }));
+        if (issues.length > 0) {
+            throw new ValidationError(`${issues.length} validation problem(s) in quiz data`, issues, validationStatus(dataSource));
+        }
+        return currentQuiz;
     } catch (error) {
-        throw new Error(`Data loading failed: ${error.message}`);
+        throw withContext(error, 'Data loading failed');
     }
 }
 
+/**
+ * Lists the users available from a data source.
+ * @param {Object} [source] Data source (defaults to the configured one)
+ * @returns {Promise<Array>} User ids
+ */
+export async function listUsers(source) {
+    try {
+        const dataSource = source || await getDefaultDataSource();
+        const users = await dataSource.listUsers();
+        if (!Array.isArray(users)) {
+            throw new Error('user list must be an array');
+        }
+        return users.map(String);
+    } catch (error) {
+        throw withContext(error, 'User listing failed');
+    }
+}
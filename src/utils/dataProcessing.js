@@ -2,6 +2,9 @@
  * Data processing and visualization utilities
  */
 
+import { ValidationError } from './errors.js';
+import { SCHEMAS, validate } from './schemas.js';
+
 // Statistical calculations
 export const calculateMean = (values) => {
   if (!values || values.length === 0) return 0;
@@ -15,11 +18,256 @@ export const calculateStandardDeviation = (values) => {
   return Math.sqrt(calculateMean(squareDiffs));
 };
 
+// Sample (n - 1) standard deviation, used for consistency across attempts
+export const calculateSampleStandardDeviation = (values) => {
+  if (!values || values.length < 2) return 0;
+  const mean = calculateMean(values);
+  const squareDiffs = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+  return Math.sqrt(squareDiffs / (values.length - 1));
+};
+
+// Quantile (0-1) of a numeric array using linear interpolation between order statistics
+export const calculateQuantile = (values, q) => {
+  if (!values || values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Seedable pseudo-random generator (mulberry32) returning floats in [0, 1)
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Natural log of the gamma function (Lanczos approximation)
+const logGamma = (x) => {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+// Continued fraction for the regularized incomplete beta function (modified Lentz)
+const betaContinuedFraction = (a, b, x) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    for (const numerator of [
+      m * (b - m) * x / ((a + m2 - 1) * (a + m2)),
+      -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      result *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+const regularizedIncompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+};
+
+// Cumulative distribution function of Student's t distribution
+export const studentTCdf = (t, degreesOfFreedom) => {
+  const tail = regularizedIncompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5) / 2;
+  return t >= 0 ? 1 - tail : tail;
+};
+
+// Quantile of Student's t distribution, found by bisection on the CDF
+export const studentTQuantile = (p, degreesOfFreedom) => {
+  let low = -1000;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, degreesOfFreedom) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Ordinary least squares fit of y on x, with the slope's standard error and
+// two-sided p-value (t test of slope = 0). Needs at least three points for the test.
+export const calculateLinearRegression = (points) => {
+  const n = points.length;
+  const xMean = calculateMean(points.map(point => point.x));
+  const yMean = calculateMean(points.map(point => point.y));
+  const sxx = points.reduce((sum, point) => sum + Math.pow(point.x - xMean, 2), 0);
+  const sxy = points.reduce((sum, point) => sum + (point.x - xMean) * (point.y - yMean), 0);
+  const syy = points.reduce((sum, point) => sum + Math.pow(point.y - yMean, 2), 0);
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = yMean - slope * xMean;
+
+  const residualSumOfSquares = points.reduce((sum, point) =>
+    sum + Math.pow(point.y - (intercept + slope * point.x), 2), 0);
+  const degreesOfFreedom = n - 2;
+  const residualStandardError = degreesOfFreedom > 0 ? Math.sqrt(residualSumOfSquares / degreesOfFreedom) : null;
+  const slopeStandardError = residualStandardError !== null && sxx > 0 ? residualStandardError / Math.sqrt(sxx) : null;
+
+  let tStatistic = null;
+  let pValue = null;
+  if (slopeStandardError !== null) {
+    if (slopeStandardError === 0) {
+      // A perfect fit: any non-zero slope is certain, a flat one is not a trend
+      pValue = slope === 0 ? 1 : 0;
+    } else {
+      tStatistic = slope / slopeStandardError;
+      pValue = 2 * (1 - studentTCdf(Math.abs(tStatistic), degreesOfFreedom));
+    }
+  }
+
+  return {
+    n,
+    slope,
+    intercept,
+    rSquared: syy > 0 ? 1 - residualSumOfSquares / syy : null,
+    residualStandardError,
+    slopeStandardError,
+    degreesOfFreedom,
+    tStatistic,
+    pValue,
+    xMean,
+    sxx
+  };
+};
+
+// Pearson correlation of paired values; null with fewer than two pairs or no variance
+export const calculateCorrelation = (xs, ys) => {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+  const xMean = calculateMean(xs);
+  const yMean = calculateMean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - xMean) * (ys[i] - yMean);
+    sxx += Math.pow(x - xMean, 2);
+    syy += Math.pow(ys[i] - yMean, 2);
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// Percentile rank of a value in a dataset: the share of values below it, with
+// values equal to it counted half (null for an empty dataset)
 export const calculatePercentile = (value, dataset) => {
-  if (!dataset || dataset.length === 0) return 0;
-  const sortedData = [...dataset].sort((a, b) => a - b);
-  const index = sortedData.findIndex(item => item >= value);
-  return (index / sortedData.length) * 100;
+  if (!dataset || dataset.length === 0) return null;
+  const below = dataset.filter(item => item < value).length;
+  const equal = dataset.filter(item => item === value).length;
+  return ((below + equal / 2) / dataset.length) * 100;
+};
+
+// Payload normalization
+// Upstream payloads mix numbers and strings such as "90 %" or "105.0"; the
+// parser is shared with the schema validator so both agree on what is numeric.
+export { parseNumeric } from './schemas.js';
+
+// Parses a "mm:ss" or "hh:mm:ss" duration (or a number of minutes) into minutes
+export const parseDurationMinutes = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){1,2}$/.test(value.trim())) return NaN;
+  const parts = value.trim().split(':').map(Number);
+  const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+  return hours * 60 + minutes + seconds / 60;
+};
+
+// Formats seconds as "mm:ss", or "hh:mm:ss" from an hour up
+export const formatDuration = (totalSeconds) => {
+  const rounded = Math.round(totalSeconds);
+  const pad = value => String(value).padStart(2, '0');
+  const [hours, minutes, seconds] = [Math.floor(rounded / 3600), Math.floor((rounded % 3600) / 60), rounded % 60];
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+};
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const DIFFICULTY_ALIASES = {
+  easy: 'easy', simple: 'easy', '1': 'easy',
+  medium: 'medium', moderate: 'medium', average: 'medium', '2': 'medium',
+  hard: 'hard', difficult: 'hard', tough: 'hard', '3': 'hard'
+};
+
+// Maps upstream difficulty labels/levels to easy | medium | hard (null if unknown).
+export const normalizeDifficulty = (value) => {
+  if (value === undefined || value === null) return null;
+  return DIFFICULTY_ALIASES[String(value).trim().toLowerCase()] || null;
+};
+
+const normalizeQuestion = (question, quiz) => {
+  const options = (question.options || []).map(option => ({
+    id: option.id,
+    description: option.description,
+    isCorrect: Boolean(option.is_correct ?? option.isCorrect)
+  }));
+  const correctOption = question.correctOption ?? options.find(option => option.isCorrect)?.id;
+
+  return {
+    id: question.id,
+    description: question.description,
+    topic: question.topic || quiz.topic,
+    difficulty: normalizeDifficulty(question.difficulty ?? question.difficulty_level),
+    options,
+    correctOption,
+    solution: question.detailed_solution || question.solution || null
+  };
+};
+
+// Accepts both `{ questions }` and the upstream `{ quiz: { questions } }` shape.
+export const getQuizQuestions = (currentQuiz) => {
+  const quiz = currentQuiz && currentQuiz.quiz ? currentQuiz.quiz : currentQuiz || {};
+  return (quiz.questions || []).map(question => normalizeQuestion(question, quiz));
+};
+
+// Topic of quizzes spanning several topics. Attempts filed under it count in
+// overall stats but are left out of per-topic stats, as it is no real topic.
+export const MIXED_TOPIC = 'Mixed';
+
+// Topic a quiz's attempts are filed under: the quiz topic, else its most common question topic, else MIXED_TOPIC.
+export const getQuizTopic = (currentQuiz) => {
+  const quiz = currentQuiz && currentQuiz.quiz ? currentQuiz.quiz : currentQuiz || {};
+  if (typeof quiz.topic === 'string' && quiz.topic.trim() !== '') return quiz.topic;
+
+  const counts = new Map();
+  getQuizQuestions(currentQuiz)
+    .filter(question => typeof question.topic === 'string' && question.topic.trim() !== '')
+    .forEach(question => counts.set(question.topic, (counts.get(question.topic) || 0) + 1));
+  const [dominant] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+  return dominant || MIXED_TOPIC;
+};
+
+// Topic an attempt counts towards in per-topic stats: its quiz topic, or null for MIXED_TOPIC or no topic.
+export const getAttemptTopic = (attempt) => {
+  const topic = attempt && attempt.quiz ? attempt.quiz.topic : null;
+  return topic && topic !== MIXED_TOPIC ? topic : null;
+};
+
+// Maps question id to chosen option id (`answers` or the upstream `response_map`).
+export const getSubmissionAnswers = (submission) => {
+  return (submission && (submission.answers || submission.response_map)) || {};
 };
 
 // Data transformation functions
@@ -91,54 +339,6 @@ export const prepareTopicDistributionData = (submissions) => {
 };
 
 // Performance analysis helpers
-export const analyzeImprovementTrends = (submissions) => {
-  const sortedSubs = [...submissions].sort(
-    (a, b) => new Date(a.submitted_at) - new Date(b.submitted_at)
-  );
-
-  const trends = {
-    accuracy: [],
-    speed: [],
-    topicWise: {}
-  };
-
-  sortedSubs.forEach((sub, index) => {
-    const accuracy = (sub.correct_answers / sub.total_questions) * 100;
-    trends.accuracy.push({
-      date: new Date(sub.submitted_at),
-      value: accuracy
-    });
-
-    trends.speed.push({
-      date: new Date(sub.submitted_at),
-      value: parseFloat(sub.speed)
-    });
-
-    if (sub.quiz && sub.quiz.topic) {
-      const topic = sub.quiz.topic;
-      if (!trends.topicWise[topic]) {
-        trends.topicWise[topic] = [];
-      }
-      trends.topicWise[topic].push({
-        date: new Date(sub.submitted_at),
-        accuracy,
-        speed: parseFloat(sub.speed)
-      });
-    }
-  });
-
-  // Calculate moving averages
-  trends.accuracy = calculateMovingAverage(
-    trends.accuracy.map(point => point.value)
-  ).map((value, index) => ({
-    date: trends.accuracy[index].date,
-    value,
-    raw: trends.accuracy[index].value
-  }));
-
-  return trends;
-};
-
 export const identifyWeaknesses = (submissions) => {
   const topicData = prepareTopicDistributionData(submissions);
   const weakAreas = topicData
@@ -155,48 +355,25 @@ export const identifyWeaknesses = (submissions) => {
 };
 
 // Data validation functions
+// Both throw a ValidationError listing every problem; see utils/schemas.js.
 export const validateSubmissionData = (data) => {
-  const requiredFields = [
-    'quiz_id',
-    'submitted_at',
-    'correct_answers',
-    'total_questions',
-    'speed'
-  ];
-
-  const missingFields = requiredFields.filter(field => !data.hasOwnProperty(field));
-  if (missingFields.length > 0) {
-    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  const issues = validate(SCHEMAS.submission, data);
+  if (issues.length > 0) {
+    throw new ValidationError(`Invalid submission: ${issues.map(issue => `${issue.path} ${issue.problem}`).join('; ')}`, issues);
   }
-
-  if (data.correct_answers > data.total_questions) {
-    throw new Error('Correct answers cannot exceed total questions');
-  }
-
-  if (parseFloat(data.speed) <= 0) {
-    throw new Error('Speed must be a positive number');
-  }
-
   return true;
 };
 
 export const validateHistoricalData = (data) => {
-  if (!Array.isArray(data)) {
-    throw new Error('Historical data must be an array');
+  const issues = validate(SCHEMAS.history, data);
+  if (Array.isArray(data)) {
+    data.forEach((submission, index) => {
+      issues.push(...validate(SCHEMAS.historyEntry, submission, `[${index}]`));
+    });
   }
-
-  if (data.length === 0) {
-    throw new Error('Historical data array is empty');
+  if (issues.length > 0) {
+    throw new ValidationError(`Invalid history: ${issues.map(issue => `${issue.path} ${issue.problem}`).join('; ')}`, issues);
   }
-
-  data.forEach((submission, index) => {
-    try {
-      validateSubmissionData(submission);
-    } catch (error) {
-      throw new Error(`Invalid submission at index ${index}: ${error.message}`);
-    }
-  });
-
   return true;
 };
 
@@ -216,7 +393,6 @@ export const validateHistoricalData = (data) => {
 //   prepareTopicDistributionData,
   
 //   // Analysis
-//   analyzeImprovementTrends,
 //   identifyWeaknesses,
   
 //   // Validation
@@ -0,0 +1,241 @@
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { NotFoundError } from './errors.js';
+
+/**
+ * Data source providers used by the data loader.
+ *
+ * Every provider exposes the same two methods:
+ * - `load(name, userId)` resolves with the parsed JSON payload of one of the
+ *   DATASETS. `currentQuiz` is shared; `submission` and `history` belong to a user.
+ * - `listUsers()` resolves with the ids of the users the source knows about.
+ */
+
+export const DATASETS = ['currentQuiz', 'submission', 'history'];
+export const USER_DATASETS = ['submission', 'history'];
+
+// Single-student sources (the original upstream endpoints, legacy exports)
+// expose their data under this id.
+export const DEFAULT_USER_ID = 'default';
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const DEFAULT_ENDPOINTS = {
+    currentQuiz: 'https://www.jsonkeeper.com/b/LLQT',
+    submission: 'https://api.jsonserve.com/rJvd7g',
+    history: 'https://api.jsonserve.com/XgAgFJ'
+};
+
+export async function fetchData(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        throw new Error(`Failed to fetch data: ${error.message}`);
+    }
+}
+
+function assertDataset(name) {
+    if (!DATASETS.includes(name)) {
+        throw new Error(`Unknown dataset "${name}"`);
+    }
+}
+
+export function assertUserId(userId) {
+    if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+        throw new NotFoundError(`Unknown user "${userId}"`);
+    }
+}
+
+/**
+ * Fetches datasets from remote JSON endpoints (the original behaviour).
+ *
+ * Submission and history URLs may contain a `{userId}` placeholder to serve
+ * several users; without it only DEFAULT_USER_ID is available. The optional
+ * `users` endpoint must return an array of user ids.
+ */
+export class HttpDataSource {
+    constructor(endpoints = {}) {
+        this.kind = 'http';
+        this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+    }
+
+    async load(name, userId = DEFAULT_USER_ID) {
+        assertDataset(name);
+        const url = this.endpoints[name];
+        if (!USER_DATASETS.includes(name)) {
+            return fetchData(url);
+        }
+
+        assertUserId(userId);
+        if (url.includes('{userId}')) {
+            return fetchData(url.replaceAll('{userId}', encodeURIComponent(userId)));
+        }
+        if (userId !== DEFAULT_USER_ID) {
+            throw new NotFoundError(`Unknown user "${userId}"`);
+        }
+        return fetchData(url);
+    }
+
+    async listUsers() {
+        if (this.endpoints.users) {
+            return fetchData(this.endpoints.users);
+        }
+        return [DEFAULT_USER_ID];
+    }
+}
+
+/**
+ * Reads datasets from JSON files in a directory:
+ *
+ *   <directory>/currentQuiz.json
+ *   <directory>/users/<userId>/submission.json
+ *   <directory>/users/<userId>/history.json
+ *
+ * Top-level submission.json/history.json files (a single-student export) are
+ * served as DEFAULT_USER_ID.
+ */
+export class LocalDataSource {
+    constructor(directory) {
+        this.kind = 'local';
+        this.directory = path.resolve(directory);
+    }
+
+    async readJson(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw new Error(`Failed to read ${file}: ${error.message}`);
+        }
+    }
+
+    async load(name, userId = DEFAULT_USER_ID) {
+        assertDataset(name);
+        if (!USER_DATASETS.includes(name)) {
+            const file = path.join(this.directory, `${name}.json`);
+            const data = await this.readJson(file);
+            if (data === undefined) {
+                throw new Error(`Failed to read ${file}: file not found`);
+            }
+            return data;
+        }
+
+        assertUserId(userId);
+        const userData = await this.readJson(path.join(this.directory, 'users', userId, `${name}.json`));
+        if (userData !== undefined) return userData;
+
+        if (userId === DEFAULT_USER_ID) {
+            const legacyData = await this.readJson(path.join(this.directory, `${name}.json`));
+            if (legacyData !== undefined) return legacyData;
+        }
+        throw new NotFoundError(`No ${name} data for user "${userId}"`);
+    }
+
+    async listUsers() {
+        const users = [];
+        try {
+            const entries = await fs.readdir(path.join(this.directory, 'users'), { withFileTypes: true });
+            entries
+                .filter(entry => entry.isDirectory() && USER_ID_PATTERN.test(entry.name))
+                .forEach(entry => users.push(entry.name));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const legacySubmission = await this.readJson(path.join(this.directory, 'submission.json'));
+        if (legacySubmission !== undefined && !users.includes(DEFAULT_USER_ID)) {
+            users.unshift(DEFAULT_USER_ID);
+        }
+        return users;
+    }
+}
+
+/**
+ * Serves datasets from an in-memory object shaped like
+ * `{ currentQuiz, submission, history, users: { [userId]: { submission, history } } }`.
+ * Top-level submission/history belong to DEFAULT_USER_ID. Each load returns a
+ * deep copy so callers can't mutate the fixture between requests.
+ */
+export class FixtureDataSource {
+    constructor(fixtures = {}) {
+        this.kind = 'fixture';
+        this.fixtures = fixtures;
+    }
+
+    userFixtures(userId) {
+        const users = this.fixtures.users || {};
+        if (Object.prototype.hasOwnProperty.call(users, userId)) {
+            return users[userId];
+        }
+        if (userId === DEFAULT_USER_ID && 'submission' in this.fixtures) {
+            return this.fixtures;
+        }
+        return undefined;
+    }
+
+    async load(name, userId = DEFAULT_USER_ID) {
+        assertDataset(name);
+        if (!USER_DATASETS.includes(name)) {
+            if (!(name in this.fixtures)) {
+                throw new Error(`Fixture "${name}" is not defined`);
+            }
+            return structuredClone(this.fixtures[name]);
+        }
+
+        assertUserId(userId);
+        const fixtures = this.userFixtures(userId);
+        if (!fixtures || !(name in fixtures)) {
+            throw new NotFoundError(`No ${name} data for user "${userId}"`);
+        }
+        return structuredClone(fixtures[name]);
+    }
+
+    async listUsers() {
+        const users = Object.keys(this.fixtures.users || {});
+        if ('submission' in this.fixtures && !users.includes(DEFAULT_USER_ID)) {
+            users.unshift(DEFAULT_USER_ID);
+        }
+        return users;
+    }
+}
+
+/**
+ * Builds a data source from configuration (defaults to environment variables).
+ *
+ * DATA_SOURCE    http | local | fixture (default: http)
+ * DATA_DIR       directory for the local provider (default: ./data)
+ * DATA_FIXTURE   JSON file holding the fixture object for the fixture provider
+ * QUIZ_URL, SUBMISSION_URL, HISTORY_URL, USERS_URL   endpoint overrides for the http provider
+ * @param {Object} config Configuration values
+ * @returns {Promise<Object>} Data source instance
+ */
+export async function createDataSource(config = process.env) {
+    const type = (config.DATA_SOURCE || 'http').toLowerCase();
+
+    switch (type) {
+        case 'http': {
+            const endpoints = {};
+            if (config.QUIZ_URL) endpoints.currentQuiz = config.QUIZ_URL;
+            if (config.SUBMISSION_URL) endpoints.submission = config.SUBMISSION_URL;
+            if (config.HISTORY_URL) endpoints.history = config.HISTORY_URL;
+            if (config.USERS_URL) endpoints.users = config.USERS_URL;
+            return new HttpDataSource(endpoints);
+        }
+        case 'local':
+            return new LocalDataSource(config.DATA_DIR || 'data');
+        case 'fixture': {
+            if (!config.DATA_FIXTURE) {
+                throw new Error('DATA_FIXTURE must point to a JSON file when DATA_SOURCE=fixture');
+            }
+            const fixtures = JSON.parse(await fs.readFile(config.DATA_FIXTURE, 'utf8'));
+            return new FixtureDataSource(fixtures);
+        }
+        default:
+            throw new Error(`Unsupported DATA_SOURCE "${type}"`);
+    }
+}
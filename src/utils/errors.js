@@ -0,0 +1,58 @@
+/**
+ * Error types that carry an HTTP status for the API layer.
+ */
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message) {
+    super(404, message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message) {
+    super(401, message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message) {
+    super(403, message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Prefixes an error message with context without mutating the original, which
+ * may be shared between coalesced callers. Status and other own properties are
+ * carried over.
+ * @param {Error} error Original error
+ * @param {string} context Message prefix
+ * @returns {Error} Wrapped error
+ */
+export function withContext(error, context) {
+  const wrapped = new Error(`${context}: ${error.message}`, { cause: error });
+  wrapped.name = error.name;
+  return Object.assign(wrapped, error);
+}
+
+/**
+ * Raised when a payload does not match its schema. `issues` lists each
+ * problem as { dataset, path, problem }.
+ */
+export class ValidationError extends HttpError {
+  constructor(message, issues = [], status = 422) {
+    super(status, message);
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
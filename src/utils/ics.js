@@ -0,0 +1,83 @@
+// iCalendar (RFC 5545) serialization for exported schedules
+
+const PRODUCT_ID = '-//Testline//Quiz Analysis//EN';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Escapes a TEXT property value
+ * @param {string} value Text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line Content line
+ * @returns {string} Folded line
+ */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Formats a Date as a UTC DATE-TIME (e.g. 20250128T000000Z)
+ * @param {Date} date Date
+ * @returns {string} DATE-TIME
+ */
+export const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds a VCALENDAR from events. Start and end are floating local times
+ * given as YYYY-MM-DD and minutes after midnight; minutes from 24:00 on fall
+ * on the following day, so an event ending at midnight ends at T000000 the next day.
+ * @param {Array} events { uid, date, startMinutes, endMinutes, summary, description }
+ * @param {Object} options Calendar options
+ * @param {string} options.name Calendar name
+ * @param {Date} options.stamp DTSTAMP for every event
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (events, { name, stamp }) => {
+  const localDateTime = (date, minutes) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + Math.floor(minutes / MINUTES_PER_DAY));
+    const time = minutes % MINUTES_PER_DAY;
+    const hours = String(Math.floor(time / 60)).padStart(2, '0');
+    return `${day.toISOString().slice(0, 10).replace(/-/g, '')}T${hours}${String(time % 60).padStart(2, '0')}00`;
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(stamp)}`,
+      `DTSTART:${localDateTime(event.date, event.startMinutes)}`,
+      `DTEND:${localDateTime(event.date, event.endMinutes)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
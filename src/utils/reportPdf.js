@@ -0,0 +1,201 @@
+// Printable PDF rendering of the student report (see ReportBuilder)
+
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 50;
+const CHART_HEIGHT = 140;
+const ROW_HEIGHT = 18;
+
+const COLORS = { text: '#2d3748', muted: '#718096', rule: '#e2e8f0', accent: '#4299e1', weak: '#e53e3e' };
+
+// Topic table columns: header, width and cell text
+const TOPIC_COLUMNS = [
+  { header: 'Topic', width: 175, cell: row => row.topic },
+  { header: 'Attempts', width: 55, cell: row => String(row.attempts) },
+  { header: 'Avg accuracy', width: 75, cell: row => formatPercent(row.averageAccuracy) },
+  { header: 'Avg speed', width: 60, cell: row => formatNumber(row.averageSpeed) },
+  { header: 'This quiz', width: 60, cell: row => formatPercent(row.currentAccuracy) },
+  { header: 'Status', width: 70, cell: row => row.status || (row.weak ? 'Weak area' : '-') }
+];
+
+const formatNumber = value => (value === null || value === undefined ? '-' : String(Math.round(value * 10) / 10));
+const formatPercent = value => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+const formatDate = value => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+/**
+ * Starts a new page when less than `height` is left on this one
+ * @param {PDFDocument} doc Document
+ * @param {number} height Space needed
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Writes label/value pairs two to a line
+ * @param {PDFDocument} doc Document
+ * @param {Array} pairs [label, value] pairs
+ */
+function keyValues(doc, pairs) {
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2;
+  for (let index = 0; index < pairs.length; index += 2) {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    pairs.slice(index, index + 2).forEach(([label, value], offset) => {
+      const x = PAGE_MARGIN + offset * columnWidth;
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(`${label}: `, x, y, { continued: true })
+        .font('Helvetica-Bold').fillColor(COLORS.text).text(String(value));
+    });
+    doc.y = y + ROW_HEIGHT;
+  }
+}
+
+/**
+ * Draws the topic breakdown table, repeating the header on each new page
+ * @param {PDFDocument} doc Document
+ * @param {Array} topics Topic rows
+ */
+function topicTable(doc, topics) {
+  const drawRow = (cells, bold, color) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+    cells.forEach((text, index) => {
+      doc.text(text, x + 2, y + 4, { width: TOPIC_COLUMNS[index].width - 4, height: ROW_HEIGHT, ellipsis: true, lineBreak: false });
+      x += TOPIC_COLUMNS[index].width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + ROW_HEIGHT).lineTo(x, y + ROW_HEIGHT).strokeColor(COLORS.rule).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(TOPIC_COLUMNS.map(column => column.header), true, COLORS.text);
+  topics.forEach(row => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawRow(TOPIC_COLUMNS.map(column => column.header), true, COLORS.text);
+    }
+    drawRow(TOPIC_COLUMNS.map(column => column.cell(row)), false, row.weak ? COLORS.weak : COLORS.text);
+  });
+}
+
+/**
+ * Draws a dated line chart with its axis range labelled
+ * @param {PDFDocument} doc Document
+ * @param {string} title Chart title
+ * @param {Array} points { date, value } oldest first
+ * @param {Object} [range] { min, max } of the value axis (defaults to the data's)
+ */
+function lineChart(doc, title, points, range = {}) {
+  ensureSpace(doc, CHART_HEIGHT + 40);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(title, PAGE_MARGIN);
+  const top = doc.y + 6;
+  const left = PAGE_MARGIN + 30;
+  const width = doc.page.width - PAGE_MARGIN - left;
+
+  const values = points.map(point => point.value).filter(value => value !== null && Number.isFinite(value));
+  if (values.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No attempts to chart', left, top);
+    doc.x = PAGE_MARGIN;
+    doc.y = top + ROW_HEIGHT;
+    return;
+  }
+  const min = range.min ?? Math.min(...values);
+  const max = Math.max(range.max ?? Math.max(...values), min + 1);
+  const xOf = index => left + (points.length === 1 ? width / 2 : (index / (points.length - 1)) * width);
+  const yOf = value => top + CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT;
+
+  doc.rect(left, top, width, CHART_HEIGHT).strokeColor(COLORS.rule).stroke();
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+  doc.text(formatNumber(max), PAGE_MARGIN, top - 3, { width: 26, align: 'right' });
+  doc.text(formatNumber(min), PAGE_MARGIN, top + CHART_HEIGHT - 6, { width: 26, align: 'right' });
+  doc.text(formatDate(points[0].date), left, top + CHART_HEIGHT + 4, { lineBreak: false });
+  doc.text(formatDate(points[points.length - 1].date), left + width - 60, top + CHART_HEIGHT + 4,
+    { width: 60, align: 'right', lineBreak: false });
+
+  const plotted = points
+    .map((point, index) => ({ x: xOf(index), value: point.value }))
+    .filter(point => point.value !== null && Number.isFinite(point.value));
+  plotted.forEach((point, index) => {
+    const y = yOf(point.value);
+    if (index === 0) doc.moveTo(point.x, y);
+    else doc.lineTo(point.x, y);
+  });
+  doc.strokeColor(COLORS.accent).lineWidth(1.5).stroke().lineWidth(1);
+  plotted.forEach(point => doc.circle(point.x, yOf(point.value), 2).fill(COLORS.accent));
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + CHART_HEIGHT + ROW_HEIGHT;
+}
+
+/**
+ * Renders a report as an A4 PDF
+ * @param {Object} report Result of ReportBuilder.build
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function renderReportPdf(report) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Performance report: ${report.userId}`,
+      Creator: 'Testline Quiz Analysis',
+      CreationDate: new Date(report.generatedAt)
+    }
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const { summary, rankPrediction } = report;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('Performance Report');
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+    .text(`Student ${report.userId} · ${report.quiz.topic || report.quiz.title || 'Current quiz'} · ` +
+      `submitted ${formatDate(summary.submittedAt)} · generated ${formatDate(report.generatedAt)}`);
+
+  heading(doc, 'Performance Summary');
+  keyValues(doc, [
+    ['Score', formatNumber(summary.score)],
+    ['Accuracy', formatPercent(summary.accuracy)],
+    ['Speed', formatNumber(summary.speed)],
+    ['Mistakes corrected', formatPercent(summary.mistakesImprovement * 100)],
+    ['Weak topics', summary.weakTopics.join(', ') || 'None'],
+    ['Strong topics', summary.strongTopics.join(', ') || 'None']
+  ]);
+
+  heading(doc, 'Rank Prediction');
+  keyValues(doc, [
+    ['Predicted rank', `#${rankPrediction.predictedRank}`],
+    ['Projected marks', formatNumber(rankPrediction.projectedMarks)],
+    [`${Math.round(rankPrediction.level * 100)}% interval`, `#${rankPrediction.lower} - #${rankPrediction.upper}`]
+  ]);
+
+  heading(doc, 'Topic Breakdown');
+  topicTable(doc, report.topics);
+
+  heading(doc, 'Trends');
+  lineChart(doc, 'Accuracy (%)', report.trends.accuracy.map(point => ({ date: point.date, value: point.accuracy })),
+    { min: 0, max: 100 });
+  lineChart(doc, 'Score', report.trends.score.map(point => ({ date: point.date, value: point.score })));
+
+  heading(doc, 'Recommendations');
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  if (report.recommendations.length === 0) {
+    doc.text('No weak areas to work on. Keep practising across the syllabus.');
+  } else {
+    doc.list(report.recommendations, PAGE_MARGIN, doc.y, { bulletRadius: 2, paragraphGap: 3 });
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,304 @@
+/**
+ * Schemas for the quiz, submission and history payloads returned by data
+ * sources, and a small validator that reports every problem with its field path.
+ *
+ * Field types:
+ *   id        non-empty string or finite number
+ *   string    non-empty string
+ *   integer   integer number (optionally bounded by min/max)
+ *   numeric   finite number or numeric string such as "90 %" or "105.0"
+ *   date      string parseable by Date
+ *   boolean   true/false
+ *   object    plain object, with `properties` and optional `check(value)` returning problems
+ *   array     array, with `items` and optional `minItems`
+ *   map       plain object with arbitrary keys
+ */
+
+import { ValidationError } from './errors.js';
+
+const NUMERIC_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses a numeric payload field. Upstream payloads mix numbers and strings
+ * such as "90 %" or "105.0"; this is the one parser for both validating and
+ * reading them (dataProcessing re-exports it).
+ * @param {*} value Number or numeric string, optionally with a trailing "%"
+ * @returns {number} Parsed number, or NaN when the value isn't numeric
+ */
+export const parseNumeric = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim().replace(/\s*%$/, '');
+    return NUMERIC_PATTERN.test(trimmed) ? Number(trimmed) : NaN;
+  }
+  return NaN;
+};
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+  return typeof value;
+};
+
+const checkBounds = (number, schema) => {
+  if (schema.min !== undefined && number < schema.min) return `must be at least ${schema.min}`;
+  if (schema.max !== undefined && number > schema.max) return `must be at most ${schema.max}`;
+  return null;
+};
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema Schema definition
+ * @param {*} value Value to validate
+ * @param {string} [path] Path of the value, used in issue reports
+ * @returns {Array} Issues as { path, problem }
+ */
+export function validate(schema, value, path = '') {
+  const issues = [];
+  const report = (problem, at = path) => issues.push({ path: at || '(root)', problem });
+
+  if (value === undefined || value === null) {
+    if (!schema.optional) report(value === null ? 'must not be null' : 'is required');
+    return issues;
+  }
+
+  switch (schema.type) {
+    case 'id':
+      if (!((typeof value === 'string' && value.trim() !== '') || Number.isFinite(value))) {
+        report(`must be a string or number id, got ${describe(value)}`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        report(`must be a non-empty string, got ${describe(value)}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') report(`must be a boolean, got ${describe(value)}`);
+      break;
+    case 'integer': {
+      if (!Number.isInteger(value)) {
+        report(`must be an integer, got ${describe(value)}`);
+        break;
+      }
+      const problem = checkBounds(value, schema);
+      if (problem) report(problem);
+      break;
+    }
+    case 'numeric': {
+      const number = parseNumeric(value);
+      if (!Number.isFinite(number)) {
+        report(`must be a number or numeric string, got ${describe(value)}`);
+        break;
+      }
+      const problem = checkBounds(number, schema);
+      if (problem) report(problem);
+      break;
+    }
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        report(`must be a date string, got ${describe(value)}`);
+      }
+      break;
+    case 'map':
+      if (!isPlainObject(value)) report(`must be an object, got ${describe(value)}`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        report(`must be an array, got ${describe(value)}`);
+        break;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        report(`must contain at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          issues.push(...validate(schema.items, item, `${path}[${index}]`));
+        });
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        report(`must be an object, got ${describe(value)}`);
+        break;
+      }
+      for (const [key, fieldSchema] of Object.entries(schema.properties || {})) {
+        issues.push(...validate(fieldSchema, value[key], path ? `${path}.${key}` : key));
+      }
+      if (issues.length === 0 && schema.check) {
+        schema.check(value).forEach(({ path: at, problem }) =>
+          report(problem, at ? (path ? `${path}.${at}` : at) : path));
+      }
+      break;
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+
+  return issues;
+}
+
+const optional = (schema) => ({ ...schema, optional: true });
+
+const optionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'id' },
+    is_correct: optional({ type: 'boolean' })
+  }
+};
+
+const questionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'id' },
+    topic: optional({ type: 'string' }),
+    difficulty_level: optional({ type: 'string' }),
+    options: { type: 'array', items: optionSchema, minItems: 2 }
+  },
+  check: (question) => {
+    const correct = question.options.filter(option => option.is_correct === true);
+    if (question.correctOption !== undefined) {
+      return question.options.some(option => String(option.id) === String(question.correctOption))
+        ? []
+        : [{ path: 'correctOption', problem: 'does not match any option id' }];
+    }
+    if (correct.length !== 1) {
+      return [{ path: 'options', problem: `must mark exactly one option as correct, found ${correct.length}` }];
+    }
+    return [];
+  }
+};
+
+const quizBodySchema = {
+  type: 'object',
+  properties: {
+    id: optional({ type: 'id' }),
+    topic: optional({ type: 'string' }),
+    questions: { type: 'array', items: questionSchema, minItems: 1 }
+  },
+  check: (quiz) => quiz.questions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question }) => !question.topic && !quiz.topic)
+    .map(({ index }) => ({ path: `questions[${index}].topic`, problem: 'is required when the quiz has no topic' }))
+};
+
+// Attempt fields shared by the current submission and history entries.
+const attemptProperties = {
+  quiz_id: { type: 'id' },
+  submitted_at: { type: 'date' },
+  score: optional({ type: 'numeric' }),
+  final_score: { type: 'numeric' },
+  accuracy: { type: 'numeric', min: 0, max: 100 },
+  speed: { type: 'numeric', min: 0 },
+  correct_answers: { type: 'integer', min: 0 },
+  incorrect_answers: { type: 'integer', min: 0 },
+  total_questions: { type: 'integer', min: 1 },
+  mistakes_corrected: optional({ type: 'integer', min: 0 }),
+  initial_mistake_count: optional({ type: 'integer', min: 0 }),
+  response_map: optional({ type: 'map' }),
+  answers: optional({ type: 'map' })
+};
+
+const checkAttemptCounts = (attempt) =>
+  attempt.correct_answers + attempt.incorrect_answers > attempt.total_questions
+    ? [{ path: 'correct_answers', problem: 'correct_answers + incorrect_answers cannot exceed total_questions' }]
+    : [];
+
+export const SCHEMAS = {
+  // Either `{ quiz: { questions } }` (upstream) or `{ questions }`
+  currentQuiz: {
+    type: 'object',
+    properties: {},
+    check: (payload) => {
+      const path = isPlainObject(payload.quiz) ? 'quiz' : '';
+      const body = path ? payload.quiz : payload;
+      return validate(quizBodySchema, body, path).map(issue => ({
+        path: issue.path === '(root)' ? '' : issue.path,
+        problem: issue.problem
+      }));
+    }
+  },
+  submission: {
+    type: 'object',
+    properties: attemptProperties,
+    check: checkAttemptCounts
+  },
+  historyEntry: {
+    type: 'object',
+    properties: {
+      ...attemptProperties,
+      quiz: {
+        type: 'object',
+        properties: { topic: { type: 'string' } }
+      }
+    },
+    check: checkAttemptCounts
+  },
+  history: { type: 'array' }
+};
+
+/**
+ * Checks an attempt scored by the server before it is stored. Stored attempts
+ * join the history on every later load, so they must be valid history entries.
+ * @param {Object} attempt Submission in the upstream shape
+ * @throws {ValidationError} When the attempt isn't a valid history entry
+ */
+export function assertHistoryEntry(attempt) {
+  const issues = validate(SCHEMAS.historyEntry, attempt);
+  if (issues.length > 0) {
+    throw new ValidationError('The scored attempt is not a valid history entry', issues);
+  }
+}
+
+/**
+ * Validates the payloads returned by a data source.
+ *
+ * In strict mode any problem throws a ValidationError listing every issue. In
+ * lenient mode invalid history entries are dropped and reported as warnings;
+ * problems with the quiz or the submission still throw.
+ * @param {Object} data { currentQuiz, submission, history }
+ * @param {Object} [options] Validation options
+ * @param {string} [options.mode] 'strict' (default) or 'lenient'
+ * @param {number} [options.status] HTTP status for the thrown error
+ * @returns {Object} { currentQuiz, submission, history, warnings }
+ */
+export function validateQuizData({ currentQuiz, submission, history }, { mode = 'strict', status = 422 } = {}) {
+  const issues = [
+    ...validate(SCHEMAS.currentQuiz, currentQuiz).map(issue => ({ dataset: 'currentQuiz', ...issue })),
+    ...validate(SCHEMAS.submission, submission).map(issue => ({ dataset: 'submission', ...issue })),
+    ...validate(SCHEMAS.history, history).map(issue => ({ dataset: 'history', ...issue }))
+  ];
+
+  const warnings = [];
+  let validHistory = history;
+  if (Array.isArray(history)) {
+    const entryIssues = history.map((entry, index) =>
+      validate(SCHEMAS.historyEntry, entry, `[${index}]`).map(issue => ({ dataset: 'history', ...issue })));
+
+    if (mode === 'lenient') {
+      validHistory = history.filter((_, index) => entryIssues[index].length === 0);
+      entryIssues.forEach((entryProblems, index) => {
+        if (entryProblems.length > 0) {
+          warnings.push({
+            dataset: 'history',
+            path: `[${index}]`,
+            problem: 'entry dropped',
+            issues: entryProblems
+          });
+        }
+      });
+    } else {
+      issues.push(...entryIssues.flat());
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ValidationError(`${issues.length} validation problem(s) in quiz data`, issues, status);
+  }
+
+  return { currentQuiz, submission, history: validHistory, warnings };
+}
@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Collection names and document ids double as path segments
+const KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function assertKey(kind, key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid store ${kind} "${key}"`);
+  }
+}
+
+/**
+ * Persists JSON documents as files, one per document:
+ *
+ *   <directory>/<collection>/<id>.json
+ *
+ * Writes go to a temporary file that is then renamed over the document, and
+ * updates to the same document are applied one at a time.
+ */
+export class JsonFileStore {
+  /**
+   * @param {string} directory Root directory, created on first write
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.queues = new Map();
+  }
+
+  fileFor(collection, id) {
+    assertKey('collection', collection);
+    assertKey('id', id);
+    return path.join(this.directory, collection, `${id}.json`);
+  }
+
+  /**
+   * Reads a document
+   * @param {string} collection Collection name
+   * @param {string} id Document id
+   * @param {*} [fallback] Value returned when the document doesn't exist
+   * @returns {Promise<*>} Document
+   */
+  async read(collection, id, fallback = undefined) {
+    const file = this.fileFor(collection, id);
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw new Error(`Failed to read ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces a document
+   * @param {string} collection Collection name
+   * @param {string} id Document id
+   * @param {*} value Document
+   * @returns {Promise<*>} The stored document
+   */
+  write(collection, id, value) {
+    return this.update(collection, id, () => value);
+  }
+
+  /**
+   * Reads, changes and writes back a document. Concurrent updates of the same
+   * document run in call order, each seeing the previous one's result.
+   * @param {string} collection Collection name
+   * @param {string} id Document id
+   * @param {Function} updater Receives the current document (or `fallback`) and returns the new one
+   * @param {*} [fallback] Current document when none is stored yet
+   * @returns {Promise<*>} The stored document
+   */
+  update(collection, id, updater, fallback = undefined) {
+    const file = this.fileFor(collection, id);
+    const previous = this.queues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const value = await updater(await this.read(collection, id, fallback));
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(value, null, 2));
+      await fs.rename(temporary, file);
+      return value;
+    });
+
+    this.queues.set(file, next);
+    next.catch(() => {}).then(() => {
+      if (this.queues.get(file) === next) this.queues.delete(file);
+    });
+    return next;
+  }
+
+  /**
+   * Deletes a document, after any pending updates of it
+   * @param {string} collection Collection name
+   * @param {string} id Document id
+   * @returns {Promise<boolean>} Whether a document was deleted
+   */
+  remove(collection, id) {
+    const file = this.fileFor(collection, id);
+    const previous = this.queues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      try {
+        await fs.unlink(file);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+
+    this.queues.set(file, next);
+    next.catch(() => {}).then(() => {
+      if (this.queues.get(file) === next) this.queues.delete(file);
+    });
+    return next;
+  }
+
+  /**
+   * Lists the document ids in a collection
+   * @param {string} collection Collection name
+   * @returns {Promise<Array>} Document ids
+   */
+  async list(collection) {
+    assertKey('collection', collection);
+    try {
+      const entries = await fs.readdir(path.join(this.directory, collection));
+      return entries
+        .filter(entry => entry.endsWith('.json'))
+        .map(entry => entry.slice(0, -'.json'.length))
+        .filter(id => KEY_PATTERN.test(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+/**
+ * Builds the store from configuration. STORE_DIR defaults to data/store.
+ * @param {Object} config Configuration values
+ * @returns {JsonFileStore} Store instance
+ */
+export function createStore(config = process.env) {
+  return new JsonFileStore(config.STORE_DIR || path.join('data', 'store'));
+}
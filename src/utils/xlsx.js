@@ -0,0 +1,215 @@
+// XLSX (Office Open XML spreadsheet) serialization for exported reports
+
+import zlib from 'zlib';
+
+// Characters XML 1.0 can't carry at all
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// Sheet names are limited to 31 characters, none of them []:*?/\
+const MAX_SHEET_NAME = 31;
+
+// Every entry is stamped 1980-01-01 00:00 (the zip epoch), so identical reports give identical files
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 zip stores for each entry
+ * @param {Buffer} data Entry contents
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (data) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {*} value Value
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) => String(value)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters (0 → A, 26 → AA)
+ * @param {number} index Column index
+ * @returns {string} Column letters
+ */
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Formats one cell. Finite numbers and booleans keep their type, anything else
+ * is stored as inline text; null and undefined leave the cell out.
+ * @param {*} value Cell value
+ * @param {string} ref Cell reference, e.g. B2
+ * @param {boolean} bold Whether to use the bold header style
+ * @returns {string} Cell XML
+ */
+const cellXml = (value, ref, bold) => {
+  if (value === null || value === undefined) return '';
+  const style = bold ? ' s="1"' : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Builds a worksheet with a bold header row
+ * @param {Array} columns { key, header } in output order
+ * @param {Array} rows Objects holding the columns' keys
+ * @returns {string} Worksheet XML
+ */
+const sheetXml = (columns, rows) => {
+  const lines = [
+    columns.map((column, index) => cellXml(column.header, `${columnName(index)}1`, true)).join(''),
+    ...rows.map((row, rowIndex) => columns
+      .map((column, index) => cellXml(row[column.key], `${columnName(index)}${rowIndex + 2}`, false))
+      .join(''))
+  ];
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    lines.map((cells, index) => `<row r="${index + 1}">${cells}</row>`).join('') +
+    '</sheetData></worksheet>';
+};
+
+/**
+ * Packs files into a zip archive (deflated entries, no directories)
+ * @param {Array} files { name, content } with string or Buffer contents
+ * @returns {Buffer} Zip archive
+ */
+export const buildZip = (files) => {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(DOS_DATE, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, fileName, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014B50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(0, 12);
+    entry.writeUInt16LE(DOS_DATE, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, fileName);
+
+    offset += header.length + fileName.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, directory, end]);
+};
+
+/**
+ * Builds an XLSX workbook with one sheet per table, each with a bold header row
+ * @param {Array} sheets { name, columns, rows } where columns are { key, header } and rows objects holding their keys
+ * @returns {Buffer} XLSX file
+ */
+export const buildXlsx = (sheets) => {
+  const names = sheets.map(sheet => String(sheet.name).replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME));
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        names.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+          'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        names.map((_, index) => `<Relationship Id="rId${index + 1}" ` +
+          'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+          `Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${names.length + 1}" ` +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      // Style 0 is the default, style 1 the bold header
+      name: 'xl/styles.xml',
+      content: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>'
+    },
+    ...sheets.map((sheet, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      content: sheetXml(sheet.columns, sheet.rows)
+    }))
+  ]);
+};
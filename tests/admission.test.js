@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { AdmissionPredictor, labelCutoff, loadColleges } from '../src/services/AdmissionPredictor.js';
+import { ADMIN, createTestApp, signIn } from './helpers.js';
+
+const cutoff = (year, quota, closingRanks, course = 'MBBS') => ({ year, course, quota, closingRanks });
+
+const dataset = {
+  rankType: 'AIR',
+  source: 'test',
+  colleges: [
+    { id: 'top', name: 'Top', state: 'Delhi', cutoffs: [cutoff(2024, 'AIQ', { GEN: 100, OBC: 150 })] },
+    {
+      id: 'home',
+      name: 'Home',
+      state: 'Kerala',
+      cutoffs: [
+        cutoff(2023, 'AIQ', { GEN: 4000 }),
+        cutoff(2024, 'AIQ', { GEN: 5000 }),
+        cutoff(2024, 'STATE', { GEN: 9000, OBC: 12000 })
+      ]
+    },
+    { id: 'wide', name: 'Wide', state: 'Bihar', cutoffs: [cutoff(2024, 'AIQ', { GEN: 50000 })] },
+    { id: 'dental', name: 'Dental', state: 'Goa', cutoffs: [cutoff(2024, 'AIQ', { GEN: 80000 }, 'BDS')] },
+    { id: 'new', name: 'New', state: 'Assam', cutoffs: [] }
+  ]
+};
+
+const prediction = { predictedRank: 10000, confidenceInterval: { lower: 4500, upper: 20000 }, rankTable: { year: 2024 } };
+
+describe('labelCutoff', () => {
+  test('labels a closing rank against the rank interval', () => {
+    expect(labelCutoff(25000, prediction)).toBe('safe');
+    expect(labelCutoff(12000, prediction)).toBe('target');
+    expect(labelCutoff(5000, prediction)).toBe('reach');
+    expect(labelCutoff(100, prediction)).toBeNull();
+  });
+});
+
+describe('AdmissionPredictor', () => {
+  const predictor = new AdmissionPredictor(dataset);
+
+  test('offers state quota seats only in the home state, and open seats to every category', () => {
+    const home = dataset.colleges[1];
+
+    expect(predictor.findBestOption(home, { category: 'GEN', state: null, course: 'MBBS' }, 2024))
+      .toMatchObject({ quota: 'AIQ', closingRank: 5000, closingRankHistory: { 2023: 4000, 2024: 5000 } });
+    expect(predictor.findBestOption(home, { category: 'OBC', state: 'kerala', course: 'MBBS' }, 2024))
+      .toMatchObject({ quota: 'STATE', seatCategory: 'OBC', closingRank: 12000 });
+  });
+
+  test("falls back to a quota's latest year", () => {
+    expect(predictor.findBestOption(dataset.colleges[1], { category: 'GEN', course: 'MBBS' }, 2030))
+      .toMatchObject({ year: 2024, closingRank: 5000 });
+  });
+
+  test('groups colleges into safe, target and reach for the course', () => {
+    const result = predictor.predict(prediction, { category: 'GEN', state: 'Kerala', course: 'MBBS' });
+
+    expect(result.summary).toEqual({ safe: 1, target: 0, reach: 1, outOfReach: 1 });
+    expect(result.colleges.safe.map(college => college.id)).toEqual(['wide']);
+    expect(result.colleges.reach).toEqual([expect.objectContaining({ id: 'home', quota: 'STATE', closingRank: 9000 })]);
+
+    const obc = predictor.predict(prediction, { category: 'OBC', state: 'Kerala', course: 'MBBS' });
+    expect(obc.colleges.target).toEqual([expect.objectContaining({ id: 'home', margin: 2000 })]);
+  });
+});
+
+describe('loadColleges', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'testline-colleges-'));
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const load = (colleges) => {
+    const file = path.join(directory, 'colleges.json');
+    fs.writeFileSync(file, JSON.stringify({ colleges }));
+    return loadColleges(file);
+  };
+
+  test('loads the bundled dataset', async () => {
+    expect((await loadColleges()).colleges.length).toBeGreaterThan(0);
+  });
+
+  test('requires a cutoffs array on every college', async () => {
+    await expect(load([{ id: 'bare', name: 'Bare', state: 'Goa' }])).rejects.toThrow(/bare needs a "cutoffs" array/);
+  });
+
+  test('rejects unknown courses and quotas', async () => {
+    await expect(load([{ id: 'odd', state: 'Goa', cutoffs: [cutoff(2024, 'NRI', { GEN: 1 })] }]))
+      .rejects.toThrow(/unknown course or quota/);
+  });
+});
+
+describe('GET /quiz/admission', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = query => request(context.app).get(`/api/v1/users/u1/quiz/admission${query}`).set('Authorization', `Bearer ${token}`);
+
+  test("labels the bundled colleges for the student's profile", async () => {
+    const response = await get('?category=OBC&state=Delhi&course=MBBS');
+
+    expect(response.status).toBe(200);
+    expect(response.body.profile).toEqual({ category: 'OBC', pwd: false, state: 'Delhi', course: 'MBBS' });
+    expect(response.body.rankInterval.lower).toBeLessThanOrEqual(response.body.rankInterval.upper);
+    expect(Object.keys(response.body.colleges)).toEqual(['safe', 'target', 'reach']);
+  });
+
+  test('rejects an unknown category or course', async () => {
+    expect((await get('?category=XYZ')).status).toBe(400);
+    expect((await get('?course=BAMS')).status).toBe(400);
+  });
+});
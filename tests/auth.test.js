@@ -0,0 +1,139 @@
+import request from 'supertest';
+import { signToken } from '../src/utils/auth.js';
+import { ADMIN, createAccount, createTestApp, signIn } from './helpers.js';
+
+describe('authentication and roles', () => {
+  let context;
+  const tokens = {};
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    await createAccount(context.store, { username: 'alice', password: 'alicepass1', role: 'student', userId: 'u1' });
+    await createAccount(context.store, { username: 'coach', password: 'coachpass1', role: 'coach', batch: ['u1', 'u2'] });
+    tokens.student = await signIn(context.app, { username: 'alice', password: 'alicepass1' });
+    tokens.coach = await signIn(context.app, { username: 'coach', password: 'coachpass1' });
+    tokens.admin = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = (path, token) => {
+    const call = request(context.app).get(path);
+    return token ? call.set('Authorization', `Bearer ${token}`) : call;
+  };
+
+  describe('sign-in', () => {
+    test('issues a token for valid credentials', async () => {
+      const response = await request(context.app).post('/api/v1/auth/login').send({ username: 'alice', password: 'alicepass1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toEqual(expect.any(String));
+      expect(response.body.account).toMatchObject({ username: 'alice', role: 'student', userId: 'u1' });
+      expect(response.body.account.passwordHash).toBeUndefined();
+    });
+
+    test('rejects a wrong password', async () => {
+      const response = await request(context.app).post('/api/v1/auth/login').send({ username: 'alice', password: 'wrongpass' });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    test('returns the signed-in account', async () => {
+      const response = await get('/api/v1/auth/me', tokens.coach);
+
+      expect(response.status).toBe(200);
+      expect(response.body.account).toMatchObject({ username: 'coach', role: 'coach', batch: ['u1', 'u2'] });
+    });
+  });
+
+  describe('tokens', () => {
+    test('are required for the API', async () => {
+      expect((await get('/api/v1/users/u1/quiz/score')).status).toBe(401);
+      expect((await get('/api/quiz/score')).status).toBe(401);
+    });
+
+    test('must be signed with the app secret', async () => {
+      const { token } = signToken({ sub: 'root', role: 'admin' }, 'another-secret', 600);
+      expect((await get('/api/v1/users/u1/quiz/score', token)).status).toBe(401);
+    });
+
+    test('expire', async () => {
+      const { token } = signToken({ sub: 'root', role: 'admin' }, 'test-secret', -1);
+      expect((await get('/api/v1/users/u1/quiz/score', token)).status).toBe(401);
+    });
+
+    test('stop working once the account is deleted', async () => {
+      await createAccount(context.store, { username: 'leaver', password: 'leaverpass1', role: 'student', userId: 'u3' });
+      const token = await signIn(context.app, { username: 'leaver', password: 'leaverpass1' });
+      const deleted = await request(context.app).delete('/api/v1/admin/users/leaver').set('Authorization', `Bearer ${tokens.admin}`);
+
+      expect(deleted.status).toBe(204);
+      expect((await get('/api/v1/users/u3/quiz/score', token)).status).toBe(401);
+    });
+  });
+
+  describe('students', () => {
+    test('see their own data', async () => {
+      expect((await get('/api/v1/users/u1/quiz/score', tokens.student)).status).toBe(200);
+      expect((await get('/api/v1/quiz/score', tokens.student)).status).toBe(200);
+    });
+
+    test("can't see anyone else's", async () => {
+      const response = await get('/api/v1/users/u2/quiz/score', tokens.student);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('are kept out of the coach and admin routes', async () => {
+      expect((await get('/api/v1/batch/students', tokens.student)).status).toBe(403);
+      expect((await get('/api/v1/quizzes/43/item-analysis', tokens.student)).status).toBe(403);
+      expect((await get('/api/v1/admin/users', tokens.student)).status).toBe(403);
+    });
+
+    test('are listed only themselves', async () => {
+      const response = await get('/api/v1/users', tokens.student);
+      expect(response.body.users).toEqual([{ id: 'u1' }]);
+    });
+  });
+
+  describe('coaches', () => {
+    test('see their batch only', async () => {
+      expect((await get('/api/v1/users/u2/quiz/score', tokens.coach)).status).toBe(200);
+      expect((await get('/api/v1/users/u3/quiz/score', tokens.coach)).status).toBe(403);
+    });
+
+    test('get the batch and quiz routes limited to their batch', async () => {
+      const students = await get('/api/v1/batch/students', tokens.coach);
+
+      expect(students.status).toBe(200);
+      expect(students.body.students.map(student => student.userId).sort()).toEqual(['u1', 'u2']);
+      // Two students of the batch are too few for an item analysis
+      expect((await get('/api/v1/quizzes/43/item-analysis', tokens.coach)).status).toBe(422);
+    });
+
+    test('are kept out of the admin routes', async () => {
+      expect((await get('/api/v1/admin/users', tokens.coach)).status).toBe(403);
+    });
+  });
+
+  describe('admins', () => {
+    test('see every user', async () => {
+      const response = await get('/api/v1/users', tokens.admin);
+
+      expect(response.body.users.map(user => user.id)).toEqual(['u1', 'u2', 'u3']);
+      expect((await get('/api/v1/users/u3/quiz/score', tokens.admin)).status).toBe(200);
+    });
+
+    test('manage accounts', async () => {
+      const created = await request(context.app)
+        .post('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ username: 'bob', password: 'bobpass12', role: 'student', userId: 'u2' });
+
+      expect(created.status).toBe(201);
+      expect((await get('/api/v1/admin/users', tokens.admin)).body.accounts.map(account => account.username))
+        .toContain('bob');
+    });
+  });
+});
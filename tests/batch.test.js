@@ -0,0 +1,102 @@
+import request from 'supertest';
+import { BatchAnalyzer } from '../src/services/BatchAnalyzer.js';
+import { loadRankTables } from '../src/services/RankTable.js';
+import { ADMIN, buildFixtures, createAccount, createTestApp, signIn } from './helpers.js';
+
+/**
+ * Builds three students on the fixtures: u2 scores highest on the current
+ * quiz and u3's accuracy falls attempt after attempt
+ * @returns {Object} Fixtures
+ */
+function buildBatchFixtures() {
+  const fixtures = buildFixtures(['u1', 'u2', 'u3']);
+  const { u2, u3 } = fixtures.users;
+  Object.assign(u2.submission, { accuracy: '90 %', final_score: '35' });
+  u3.history.forEach((attempt, index) => { attempt.accuracy = `${90 - index * 10} %`; });
+  u3.submission.accuracy = '30 %';
+  return fixtures;
+}
+
+describe('BatchAnalyzer', () => {
+  let analyzer;
+
+  beforeAll(async () => {
+    const { currentQuiz, users } = buildBatchFixtures();
+    const [rankTable] = await loadRankTables();
+    const students = Object.entries(users).map(([userId, data]) => ({ userId, currentQuiz, ...data }));
+    analyzer = new BatchAnalyzer(students, { rankTable, seed: 1, iterations: 200 });
+  });
+
+  test('summarizes each student with their trend, rank band and weakest topic', () => {
+    const [u1, , u3] = analyzer.listStudents();
+
+    expect(u1).toMatchObject({ userId: 'u1', score: 21, accuracy: 60, quiz: 'Human Physiology', trend: { direction: 'flat' } });
+    expect(u1.rank.lower).toBeLessThanOrEqual(u1.rank.predicted);
+    expect(u1.rank.upper).toBeGreaterThanOrEqual(u1.rank.predicted);
+    expect(u1.weakestTopic).toEqual({ topic: 'Human Physiology', accuracy: 50 });
+    expect(u3.trend.direction).toBe('declining');
+    expect(u3.weakestTopic.topic).toBe('Respiration and Gas Exchange');
+  });
+
+  test('sorts and filters the students', () => {
+    const ids = options => analyzer.listStudents(options).map(row => row.userId);
+
+    expect(ids({ sort: 'score', order: 'desc' })).toEqual(['u2', 'u1', 'u3']);
+    expect(ids({ sort: 'rank' })[0]).toBe('u2');
+    expect(ids({ trend: 'declining' })).toEqual(['u3']);
+    expect(ids({ weakTopic: 'human physiology' })).toEqual(['u1', 'u2']);
+    expect(ids({ search: 'U2' })).toEqual(['u2']);
+  });
+
+  test('builds the topic × student heatmap with the weakest topic first', () => {
+    const heatmap = analyzer.buildHeatmap();
+
+    expect(heatmap.students).toEqual(['u1', 'u2', 'u3']);
+    expect(heatmap.topics[0]).toMatchObject({ topic: 'Human Physiology', values: [50, 50, expect.any(Number)] });
+    expect(heatmap.topics.map(topic => topic.average)).toEqual([...heatmap.topics.map(topic => topic.average)].sort((a, b) => a - b));
+    expect(analyzer.buildHeatmap({ users: ['u3', 'nobody'] }).students).toEqual(['u3']);
+  });
+});
+
+describe('batch routes', () => {
+  let context;
+  let admin;
+  let coach;
+
+  beforeAll(async () => {
+    context = await createTestApp(buildBatchFixtures());
+    await createAccount(context.store, { username: 'coach', password: 'coachpass1', role: 'coach', batch: ['u1', 'u3'] });
+    await createAccount(context.store, { username: 'alice', password: 'alicepass1', role: 'student', userId: 'u1' });
+    admin = await signIn(context.app, ADMIN);
+    coach = await signIn(context.app, { username: 'coach', password: 'coachpass1' });
+  });
+
+  afterAll(() => context.close());
+
+  const get = (path, token) => request(context.app).get(`/api/v1/batch/${path}`).set('Authorization', `Bearer ${token}`);
+
+  test('list every student for admins and only their batch for coaches', async () => {
+    const all = await get('students?sort=accuracy&order=desc&iterations=200', admin);
+    const batch = await get('students?sort=accuracy&order=desc&iterations=200', coach);
+
+    expect(all.status).toBe(200);
+    expect(all.body.students.map(row => row.userId)).toEqual(['u2', 'u1', 'u3']);
+    expect(batch.body).toMatchObject({ total: 2, filters: { sort: 'accuracy', order: 'desc' } });
+    expect(batch.body.students.map(row => row.userId)).toEqual(['u1', 'u3']);
+  });
+
+  test("limit a coach's heatmap to their batch", async () => {
+    const response = await get('heatmap?users=u2,u3', coach);
+
+    expect(response.status).toBe(200);
+    expect(response.body.students).toEqual(['u3']);
+  });
+
+  test('reject unknown sort fields and trends, and students', async () => {
+    expect((await get('students?sort=name', admin)).status).toBe(400);
+    expect((await get('students?trend=up', admin)).status).toBe(400);
+
+    const student = await signIn(context.app, { username: 'alice', password: 'alicepass1' });
+    expect((await get('students', student)).status).toBe(403);
+  });
+});
@@ -0,0 +1,161 @@
+import request from 'supertest';
+import { TtlCache, createCache, createEtag } from '../src/utils/cache.js';
+import { ADMIN, QUIZ_ID, createTestApp, signIn } from './helpers.js';
+
+describe('TtlCache', () => {
+  let time;
+  const cache = options => new TtlCache({ ttl: 1000, sweepInterval: 0, now: () => time, ...options });
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('expires entries after the TTL', () => {
+    const entries = cache();
+    entries.set('a', 1);
+    time = 999;
+    expect(entries.get('a')).toBe(1);
+    time = 1000;
+    expect(entries.get('a')).toBeUndefined();
+  });
+
+  test('stores nothing with a TTL of 0', () => {
+    const entries = cache({ ttl: 0 });
+    entries.set('a', 1);
+    expect(entries.get('a')).toBeUndefined();
+  });
+
+  test('evicts the least recently used entry beyond maxEntries', () => {
+    const entries = cache({ maxEntries: 2 });
+    entries.set('a', 1);
+    entries.set('b', 2);
+    entries.get('a');
+    entries.set('c', 3);
+
+    expect(entries.get('a')).toBe(1);
+    expect(entries.get('b')).toBeUndefined();
+    expect(entries.describe()).toMatchObject({ size: 2, maxEntries: 2, evictions: 1 });
+  });
+
+  test('sweeps expired entries', () => {
+    const entries = cache();
+    entries.set('a', 1);
+    time = 500;
+    entries.set('b', 2);
+    time = 1200;
+
+    expect(entries.sweep()).toBe(1);
+    expect(entries.describe().size).toBe(1);
+  });
+
+  test('shares one load between concurrent misses', async () => {
+    const entries = cache();
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      return 'value';
+    };
+    const values = await Promise.all([entries.wrap('a', loader), entries.wrap('a', loader)]);
+
+    expect(values).toEqual(['value', 'value']);
+    expect(calls).toBe(1);
+    expect(entries.describe()).toMatchObject({ misses: 1, coalesced: 1 });
+    await entries.wrap('a', loader);
+    expect(entries.describe().hits).toBe(1);
+  });
+
+  test("doesn't cache failed loads", async () => {
+    const entries = cache();
+    await expect(entries.wrap('a', async () => { throw new Error('down'); })).rejects.toThrow('down');
+    expect(await entries.wrap('a', async () => 'value')).toBe('value');
+  });
+
+  test('invalidates entries by tag, and drops loads in progress for the tag', async () => {
+    const entries = cache();
+    entries.set('a', 1, { tags: ['user:u1'] });
+    entries.set('b', 2, { tags: ['user:u2'] });
+    let finish;
+    const load = entries.wrap('c', () => new Promise(resolve => { finish = resolve; }), { tags: ['user:u1'] });
+
+    expect(entries.invalidateTag('user:u1')).toBe(1);
+    finish('old');
+    expect(await load).toBe('old');
+    expect(entries.get('a')).toBeUndefined();
+    expect(entries.get('b')).toBe(2);
+    expect(entries.get('c')).toBeUndefined();
+  });
+});
+
+describe('createEtag', () => {
+  test('depends only on the value', () => {
+    expect(createEtag({ a: 1 })).toBe(createEtag({ a: 1 }));
+    expect(createEtag({ a: 1 })).not.toBe(createEtag({ a: 2 }));
+    expect(createEtag('body')).toBe(createEtag(Buffer.from('body')));
+  });
+});
+
+describe('createCache', () => {
+  test('reads its settings from the configuration', () => {
+    const cache = createCache({ CACHE_TTL: '30', CACHE_MAX_ENTRIES: '5', CACHE_SWEEP_INTERVAL: '0' });
+    expect(cache.describe()).toMatchObject({ ttlSeconds: 30, maxEntries: 5 });
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => createCache({ CACHE_TTL: '-1' })).toThrow(/CACHE_TTL/);
+    expect(() => createCache({ CACHE_MAX_ENTRIES: '1.5' })).toThrow(/CACHE_MAX_ENTRIES/);
+  });
+});
+
+describe('cached quiz results', () => {
+  let context;
+  let token;
+
+  beforeEach(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterEach(() => context.close());
+
+  const get = (path, headers = {}) => request(context.app).get(path).set({ Authorization: `Bearer ${token}`, ...headers });
+
+  test('answers a matching If-None-Match with 304', async () => {
+    const first = await get('/api/v1/users/u1/quiz/score');
+    const again = await get('/api/v1/users/u1/quiz/score', { 'If-None-Match': first.headers.etag });
+
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+    expect(again.status).toBe(304);
+  });
+
+  test('keys results by the query parameters they read', async () => {
+    const neet = await get('/api/v1/users/u1/quiz/score');
+    const custom = await get('/api/v1/users/u1/quiz/score?scheme=NO_NEGATIVE');
+    const ignored = await get('/api/v1/users/u1/quiz/score?unused=1', { 'If-None-Match': neet.headers.etag });
+
+    expect(custom.headers.etag).not.toBe(neet.headers.etag);
+    expect(custom.body.rawMarks).toBeGreaterThan(neet.body.rawMarks);
+    expect(ignored.status).toBe(304);
+  });
+
+  test('keeps each user apart and recomputes after a submission', async () => {
+    const u1 = await get('/api/v1/users/u1/quiz/score');
+    const u2 = await get('/api/v1/users/u2/quiz/score');
+    await request(context.app)
+      .post(`/api/v1/users/u1/quiz/${QUIZ_ID}/submissions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ answers: {} });
+
+    expect((await get('/api/v1/users/u1/quiz/score', { 'If-None-Match': u1.headers.etag })).status).toBe(200);
+    expect((await get('/api/v1/users/u2/quiz/score', { 'If-None-Match': u2.headers.etag })).status).toBe(304);
+  });
+
+  test('can be cleared by an admin', async () => {
+    await get('/api/v1/users/u1/quiz/score');
+    const cleared = await request(context.app).delete('/api/v1/admin/cache').set('Authorization', `Bearer ${token}`);
+
+    expect(cleared.status).toBe(200);
+    expect(context.app.locals.cache.describe().size).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+import request from 'supertest';
+import { CohortAnalyzer, MIN_COHORT_SIZE } from '../src/services/CohortAnalyzer.js';
+import { ADMIN, QUIZ_ID, answer, buildFixtures, buildQuiz, createTestApp, signIn } from './helpers.js';
+
+const currentQuiz = buildQuiz(4);
+const member = (userId, correct, incorrect, score) => ({
+  userId,
+  submission: {
+    quiz_id: QUIZ_ID,
+    final_score: String(score),
+    accuracy: `${correct * 25} %`,
+    speed: '100',
+    response_map: answer(currentQuiz, correct, incorrect)
+  }
+});
+
+// a answers all four right, b two right and two wrong, c gets the first wrong and skips the rest
+const members = [member('a', 4, 0, 16), member('b', 2, 2, 6), member('c', 0, 1, -1)];
+
+describe('CohortAnalyzer', () => {
+  test('ranks a student with percentiles that count ties as half', () => {
+    const benchmark = new CohortAnalyzer(currentQuiz, [...members, member('d', 2, 2, 6)]).benchmark('b');
+
+    expect(benchmark.size).toBe(4);
+    // One below and two equal out of four
+    expect(benchmark.percentiles.score).toBe(50);
+    expect(benchmark.cohortAverages.score).toBeCloseTo(27 / 4);
+  });
+
+  test('reports topic percentiles and cohort averages', () => {
+    const { topics } = new CohortAnalyzer(currentQuiz, members).benchmark('b');
+
+    expect(topics).toEqual([
+      { topic: 'body fluids and circulation', accuracy: 50, cohortAverage: 50, percentile: 50 },
+      { topic: 'human physiology', accuracy: 50, cohortAverage: 50, percentile: 50 }
+    ]);
+  });
+
+  test("labels each question by the share of the cohort answering it, with the student's own status", () => {
+    const { questions } = new CohortAnalyzer(currentQuiz, members).benchmark('c');
+
+    expect(questions.map(({ correct, attempted, difficulty, status }) => ({ correct, attempted, difficulty, status }))).toEqual([
+      { correct: 2, attempted: 3, difficulty: 'medium', status: 'incorrect' },
+      { correct: 2, attempted: 2, difficulty: 'medium', status: 'skipped' },
+      { correct: 1, attempted: 2, difficulty: 'hard', status: 'skipped' },
+      { correct: 1, attempted: 2, difficulty: 'hard', status: 'skipped' }
+    ]);
+    expect(new CohortAnalyzer(currentQuiz, members).classifyDifficulty(0.7)).toBe('easy');
+  });
+
+  test('withholds percentiles from a small cohort or a student outside it', () => {
+    const small = new CohortAnalyzer(currentQuiz, members.slice(0, MIN_COHORT_SIZE - 1)).benchmark('a');
+    const outsider = new CohortAnalyzer(currentQuiz, members).benchmark('z');
+
+    expect(small.percentiles).toEqual({ score: null, accuracy: null, speed: null });
+    expect(small.cohortAverages.score).toBe(11);
+    expect(outsider.percentiles.score).toBeNull();
+    expect(outsider.questions.every(question => question.status === null)).toBe(true);
+  });
+});
+
+describe('cohort benchmark in GET /quiz/analysis', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    const fixtures = buildFixtures(['u1', 'u2', 'u3', 'u4']);
+    // u4's current submission is at another quiz, so it isn't in the cohort
+    fixtures.users.u4.submission.quiz_id = 99;
+    context = await createTestApp(fixtures);
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  test('benchmarks against every user with an attempt at the current quiz', async () => {
+    const response = await request(context.app).get('/api/v1/users/u1/quiz/analysis').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.cohort).toMatchObject({ size: 3, excluded: 0, percentiles: { score: 50 } });
+    expect(response.body.cohort.questions).toHaveLength(10);
+  });
+});
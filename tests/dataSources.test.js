@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadData } from '../src/utils/dataLoader.js';
+import { FixtureDataSource, HttpDataSource, LocalDataSource, createDataSource } from '../src/utils/dataSources.js';
+import { NotFoundError } from '../src/utils/errors.js';
+import { buildAttempt, buildFixtures } from './helpers.js';
+
+describe('FixtureDataSource', () => {
+  const fixtures = buildFixtures(['u1', 'u2']);
+
+  test('serves the shared quiz and each user their own data', async () => {
+    const source = new FixtureDataSource(fixtures);
+
+    expect(await source.load('currentQuiz')).toEqual(fixtures.currentQuiz);
+    expect(await source.load('history', 'u2')).toEqual(fixtures.users.u2.history);
+    expect(await source.listUsers()).toEqual(['u1', 'u2']);
+  });
+
+  test('returns copies, so callers cannot change the fixtures', async () => {
+    const source = new FixtureDataSource(fixtures);
+    (await source.load('history', 'u1')).pop();
+
+    expect(await source.load('history', 'u1')).toHaveLength(6);
+  });
+
+  test('serves single-student fixtures as the default user', async () => {
+    const { currentQuiz, users } = buildFixtures(['default']);
+    const source = new FixtureDataSource({ currentQuiz, ...users.default });
+
+    expect(await source.load('submission')).toEqual(users.default.submission);
+    expect(await source.listUsers()).toEqual(['default']);
+  });
+
+  test('rejects unknown users and datasets', async () => {
+    const source = new FixtureDataSource(fixtures);
+
+    await expect(source.load('history', 'u9')).rejects.toThrow(NotFoundError);
+    await expect(source.load('history', '../u1')).rejects.toThrow(NotFoundError);
+    await expect(source.load('answers')).rejects.toThrow(/Unknown dataset/);
+  });
+});
+
+describe('LocalDataSource', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'testline-local-'));
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const writeJson = (file, value) => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), JSON.stringify(value));
+  };
+
+  test('reads per-user files and top-level files as the default user', async () => {
+    const { currentQuiz, users } = buildFixtures(['u1']);
+    writeJson('currentQuiz.json', currentQuiz);
+    writeJson('users/u1/history.json', users.u1.history);
+    writeJson('submission.json', users.u1.submission);
+    const source = new LocalDataSource(directory);
+
+    expect(await source.load('currentQuiz')).toEqual(currentQuiz);
+    expect(await source.load('history', 'u1')).toEqual(users.u1.history);
+    expect(await source.load('submission')).toEqual(users.u1.submission);
+    expect(await source.listUsers()).toEqual(['default', 'u1']);
+  });
+
+  test('reports missing and unreadable files', async () => {
+    writeJson('users/u1/history.json', []);
+    fs.writeFileSync(path.join(directory, 'currentQuiz.json'), '{ not json');
+    const source = new LocalDataSource(directory);
+
+    await expect(source.load('currentQuiz')).rejects.toThrow(/Failed to read/);
+    await expect(source.load('submission', 'u1')).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('createDataSource', () => {
+  test('builds the provider DATA_SOURCE names', async () => {
+    expect(await createDataSource({})).toBeInstanceOf(HttpDataSource);
+    expect(await createDataSource({ DATA_SOURCE: 'local', DATA_DIR: 'data' })).toBeInstanceOf(LocalDataSource);
+    await expect(createDataSource({ DATA_SOURCE: 'fixture' })).rejects.toThrow(/DATA_FIXTURE/);
+    await expect(createDataSource({ DATA_SOURCE: 'ftp' })).rejects.toThrow(/Unsupported/);
+  });
+
+  test('points the http provider at the configured endpoints', async () => {
+    const source = await createDataSource({ HISTORY_URL: 'https://example.test/{userId}/history' });
+    expect(source.endpoints.history).toBe('https://example.test/{userId}/history');
+  });
+});
+
+describe('loadData', () => {
+  test('loads the quiz with one user\'s submission and history', async () => {
+    const fixtures = buildFixtures(['u1', 'u2']);
+    const data = await loadData(new FixtureDataSource(fixtures), { userId: 'u2' });
+
+    expect(data.currentQuiz).toEqual(fixtures.currentQuiz);
+    expect(data.submission).toEqual(fixtures.users.u2.submission);
+    expect(data.history).toEqual(fixtures.users.u2.history);
+  });
+
+  test('fails with context when a dataset is missing', async () => {
+    const source = new FixtureDataSource({ users: { u1: { submission: buildAttempt(0), history: [] } } });
+    await expect(loadData(source, { userId: 'u1' })).rejects.toThrow(/Data loading failed/);
+  });
+});
@@ -0,0 +1,68 @@
+import { DIFFICULTY_WEIGHTS, QuizAnalyzer } from '../src/services/QuizAnalyzer.js';
+import { normalizeDifficulty } from '../src/utils/dataProcessing.js';
+import { buildQuiz } from './helpers.js';
+
+// Six questions: topic A (easy, hard, medium) and topic B (medium, easy, hard)
+const currentQuiz = buildQuiz(6);
+const [a1, b1, a2, b2, a3, b3] = currentQuiz.quiz.questions;
+const right = question => [question.id, question.options[0].id];
+const wrong = question => [question.id, question.options[1].id];
+const analyze = answers => new QuizAnalyzer(currentQuiz, { response_map: Object.fromEntries(answers) }, []);
+
+describe('normalizeDifficulty', () => {
+  test('maps labels and levels to easy, medium and hard', () => {
+    expect(normalizeDifficulty('Simple')).toBe('easy');
+    expect(normalizeDifficulty(' moderate ')).toBe('medium');
+    expect(normalizeDifficulty(3)).toBe('hard');
+    expect(normalizeDifficulty('unknown')).toBeNull();
+    expect(normalizeDifficulty(undefined)).toBeNull();
+  });
+});
+
+describe('difficulty analysis', () => {
+  test('breaks accuracy down by difficulty, overall and per topic', () => {
+    const { byDifficulty, byTopic } = analyze([right(a1), wrong(b2), right(a2), right(b1)]).calculateDifficultyBreakdown();
+
+    expect(byDifficulty.easy).toEqual({ total: 2, correct: 1, accuracy: 0.5 });
+    expect(byDifficulty.medium).toEqual({ total: 2, correct: 1, accuracy: 0.5 });
+    expect(byDifficulty.hard).toEqual({ total: 2, correct: 1, accuracy: 0.5 });
+    expect(byDifficulty.unknown).toEqual({ total: 0, correct: 0, accuracy: null });
+    expect(byTopic['human physiology'].easy).toEqual({ total: 1, correct: 0, accuracy: 0 });
+  });
+
+  test('weights correct answers by difficulty', () => {
+    const score = analyze([right(a1), right(b3)]).calculateDifficultyWeightedScore();
+
+    expect(score).toMatchObject({ earned: DIFFICULTY_WEIGHTS.easy + DIFFICULTY_WEIGHTS.hard, possible: 12 });
+    expect(score.percentage).toBeCloseTo(100 / 3);
+  });
+
+  test('counts questions without a difficulty as medium', () => {
+    const quiz = buildQuiz(1);
+    delete quiz.quiz.questions[0].difficulty_level;
+    const score = new QuizAnalyzer(quiz, { response_map: {} }, []).calculateDifficultyWeightedScore();
+
+    expect(score.possible).toBe(DIFFICULTY_WEIGHTS.medium);
+  });
+
+  test('classifies weak topics by the easiest difficulty they miss, fundamentals first', () => {
+    const weakAreas = analyze([right(a1), wrong(a2), right(a3), right(b1), wrong(b2), right(b3)]).classifyDifficultyWeaknesses();
+
+    expect(weakAreas.map(({ topic, type }) => ({ topic, type }))).toEqual([
+      { topic: 'human physiology', type: 'fundamentals' },
+      { topic: 'body fluids and circulation', type: 'advanced' }
+    ]);
+    expect(weakAreas[0].missedByDifficulty).toEqual({ easy: 1, medium: 0, hard: 0 });
+  });
+
+  test("doesn't flag a topic for one slip among many right answers", () => {
+    const quiz = buildQuiz(24);
+    const easyQuestions = quiz.quiz.questions.filter(question =>
+      question.topic === 'body fluids and circulation' && question.difficulty_level === 'easy');
+    const answers = Object.fromEntries(quiz.quiz.questions.map(question => [question.id, question.options[0].id]));
+    answers[easyQuestions[0].id] = easyQuestions[0].options[1].id;
+
+    expect(easyQuestions).toHaveLength(4);
+    expect(new QuizAnalyzer(quiz, { response_map: answers }, []).classifyDifficultyWeaknesses()).toEqual([]);
+  });
+});
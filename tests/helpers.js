@@ -0,0 +1,161 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp, bootstrapAdmin } from '../src/server.js';
+import { AccountStore } from '../src/services/AccountStore.js';
+import { TtlCache } from '../src/utils/cache.js';
+import { FixtureDataSource } from '../src/utils/dataSources.js';
+import { JsonFileStore } from '../src/utils/store.js';
+
+export const QUIZ_ID = 43;
+
+export const ADMIN = { username: 'root', password: 'rootpass1' };
+
+const TOPICS = ['body fluids and circulation', 'human physiology'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Builds the current quiz: `count` questions alternating between two topics,
+ * each with four options of which the first is correct. The quiz defines no
+ * marks, so it is scored under NEET marking.
+ * @param {number} [count] Number of questions
+ * @returns {Object} Quiz in the upstream shape
+ */
+export function buildQuiz(count = 10) {
+  const questions = Array.from({ length: count }, (_, index) => {
+    const id = 3300 + index;
+    return {
+      id,
+      description: `Question ${index + 1}`,
+      topic: TOPICS[index % TOPICS.length],
+      difficulty_level: DIFFICULTIES[index % DIFFICULTIES.length],
+      detailed_solution: `Solution ${index + 1}`,
+      options: [0, 1, 2, 3].map(option => ({ id: id * 10 + option, description: `Option ${option + 1}`, is_correct: option === 0 }))
+    };
+  });
+  return {
+    quiz: { id: QUIZ_ID, title: 'Human Physiology PYQ', topic: 'Human Physiology', questions_count: count, duration: 15, questions }
+  };
+}
+
+/**
+ * Answers the first `correct` questions of a quiz correctly and the next
+ * `incorrect` ones wrongly, leaving the rest unanswered
+ * @param {Object} currentQuiz Quiz from buildQuiz
+ * @param {number} correct Correct answers
+ * @param {number} incorrect Incorrect answers
+ * @returns {Object} question id → option id
+ */
+export function answer(currentQuiz, correct, incorrect) {
+  return Object.fromEntries(currentQuiz.quiz.questions.slice(0, correct + incorrect).map((question, index) =>
+    [question.id, question.options[index < correct ? 0 : 1].id]));
+}
+
+/**
+ * Builds a history entry in the upstream shape
+ * @param {number} index Attempt number, which spaces the attempts three days apart
+ * @param {Object} [fields] Fields to override
+ * @returns {Object} Attempt
+ */
+export function buildAttempt(index, fields = {}) {
+  const correct = 4 + (index % 4);
+  const incorrect = 10 - correct - 1;
+  const topic = ['Body Fluids and Circulation', 'Human Physiology', 'Respiration and Gas Exchange'][index % 3];
+  return {
+    id: 1000 + index,
+    quiz_id: 40 + index,
+    user_id: 'default',
+    submitted_at: new Date(Date.UTC(2025, 0, 1 + index * 3)).toISOString(),
+    score: correct * 4 - incorrect,
+    trophy_level: 2,
+    accuracy: `${correct * 10} %`,
+    speed: String(80 + index * 3),
+    final_score: String(correct * 4 - incorrect),
+    negative_score: String(incorrect),
+    correct_answers: correct,
+    incorrect_answers: incorrect,
+    total_questions: 10,
+    duration: '15:00',
+    mistakes_corrected: 3,
+    initial_mistake_count: 6,
+    response_map: {},
+    quiz: { id: 40 + index, title: topic, topic, questions_count: 10 },
+    ...fields
+  };
+}
+
+/**
+ * Builds fixtures for the fixture data source: a shared quiz and, for each
+ * user id, a submission to it and six earlier attempts
+ * @param {Array} [userIds] Users with data
+ * @returns {Object} Fixtures
+ */
+export function buildFixtures(userIds = ['u1', 'u2', 'u3']) {
+  const currentQuiz = buildQuiz();
+  const users = Object.fromEntries(userIds.map(userId => [userId, {
+    submission: buildAttempt(9, {
+      user_id: userId,
+      quiz_id: QUIZ_ID,
+      score: 21,
+      final_score: '21.0',
+      accuracy: '60 %',
+      correct_answers: 6,
+      incorrect_answers: 3,
+      negative_score: '3',
+      response_map: answer(currentQuiz, 6, 3),
+      quiz: { id: QUIZ_ID, topic: 'Human Physiology' }
+    }),
+    history: Array.from({ length: 6 }, (_, index) => buildAttempt(index, { user_id: userId }))
+  }]));
+  return { currentQuiz, users };
+}
+
+/**
+ * Starts an app on fixtures with a store in a temporary directory and the
+ * ADMIN account bootstrapped
+ * @param {Object} [fixtures] Fixtures (defaults to buildFixtures())
+ * @returns {Promise<Object>} { app, store, close }
+ */
+export async function createTestApp(fixtures = buildFixtures()) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'testline-'));
+  const store = new JsonFileStore(directory);
+  const app = createApp({
+    dataSource: new FixtureDataSource(fixtures),
+    store,
+    cache: new TtlCache({ sweepInterval: 0 }),
+    auth: { secret: 'test-secret', tokenTtl: 600 },
+    corsOrigins: []
+  });
+  await bootstrapAdmin(store, { ADMIN_USERNAME: ADMIN.username, ADMIN_PASSWORD: ADMIN.password });
+  return {
+    app,
+    store,
+    close: () => {
+      app.locals.cache.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Creates an account directly in the store
+ * @param {JsonFileStore} store App store
+ * @param {Object} account { username, password, role, userId?, batch? }
+ * @returns {Promise<Object>} Account
+ */
+export function createAccount(store, account) {
+  return new AccountStore(store).create(account);
+}
+
+/**
+ * Signs in and returns the bearer token
+ * @param {Object} app Express app
+ * @param {Object} credentials { username, password }
+ * @returns {Promise<string>} Token
+ */
+export async function signIn(app, { username, password }) {
+  const response = await request(app).post('/api/v1/auth/login').send({ username, password });
+  if (response.status !== 200) throw new Error(`Sign-in as ${username} failed with ${response.status}`);
+  return response.body.token;
+}
@@ -0,0 +1,110 @@
+import request from 'supertest';
+import { ItemAnalyzer } from '../src/services/ItemAnalyzer.js';
+import { ADMIN, QUIZ_ID, buildFixtures, buildQuiz, createAccount, createTestApp, signIn } from './helpers.js';
+
+const currentQuiz = buildQuiz(3);
+
+/**
+ * Builds a cohort member choosing the given option of each question
+ * @param {string} userId Student
+ * @param {Array} choices Option index per question, null to skip
+ * @returns {Object} { userId, submission }
+ */
+const member = (userId, choices) => ({
+  userId,
+  submission: {
+    quiz_id: QUIZ_ID,
+    response_map: Object.fromEntries(currentQuiz.quiz.questions
+      .map((question, index) => [question.id, choices[index] === null ? null : question.options[choices[index]].id]))
+  }
+});
+
+// The strongest students pick option 2 on the first question, the weakest its key
+const members = [
+  member('s1', [1, 0, 0]),
+  member('s2', [1, 0, 0]),
+  member('s3', [0, 0, 1]),
+  member('s4', [0, 1, 1]),
+  member('s5', [0, 1, null])
+];
+
+describe('ItemAnalyzer', () => {
+  const report = new ItemAnalyzer(currentQuiz, members).analyze();
+  const [first, second, third] = report.items;
+
+  test('reports difficulty, omissions and option choices per question', () => {
+    expect(first).toMatchObject({ id: 3300, students: 5, correct: 3, pValue: 0.6, correctOption: 33000 });
+    expect(first.options.map(option => option.chosen)).toEqual([3, 2, 0, 0]);
+    expect(third).toMatchObject({ attempted: 4, omitted: 1, pValue: 0.4 });
+  });
+
+  test('flags a likely answer-key error and non-functioning distractors', () => {
+    expect(first.suspectedKey).toBe(33001);
+    expect(first.pointBiserial).toBeLessThan(0);
+    expect(first.flags).toEqual(['possible-key-error', 'negative-discrimination', 'non-functioning-distractors']);
+    expect(report.summary.flagged['possible-key-error']).toContain(3300);
+  });
+
+  test("leaves the point-biserial out when the rest of the scores don't vary", () => {
+    expect(second.pointBiserial).toBeNull();
+  });
+
+  test('summarizes the quiz with the upper and lower groups', () => {
+    expect(report.summary).toMatchObject({ students: 5, questions: 3, groupSize: 1 });
+    expect(report.summary.meanPValue).toBeCloseTo(1.6 / 3);
+  });
+
+  test('needs a cohort of three', () => {
+    expect(() => new ItemAnalyzer(currentQuiz, members.slice(0, 2))).toThrow(/at least 3 students; found 2/);
+  });
+});
+
+describe('GET /quizzes/:quizId/item-analysis', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp(buildFixtures(['u1', 'u2', 'u3', 'u4', 'u5']));
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = (path, as = token) => request(context.app).get(`/api/v1/quizzes/${path}`).set('Authorization', `Bearer ${as}`);
+
+  test('analyzes the current quiz over its cohort', async () => {
+    const response = await get(`${QUIZ_ID}/item-analysis`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.quiz).toMatchObject({ id: QUIZ_ID, title: 'Human Physiology PYQ' });
+    expect(response.body.summary).toMatchObject({ students: 5, questions: 10, excluded: 0 });
+  });
+
+  test("covers only a coach's batch, and needs three of its students", async () => {
+    await createAccount(context.store, { username: 'coach', password: 'coachpass1', role: 'coach', batch: ['u1', 'u2', 'u3'] });
+    await createAccount(context.store, { username: 'tutor', password: 'tutorpass1', role: 'coach', batch: ['u4', 'u5'] });
+    const coach = await signIn(context.app, { username: 'coach', password: 'coachpass1' });
+    const tutor = await signIn(context.app, { username: 'tutor', password: 'tutorpass1' });
+
+    expect((await get(`${QUIZ_ID}/item-analysis`, coach)).body.summary.students).toBe(3);
+    expect((await get(`${QUIZ_ID}/item-analysis`, tutor)).status).toBe(422);
+    expect((await get(`${QUIZ_ID}/item-analysis`)).body.summary.students).toBe(5);
+  });
+
+  test('exports one CSV row per option', async () => {
+    const response = await get(`${QUIZ_ID}/item-analysis.csv`);
+    const lines = response.text.trim().split(/\r?\n/);
+
+    expect(response.headers['content-disposition']).toContain(`quiz-${QUIZ_ID}-item-analysis.csv`);
+    expect(lines[0]).toMatch(/^question_id,topic,labelled_difficulty,/);
+    expect(lines).toHaveLength(1 + 10 * 4);
+  });
+
+  test('answers 404 for another quiz and 403 for students', async () => {
+    await createAccount(context.store, { username: 'alice', password: 'alicepass1', role: 'student', userId: 'u1' });
+    const student = await signIn(context.app, { username: 'alice', password: 'alicepass1' });
+
+    expect((await get('99/item-analysis')).status).toBe(404);
+    expect((await get(`${QUIZ_ID}/item-analysis`, student)).status).toBe(403);
+  });
+});
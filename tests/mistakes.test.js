@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { MistakeNotebook } from '../src/services/MistakeNotebook.js';
+import { NotFoundError } from '../src/utils/errors.js';
+import { JsonFileStore } from '../src/utils/store.js';
+import { ADMIN, QUIZ_ID, answer, buildAttempt, buildFixtures, createTestApp, signIn } from './helpers.js';
+
+describe('MistakeNotebook', () => {
+  let directory;
+  let notebook;
+  const { currentQuiz, users } = buildFixtures(['u1']);
+  const { submission, history } = users.u1;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'testline-mistakes-'));
+    notebook = new MistakeNotebook(new JsonFileStore(directory), 'u1');
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('records and classifies each incorrect answer once', async () => {
+    const first = await notebook.record(currentQuiz, submission, history);
+    const again = await notebook.record(currentQuiz, submission, history);
+    const byQuestion = Object.fromEntries(first.entries.map(entry => [entry.questionId, entry]));
+
+    expect(first.added).toBe(3);
+    expect(again.added).toBe(0);
+    expect(Object.keys(byQuestion)).toEqual(['3306', '3307', '3308']);
+    expect(byQuestion[3306]).toMatchObject({ id: '1009-3306', category: 'conceptual', signals: { topicAccuracy: 55 } });
+    // The last quarter of an attempt that used all its time
+    expect(byQuestion[3308]).toMatchObject({ category: 'time-pressure', signals: { lateInQuiz: true, timeUsed: 1 } });
+  });
+
+  test('classifies a slip on an easy question in a strong topic as careless', () => {
+    expect(notebook.classify({ lateInQuiz: false, timeUsed: 0.5, repeats: 0, topicAccuracy: 90, difficulty: 'easy' })).toBe('careless');
+    expect(notebook.classify({ lateInQuiz: false, timeUsed: 0.5, repeats: 1, topicAccuracy: 90, difficulty: 'easy' })).toBe('conceptual');
+  });
+
+  test('syncs the attempts at known quizzes oldest first, keying those without an id by quiz and time', async () => {
+    const withoutId = { ...submission, id: undefined, submitted_at: '2025-02-01T00:00:00.000Z' };
+    const { added } = await notebook.sync([currentQuiz], [withoutId, submission, ...history, submission]);
+    const { mistakes, repeatedConcepts } = await notebook.list();
+
+    // The history's attempts are at other quizzes, which have no questions to check
+    expect(added).toBe(6);
+    expect(mistakes[0].id).toBe(`${QUIZ_ID}-${Date.parse('2025-02-01T00:00:00.000Z')}-3308`);
+    expect(mistakes.at(-1).id).toBe('1009-3306');
+    expect(repeatedConcepts.map(stats => stats.attempts)).toEqual([2, 2]);
+    expect((await notebook.sync([currentQuiz], [submission])).added).toBe(0);
+  });
+
+  test('filters the list and resolves mistakes', async () => {
+    await notebook.record(currentQuiz, submission, history);
+    await notebook.setResolved('1009-3306', true);
+
+    expect((await notebook.list()).mistakes.map(entry => entry.id)).toEqual(['1009-3308', '1009-3307']);
+    expect((await notebook.list({ status: 'resolved' })).mistakes[0]).toMatchObject({ id: '1009-3306', resolved: true });
+    expect((await notebook.list({ topic: 'Human Physiology' })).mistakes.map(entry => entry.id)).toEqual(['1009-3307']);
+    expect((await notebook.list({ category: 'time-pressure' })).mistakes).toHaveLength(1);
+    await expect(notebook.setResolved('nope', true)).rejects.toThrow(NotFoundError);
+  });
+
+  test('builds a re-quiz without the correct options or solutions', async () => {
+    await notebook.record(currentQuiz, submission, history);
+    const { quiz, mistakeIds } = await notebook.buildReQuiz({ limit: 2 });
+
+    expect(mistakeIds).toHaveLength(2);
+    expect(quiz).toMatchObject({ title: 'Mistake re-quiz', questions_count: 2 });
+    quiz.questions.forEach(question => {
+      expect(question).not.toHaveProperty('detailed_solution');
+      question.options.forEach(option => expect(Object.keys(option)).toEqual(['id', 'description']));
+    });
+  });
+
+  test('has no re-quiz without unresolved mistakes', async () => {
+    await expect(notebook.buildReQuiz()).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('mistake notebook routes', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    const fixtures = buildFixtures(['u1']);
+    // An upstream attempt at the current quiz in the history
+    fixtures.users.u1.history.push(buildAttempt(7, {
+      user_id: 'u1', quiz_id: QUIZ_ID, response_map: answer(fixtures.currentQuiz, 9, 1), quiz: { id: QUIZ_ID, topic: 'Human Physiology' }
+    }));
+    context = await createTestApp(fixtures);
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const call = (method, path) => request(context.app)[method](`/api/v1/users/u1/quiz/${path}`).set('Authorization', `Bearer ${token}`);
+
+  test('list the mistakes of the upstream submission and history', async () => {
+    const response = await call('get', 'mistakes?status=all');
+
+    expect(response.status).toBe(200);
+    expect(response.body.mistakes.map(mistake => mistake.id).sort()).toEqual(['1007-3309', '1009-3306', '1009-3307', '1009-3308']);
+  });
+
+  test('serve a re-quiz without answers and resolve mistakes', async () => {
+    const requiz = await call('get', 'mistakes/re-quiz?limit=1');
+    const resolved = await call('patch', 'mistakes/1009-3306').send({ resolved: true });
+
+    expect(requiz.status).toBe(200);
+    expect(JSON.stringify(requiz.body)).not.toMatch(/is_correct|detailed_solution/);
+    expect(resolved.body).toMatchObject({ id: '1009-3306', resolved: true });
+    expect((await call('patch', 'mistakes/1009-3306').send({ resolved: 'yes' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,111 @@
+import request from 'supertest';
+import { PracticeGenerator, loadQuestionBank } from '../src/services/PracticeGenerator.js';
+import { QuizAnalyzer } from '../src/services/QuizAnalyzer.js';
+import { StudyPlanner } from '../src/services/StudyPlanner.js';
+import { loadSyllabus } from '../src/services/SyllabusGraph.js';
+import { TrendAnalyzer } from '../src/services/TrendAnalyzer.js';
+import { MIXED_TOPIC, getAttemptTopic } from '../src/utils/dataProcessing.js';
+import { ADMIN, buildAttempt, buildFixtures, createTestApp, signIn } from './helpers.js';
+
+describe('PracticeGenerator', () => {
+  let generator;
+
+  beforeAll(async () => {
+    const { currentQuiz, users } = buildFixtures(['u1']);
+    generator = new PracticeGenerator(await loadQuestionBank(), { currentQuiz, ...users.u1 }, await loadSyllabus());
+  });
+
+  test('draws the same quiz for the same seed', () => {
+    const ids = seed => generator.generate({ length: 8, seed }).quiz.quiz.questions.map(question => question.id);
+
+    expect(ids(7)).toHaveLength(8);
+    expect(ids(7)).toEqual(ids(7));
+  });
+
+  test('keeps to the subject and the time limit', async () => {
+    const syllabus = await loadSyllabus();
+    const { quiz } = generator.generate({ length: 60, minutes: 5, subject: 'Chemistry', seed: 1 }).quiz;
+
+    expect(quiz.duration).toBe(5);
+    quiz.questions.forEach(question => expect(syllabus.subjectOf(question.topic)).toBe('Chemistry'));
+  });
+
+  test('files a quiz spanning several topics under the mixed topic', () => {
+    const { quiz, selection } = generator.generate({ length: 10, seed: 3 });
+    expect(quiz.quiz.topic).toBe(selection.topics.length > 1 ? MIXED_TOPIC : selection.topics[0].topic);
+  });
+});
+
+describe('mixed-topic attempts', () => {
+  const { currentQuiz, users } = buildFixtures(['u1']);
+  const mixed = buildAttempt(6, { user_id: 'u1', accuracy: '10 %', quiz: { id: 'practice-1', title: 'Practice quiz', topic: MIXED_TOPIC } });
+  const history = [...users.u1.history, mixed];
+
+  test('have no topic of their own', () => {
+    expect(getAttemptTopic(mixed)).toBeNull();
+    expect(getAttemptTopic(users.u1.history[0])).toBe('Body Fluids and Circulation');
+  });
+
+  test('stay out of topic performance, weak areas, the study plan and topic trends', () => {
+    const analysis = new QuizAnalyzer(currentQuiz, users.u1.submission, history).generateAnalysis();
+    const plan = new StudyPlanner(currentQuiz, users.u1.submission, history).generatePlan({ startDate: '2025-02-01' });
+    const trends = new TrendAnalyzer(users.u1.submission, history).analyze();
+
+    expect(Object.keys(analysis.topicPerformance)).not.toContain(MIXED_TOPIC);
+    expect(analysis.weakAreas.map(area => area.topic)).not.toContain(MIXED_TOPIC);
+    expect(plan.topics.map(stats => stats.topic)).not.toContain(MIXED_TOPIC);
+    expect(trends.topics.map(topic => topic.topic)).not.toContain(MIXED_TOPIC);
+  });
+
+  test('still count in the overall trends', () => {
+    const trends = new TrendAnalyzer(users.u1.submission, history).analyze();
+    expect(trends.metrics.accuracy.series.map(point => point.value)).toContain(10);
+  });
+});
+
+describe('practice routes', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const call = (method, path) => request(context.app)[method](`/api/v1/users/u1/practice/${path}`).set('Authorization', `Bearer ${token}`);
+  const hasAnswers = body => /is_correct|detailed_solution/.test(JSON.stringify(body));
+
+  test('send a quiz without its answers until it is submitted', async () => {
+    const generated = await call('post', 'generate').send({ length: 4, seed: 2 });
+    const before = await call('get', `quizzes/${generated.body.id}`);
+    const submitted = await call('post', `quizzes/${generated.body.id}/submissions`).send({ answers: {} });
+    const after = await call('get', `quizzes/${generated.body.id}`);
+
+    expect(generated.status).toBe(201);
+    expect(hasAnswers(generated.body)).toBe(false);
+    expect(hasAnswers(before.body)).toBe(false);
+    expect(submitted.status).toBe(201);
+    expect(after.body.quiz.quiz.questions.every(question =>
+      question.options.filter(option => option.is_correct).length === 1 && question.detailed_solution)).toBe(true);
+  });
+
+  test('score against the stored answers', async () => {
+    const generated = await call('post', 'generate').send({ length: 3, seed: 5 });
+    const bank = new Map((await loadQuestionBank()).map(question => [question.id, question]));
+    const answers = Object.fromEntries(generated.body.quiz.quiz.questions.map(question =>
+      [question.id, bank.get(question.id).options.find(option => option.is_correct).id]));
+    const response = await call('post', `quizzes/${generated.body.id}/submissions`).send({ answers });
+
+    expect(response.body.submission).toMatchObject({ correct_answers: 3, incorrect_answers: 0 });
+  });
+
+  test('list the quizzes and answer 404 for an unknown one', async () => {
+    const { body } = await call('get', 'quizzes');
+
+    expect(body.quizzes.length).toBeGreaterThan(0);
+    expect(Object.keys(body.quizzes[0])).toEqual(['id', 'createdAt', 'topic', 'questions', 'duration', 'submissions']);
+    expect((await call('get', 'quizzes/nope')).status).toBe(404);
+  });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { QuizAnalyzer } from '../src/services/QuizAnalyzer.js';
+import { ADMIN, answer, buildQuiz, createTestApp, signIn } from './helpers.js';
+
+describe('QuizAnalyzer.getQuestionResults', () => {
+  const currentQuiz = buildQuiz(4);
+
+  test('reviews each question of the current quiz', () => {
+    const submission = { response_map: answer(currentQuiz, 1, 2), question_timings: { 3300: 40 } };
+    const results = new QuizAnalyzer(currentQuiz, submission, []).getQuestionResults();
+
+    expect(results.map(result => result.status)).toEqual(['correct', 'incorrect', 'incorrect', 'skipped']);
+    expect(results[0]).toMatchObject({
+      id: 3300,
+      topic: 'body fluids and circulation',
+      difficulty: 'easy',
+      chosenOption: { id: 33000, description: 'Option 1' },
+      correctOption: { id: 33000, description: 'Option 1' },
+      timeSpentSeconds: 40,
+      solution: 'Solution 1'
+    });
+    expect(results[1].chosenOption).toEqual({ id: 33011, description: 'Option 2' });
+    expect(results[3]).toMatchObject({ chosenOption: null, isSkipped: true, timeSpentSeconds: null });
+  });
+
+  test('reads `answers` as well as the upstream response_map', () => {
+    const results = new QuizAnalyzer(currentQuiz, { answers: { 3301: 33010 } }, []).getQuestionResults();
+    expect(results[1].status).toBe('correct');
+  });
+});
+
+describe('GET /quiz/questions', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = path => request(context.app).get(path).set('Authorization', `Bearer ${token}`);
+
+  test('lists every question with a status summary', async () => {
+    const response = await get('/api/v1/users/u1/quiz/questions');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(10);
+    expect(response.body.summary).toEqual({ correct: 6, incorrect: 3, skipped: 1 });
+    expect(response.body.questions).toHaveLength(10);
+  });
+
+  test('filters by topic in any case and by status', async () => {
+    const response = await get('/api/v1/users/u1/quiz/questions?topic=Human%20Physiology&status=incorrect,skipped');
+
+    expect(response.body.questions.map(question => question.id)).toEqual([3307, 3309]);
+    expect(response.body.filters).toEqual({ topic: 'Human Physiology', status: ['incorrect', 'skipped'] });
+    expect(response.body.summary).toEqual({ correct: 6, incorrect: 3, skipped: 1 });
+  });
+
+  test('rejects unknown statuses', async () => {
+    expect((await get('/api/v1/users/u1/quiz/questions?status=wrong')).status).toBe(400);
+  });
+});
@@ -0,0 +1,85 @@
+import request from 'supertest';
+import { RankConverter, loadRankDistributions } from '../src/services/RankConverter.js';
+import { HttpError } from '../src/utils/errors.js';
+import { ADMIN, createTestApp, signIn } from './helpers.js';
+
+const distributions = {
+  category: [
+    { maxRank: 1000, shares: { GEN: 0.5, OBC: 0.3 } },
+    { maxRank: null, shares: { GEN: 0.2, OBC: 0.5 } }
+  ],
+  pwd: [{ maxRank: null, share: 0.01 }],
+  state: [{ maxRank: null, shares: { Kerala: 0.1, Delhi: 0.05 } }]
+};
+
+const prediction = { predictedRank: 3000, confidenceInterval: { lower: 500, upper: 5000 } };
+
+describe('RankConverter', () => {
+  const converter = new RankConverter(distributions);
+
+  test("integrates the group's share of candidates over the rank bands", () => {
+    const { category } = converter.convert(prediction, { category: 'OBC' });
+
+    // 1000 × 0.3 + 2000 × 0.5
+    expect(category).toEqual({ category: 'OBC', rank: 1300, lower: 150, upper: 2300 });
+  });
+
+  test('keeps the AIR and adds PwD and state ranks on request', () => {
+    const ranks = converter.convert(prediction, { category: 'GEN', pwd: true, state: 'kerala' });
+
+    expect(ranks.air).toEqual({ rank: 3000, lower: 500, upper: 5000 });
+    expect(ranks.pwd).toEqual({ category: 'GEN-PwD', rank: 9, lower: 3, upper: 13 });
+    expect(ranks.state).toEqual({ state: 'Kerala', rank: 300, lower: 50, upper: 500 });
+  });
+
+  test('leaves out PwD and state ranks by default', () => {
+    expect(converter.convert(prediction, { category: 'GEN' })).toMatchObject({ pwd: null, state: null });
+  });
+
+  test('never ranks below 1', () => {
+    const { category } = converter.convert({ predictedRank: 1, confidenceInterval: { lower: 1, upper: 1 } }, { category: 'OBC' });
+    expect(category.rank).toBe(1);
+  });
+
+  test('rejects a state missing from the tables', () => {
+    expect(() => converter.convert(prediction, { category: 'GEN', state: 'Atlantis' })).toThrow(HttpError);
+  });
+});
+
+describe('loadRankDistributions', () => {
+  test('loads the bundled tables, each ending with an open band', async () => {
+    const tables = await loadRankDistributions();
+    ['category', 'pwd', 'state'].forEach(table => expect(tables[table].at(-1).maxRank).toBeNull());
+  });
+});
+
+describe('ranks in the rank prediction', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = query => request(context.app).get(`/api/v1/users/u1/quiz/rank-prediction${query}`).set('Authorization', `Bearer ${token}`);
+
+  test('convert the AIR for the profile in the query', async () => {
+    const response = await get('?category=SC&pwd=true&state=Delhi');
+    const { ranks, predictedRank } = response.body;
+
+    expect(response.status).toBe(200);
+    expect(ranks.air.rank).toBe(predictedRank);
+    expect(ranks.category.category).toBe('SC');
+    expect(ranks.category.rank).toBeLessThan(ranks.air.rank);
+    expect(ranks.pwd.rank).toBeLessThanOrEqual(ranks.category.rank);
+    expect(ranks.state.state).toBe('Delhi');
+  });
+
+  test('reject an unknown state or pwd value', async () => {
+    expect((await get('?state=Atlantis')).status).toBe(400);
+    expect((await get('?pwd=maybe')).status).toBe(400);
+  });
+});
@@ -0,0 +1,73 @@
+import { RankPredictor } from '../src/services/RankPredictor.js';
+import { RankTable, loadRankTables } from '../src/services/RankTable.js';
+import { buildAttempt, buildFixtures } from './helpers.js';
+
+const rankTable = new RankTable({
+  year: 2024,
+  points: [
+    { marks: 720, rank: 1 },
+    { marks: 600, rank: 1000 },
+    { marks: 360, rank: 50000 },
+    { marks: 0, rank: 2000000 }
+  ]
+});
+
+describe('RankTable', () => {
+  test('interpolates ranks between its points and clamps outside them', () => {
+    expect(rankTable.rankForMarks(600)).toBe(1000);
+    expect(rankTable.rankForMarks(480)).toBe(25500);
+    expect(rankTable.rankForMarks(800)).toBe(1);
+    expect(rankTable.rankForMarks(-10)).toBe(2000000);
+  });
+
+  test('rejects ranks that improve as marks fall', () => {
+    expect(() => new RankTable({ year: 2024, points: [{ marks: 700, rank: 10 }, { marks: 600, rank: 5 }] }))
+      .toThrow(/must increase/);
+  });
+
+  test('loads the bundled tables', async () => {
+    const tables = await loadRankTables();
+    expect(tables.length).toBeGreaterThan(0);
+    tables.forEach(table => expect(table).toBeInstanceOf(RankTable));
+  });
+});
+
+describe('RankPredictor', () => {
+  const { users } = buildFixtures(['u1']);
+  const { submission, history } = users.u1;
+
+  test('requires a rank table', () => {
+    expect(() => new RankPredictor(history)).toThrow(/rank table/);
+  });
+
+  test('blends the submission with the history and maps the marks through the table', () => {
+    const prediction = new RankPredictor(history, { rankTable, iterations: 500 }).predictRank(submission);
+    const current = 21 / 40 * 100;
+    const historical = history.reduce((sum, attempt) => sum + Number(attempt.final_score) / 40 * 100, 0) / history.length;
+    const projectedMarks = Math.round((current * 0.6 + historical * 0.4) / 100 * 720);
+
+    expect(prediction.projectedMarks).toBe(projectedMarks);
+    expect(prediction.predictedRank).toBe(rankTable.rankForMarks(projectedMarks));
+    expect(prediction.rankTable.year).toBe(2024);
+  });
+
+  test('brackets the predicted rank with a reproducible interval', () => {
+    const predict = seed => new RankPredictor(history, { rankTable, seed, iterations: 500 }).predictRank(submission);
+    const { predictedRank, confidenceInterval } = predict(7);
+
+    expect(confidenceInterval.level).toBe(0.95);
+    expect(confidenceInterval.lower).toBeLessThanOrEqual(predictedRank);
+    expect(confidenceInterval.upper).toBeGreaterThanOrEqual(predictedRank);
+    expect(predict(7).confidenceInterval).toEqual(confidenceInterval);
+  });
+
+  test('widens the interval when there is no history to go on', () => {
+    const steady = Array.from({ length: 6 }, (_, index) => buildAttempt(index, { final_score: '21' }));
+    const width = data => {
+      const { confidenceInterval } = new RankPredictor(data, { rankTable, iterations: 500 }).predictRank(submission);
+      return confidenceInterval.upper - confidenceInterval.lower;
+    };
+
+    expect(width([])).toBeGreaterThan(width(steady));
+  });
+});
@@ -0,0 +1,127 @@
+import request from 'supertest';
+import { ReportBuilder } from '../src/services/ReportBuilder.js';
+import { buildCsv, escapeField } from '../src/utils/csv.js';
+import { ADMIN, buildFixtures, createTestApp, signIn } from './helpers.js';
+
+describe('ReportBuilder', () => {
+  const { currentQuiz, users } = buildFixtures(['u1']);
+  const { submission, history } = users.u1;
+  const rankPrediction = {
+    predictedRank: 5000, projectedMarks: 500, confidenceInterval: { lower: 3000, upper: 8000, level: 0.9 }
+  };
+  const report = new ReportBuilder(currentQuiz, submission, history).build({ userId: 'u1', rankPrediction });
+
+  test('joins the historical and current topic figures, weakest first', () => {
+    expect(report.topics.map(row => row.topic))
+      .toEqual(['Human Physiology', 'Body Fluids and Circulation', 'Respiration and Gas Exchange']);
+    expect(report.topics[0]).toMatchObject({
+      attempts: 2, averageAccuracy: 45, mistakeRate: 45, currentAccuracy: 60, status: 'Needs Focus', weak: true
+    });
+    // Not in the current quiz
+    expect(report.topics[2]).toMatchObject({ currentAccuracy: null, status: null });
+  });
+
+  test('lists the attempts oldest first with the current submission once', () => {
+    const again = new ReportBuilder(currentQuiz, submission, [...history, submission]).buildAttemptRows();
+
+    expect(report.attempts.map(row => row.id)).toEqual([1000, 1001, 1002, 1003, 1004, 1005, 1009]);
+    expect(report.attempts[0]).toEqual({
+      id: 1000,
+      submittedAt: '2025-01-01T00:00:00.000Z',
+      quiz: 'Body Fluids and Circulation',
+      score: 11,
+      accuracy: 40,
+      speed: 80,
+      correct: 4,
+      incorrect: 5,
+      total: 10,
+      duration: '15:00'
+    });
+    expect(again).toHaveLength(7);
+  });
+
+  test('carries the summary, rank band and recommendations', () => {
+    expect(report.quiz).toEqual({ id: 43, title: 'Human Physiology PYQ', topic: 'Human Physiology' });
+    expect(report.summary).toMatchObject({ score: 21, accuracy: 60, submittedAt: submission.submitted_at });
+    expect(report.rankPrediction).toEqual({ predictedRank: 5000, projectedMarks: 500, lower: 3000, upper: 8000, level: 0.9 });
+    expect(report.recommendations[0]).toBe('Focus on improving Body Fluids and Circulation with current accuracy of 55.0%');
+  });
+});
+
+describe('CSV export', () => {
+  test('quotes fields with commas, quotes and line breaks', () => {
+    expect(escapeField('a,b')).toBe('"a,b"');
+    expect(escapeField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeField(null)).toBe('');
+    expect(buildCsv([{ key: 'a', header: 'a' }], [{ a: 1 }])).toBe('a\r\n1\r\n');
+  });
+
+  test('keeps text starting like a formula from being evaluated, but not numbers', () => {
+    expect(escapeField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(['+1', '-1', '@SUM(A1)', '\tx'].map(escapeField)).toEqual(["'+1", "'-1", "'@SUM(A1)", "'\tx"]);
+    expect(escapeField(-0.25)).toBe('-0.25');
+  });
+});
+
+describe('report routes', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = path => request(context.app).get(`/api/v1/users/u1/quiz/${path}`).set('Authorization', `Bearer ${token}`)
+    .buffer(true).parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  test('render the report as a PDF download', async () => {
+    const response = await get('report?iterations=200');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.headers['content-disposition']).toContain('u1-report.pdf');
+    expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('export the topics and attempts as CSV and XLSX', async () => {
+    const topics = await get('report/topics.csv?iterations=200');
+    const attempts = await get('report/attempts.csv?iterations=200');
+    const workbook = await get('report.xlsx?iterations=200');
+
+    expect(topics.headers['content-disposition']).toContain('u1-report-topics.csv');
+    expect(topics.body.toString().split('\r\n')[0]).toBe(
+      'topic,attempts,average_accuracy,average_speed,mistake_rate,current_accuracy,status,weak_area');
+    expect(attempts.body.toString().trim().split('\r\n')).toHaveLength(1 + 7);
+    expect(workbook.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(workbook.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('answer 404 for an unknown rank table year', async () => {
+    expect((await get('report.xlsx?year=1900')).status).toBe(404);
+  });
+});
+
+describe('GET /quiz/report/attempts.csv', () => {
+  test('neutralizes formulas in upstream text', async () => {
+    const fixtures = buildFixtures(['u1']);
+    fixtures.users.u1.history[0].quiz.topic = '=1+1';
+    const context = await createTestApp(fixtures);
+    try {
+      const token = await signIn(context.app, ADMIN);
+      const response = await request(context.app).get('/api/v1/users/u1/quiz/report/attempts.csv?iterations=200')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.text.split('\r\n')[1]).toMatch(/^1000,2025-01-01T00:00:00.000Z,'=1\+1,/);
+    } finally {
+      context.close();
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import request from 'supertest';
+import { SCHEMAS, parseNumeric, validate, validateQuizData } from '../src/utils/schemas.js';
+import { ValidationError } from '../src/utils/errors.js';
+import { ADMIN, buildFixtures, createTestApp, signIn } from './helpers.js';
+
+describe('parseNumeric', () => {
+  test('reads numbers and numeric strings with an optional percent sign', () => {
+    expect(parseNumeric(12)).toBe(12);
+    expect(parseNumeric('105.0')).toBe(105);
+    expect(parseNumeric(' 90 %')).toBe(90);
+    expect(parseNumeric('-1.5e1')).toBe(-15);
+  });
+
+  test('rejects anything else', () => {
+    ['', '12abc', '1,000', 'NaN', null, undefined, true, {}].forEach(value =>
+      expect(parseNumeric(value)).toBeNaN());
+  });
+});
+
+describe('validate', () => {
+  test('reports every problem with its path', () => {
+    const attempt = { ...buildFixtures(['u1']).users.u1.history[0], accuracy: '120 %', total_questions: 0 };
+    delete attempt.submitted_at;
+
+    expect(validate(SCHEMAS.historyEntry, attempt)).toEqual([
+      { path: 'submitted_at', problem: 'is required' },
+      { path: 'accuracy', problem: 'must be at most 100' },
+      { path: 'total_questions', problem: 'must be at least 1' }
+    ]);
+  });
+
+  test('checks answer counts against the number of questions', () => {
+    const attempt = { ...buildFixtures(['u1']).users.u1.history[0], correct_answers: 8, incorrect_answers: 5 };
+    expect(validate(SCHEMAS.historyEntry, attempt)).toEqual([
+      { path: 'correct_answers', problem: 'correct_answers + incorrect_answers cannot exceed total_questions' }
+    ]);
+  });
+
+  test('requires exactly one correct option per question', () => {
+    const { currentQuiz } = buildFixtures(['u1']);
+    currentQuiz.quiz.questions[1].options[1].is_correct = true;
+
+    expect(validate(SCHEMAS.currentQuiz, currentQuiz)).toEqual([
+      { path: 'quiz.questions[1].options', problem: 'must mark exactly one option as correct, found 2' }
+    ]);
+  });
+});
+
+describe('validateQuizData', () => {
+  const withBadEntry = () => {
+    const { currentQuiz, users } = buildFixtures(['u1']);
+    const history = [...users.u1.history, { ...users.u1.history[0], accuracy: 'high' }];
+    return { currentQuiz, submission: users.u1.submission, history };
+  };
+
+  test('throws every issue in strict mode', () => {
+    expect(() => validateQuizData(withBadEntry())).toThrow(ValidationError);
+    try {
+      validateQuizData(withBadEntry());
+    } catch (error) {
+      expect(error.status).toBe(422);
+      expect(error.issues).toEqual([expect.objectContaining({ dataset: 'history', path: '[6].accuracy' })]);
+    }
+  });
+
+  test('drops invalid history entries with a warning in lenient mode', () => {
+    const { history, warnings } = validateQuizData(withBadEntry(), { mode: 'lenient' });
+
+    expect(history).toHaveLength(6);
+    expect(warnings).toEqual([expect.objectContaining({ dataset: 'history', path: '[6]', problem: 'entry dropped' })]);
+  });
+
+  test('still throws for a bad submission in lenient mode', () => {
+    const data = withBadEntry();
+    data.submission = { ...data.submission, final_score: 'n/a' };
+    expect(() => validateQuizData(data, { mode: 'lenient' })).toThrow(/validation problem/);
+  });
+});
+
+describe('validated endpoints', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    const fixtures = buildFixtures(['u1']);
+    fixtures.users.u1.history.push({ ...fixtures.users.u1.history[0], id: 'bad', submitted_at: 'yesterday' });
+    context = await createTestApp(fixtures);
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  test('answer 422 with the issues for invalid fixture data', async () => {
+    const response = await request(context.app).get('/api/v1/users/u1/quiz/score').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(422);
+    expect(response.body.issues).toEqual([
+      expect.objectContaining({ dataset: 'history', path: '[6].submitted_at' })
+    ]);
+  });
+
+  test('serve the valid data with warnings on ?validation=lenient', async () => {
+    const response = await request(context.app)
+      .get('/api/v1/users/u1/quiz/score?validation=lenient')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.validationWarnings).toEqual([expect.objectContaining({ path: '[6]', problem: 'entry dropped' })]);
+  });
+
+  test('reject an unknown validation mode', async () => {
+    const response = await request(context.app)
+      .get('/api/v1/users/u1/quiz/score?validation=loose')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,117 @@
+import {
+  MARKING_SCHEMES,
+  ScoringEngine,
+  createSubmission,
+  resolveMarkingScheme,
+  resolveQuizMarkingScheme
+} from '../src/services/ScoringEngine.js';
+import { getQuizTopic } from '../src/utils/dataProcessing.js';
+import { HttpError } from '../src/utils/errors.js';
+import { answer, buildQuiz } from './helpers.js';
+
+describe('ScoringEngine', () => {
+  const currentQuiz = buildQuiz();
+
+  test('awards +4, -1 and 0 under NEET marking', () => {
+    const submission = { quiz_id: 43, response_map: answer(currentQuiz, 6, 3) };
+    const score = new ScoringEngine(currentQuiz, submission, []).calculateScore();
+
+    expect(score.counts).toEqual({ correct: 6, incorrect: 3, unattempted: 1 });
+    expect(score.rawMarks).toBe(21);
+    expect(score.maxMarks).toBe(40);
+    expect(score.marksLostToNegative).toBe(3);
+    expect(score.percentage).toBeCloseTo(52.5);
+  });
+
+  test('applies the scheme it is given', () => {
+    const submission = { quiz_id: 43, response_map: answer(currentQuiz, 6, 3) };
+    const score = new ScoringEngine(currentQuiz, submission, [], MARKING_SCHEMES.NO_NEGATIVE).calculateScore();
+
+    expect(score.rawMarks).toBe(24);
+    expect(score.marksLostToNegative).toBeCloseTo(0);
+  });
+
+  test('breaks marks down by topic', () => {
+    const submission = { quiz_id: 43, response_map: answer(currentQuiz, 2, 2) };
+    const { byTopic } = new ScoringEngine(currentQuiz, submission, []).calculateScore();
+
+    expect(byTopic['body fluids and circulation']).toMatchObject({ correct: 1, incorrect: 1, unattempted: 3, marks: 3 });
+    expect(byTopic['human physiology']).toMatchObject({ correct: 1, incorrect: 1, unattempted: 3, marks: 3 });
+  });
+});
+
+describe('resolveMarkingScheme', () => {
+  test('defaults to NEET', () => {
+    expect(resolveMarkingScheme()).toEqual(MARKING_SCHEMES.NEET);
+  });
+
+  test('reads the quiz marks for the quiz scheme', () => {
+    const quiz = { quiz: { ...buildQuiz().quiz, correct_answer_marks: '3.0', negative_marks: '1.0' } };
+    expect(resolveMarkingScheme({ scheme: 'quiz' }, quiz)).toMatchObject({ name: 'QUIZ', correct: 3, incorrect: -1 });
+    expect(resolveQuizMarkingScheme(quiz)).toMatchObject({ correct: 3, incorrect: -1 });
+  });
+
+  test('falls back to NEET for a quiz without marks', () => {
+    expect(resolveQuizMarkingScheme(buildQuiz())).toBe(MARKING_SCHEMES.NEET);
+  });
+
+  test('lets custom marks override the named scheme', () => {
+    expect(resolveMarkingScheme({ scheme: 'NEET', incorrect: '-2' })).toMatchObject({ name: 'CUSTOM', correct: 4, incorrect: -2 });
+  });
+
+  test('rejects unknown schemes and marks that reward wrong answers', () => {
+    expect(() => resolveMarkingScheme({ scheme: 'JEE' })).toThrow(HttpError);
+    expect(() => resolveMarkingScheme({ correct: 1, incorrect: 2 })).toThrow(/must exceed/);
+    expect(() => resolveMarkingScheme({ correct: 'four' })).toThrow(/must be a number/);
+  });
+});
+
+describe('createSubmission', () => {
+  const currentQuiz = buildQuiz();
+  const meta = { id: 'attempt-1', userId: 'u1' };
+
+  test('scores answers into an upstream-shaped submission', () => {
+    const submission = createSubmission(currentQuiz, {
+      answers: answer(currentQuiz, 6, 3),
+      submitted_at: '2025-02-01T10:00:00.000Z'
+    }, meta);
+
+    expect(submission).toMatchObject({
+      id: 'attempt-1',
+      quiz_id: 43,
+      user_id: 'u1',
+      submitted_at: '2025-02-01T10:00:00.000Z',
+      score: 21,
+      final_score: '21.0',
+      accuracy: '60 %',
+      negative_score: '3',
+      correct_answers: 6,
+      incorrect_answers: 3,
+      total_questions: 10,
+      quiz: { id: 43, topic: 'Human Physiology' }
+    });
+  });
+
+  test('takes the duration from the timings and derives the speed from it', () => {
+    const timings = Object.fromEntries(currentQuiz.quiz.questions.map(question => [question.id, 60]));
+    const submission = createSubmission(currentQuiz, { answers: {}, timings }, meta);
+
+    expect(submission.duration).toBe('10:00');
+    expect(submission.speed).toBe('150');
+    expect(submission.question_timings).toEqual(timings);
+  });
+
+  test('rejects questions and options outside the quiz', () => {
+    expect(() => createSubmission(currentQuiz, { answers: { 9999: 1 } }, meta)).toThrow(/not part of quiz 43/);
+    expect(() => createSubmission(currentQuiz, { answers: { 3300: 33011 } }, meta)).toThrow(/does not belong/);
+  });
+
+  test('files a quiz without a topic under its most common question topic', () => {
+    const { quiz } = buildQuiz(3);
+    const untitled = { quiz: { ...quiz, topic: undefined } };
+
+    expect(getQuizTopic(untitled)).toBe('body fluids and circulation');
+    expect(createSubmission(untitled, { answers: {} }, meta).quiz.topic).toBe('body fluids and circulation');
+    expect(getQuizTopic({ quiz: { id: 1, questions: [] } })).toBe('Mixed');
+  });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { EXAM_SECONDS_PER_QUESTION, SpeedAccuracyAnalyzer } from '../src/services/SpeedAccuracyAnalyzer.js';
+import { ADMIN, buildAttempt, createTestApp, signIn } from './helpers.js';
+
+const attempt = (index, topic, speed, accuracy) =>
+  buildAttempt(index, { speed: String(speed), accuracy: `${accuracy} %`, quiz: { topic } });
+
+// Median speed 100 and average accuracy 66.7
+const history = [
+  attempt(0, 'Genetics', 120, 50),
+  attempt(1, 'Ecology', 80, 60),
+  attempt(2, 'Evolution', 100, 90)
+];
+
+describe('SpeedAccuracyAnalyzer', () => {
+  const analysis = new SpeedAccuracyAnalyzer(history[0], history).analyze();
+  const byTopic = Object.fromEntries(analysis.topics.map(topic => [topic.topic, topic]));
+
+  test("compares each topic's pace and accuracy with the student's baseline", () => {
+    expect(analysis.baseline).toMatchObject({ attempts: 3, medianSpeed: 100 });
+    expect(analysis.baseline.averageAccuracy).toBeCloseTo(200 / 3);
+    expect(analysis.summary).toEqual({ rushing: ['Genetics'], overthinking: ['Ecology'], balanced: ['Evolution'] });
+    expect(analysis.topics.map(topic => topic.topic)).toEqual(['Genetics', 'Ecology', 'Evolution']);
+  });
+
+  test('reads the time per question from the duration', () => {
+    expect(byTopic.Genetics.secondsPerQuestion).toBe(90);
+  });
+
+  test('gives weaker topics more time, at least the exam pace when rushing and at most when overthinking', () => {
+    expect(byTopic.Genetics.targetSecondsPerQuestion).toBeCloseTo(72);
+    expect(byTopic.Ecology.targetSecondsPerQuestion).toBe(EXAM_SECONDS_PER_QUESTION);
+    expect(byTopic.Evolution.targetSecondsPerQuestion).toBeCloseTo(43.2);
+    expect(byTopic.Genetics.recommendation).toMatch(/^Slow down on Genetics.*Aim for 72s per question/);
+    expect(byTopic.Ecology.recommendation).toMatch(/^Move faster on Ecology/);
+  });
+
+  test('correlates speed with accuracy from three attempts', () => {
+    const two = new SpeedAccuracyAnalyzer(history[0], history.slice(0, 2)).analyze();
+    expect(two.baseline.correlation).toBeNull();
+    expect(analysis.baseline.correlation).toEqual(expect.any(Number));
+  });
+
+  test('skips attempts without a topic, accuracy or speed', () => {
+    const analyzer = new SpeedAccuracyAnalyzer(history[0], [...history, buildAttempt(3, { speed: '' })]);
+    expect(analyzer.attempts).toHaveLength(3);
+  });
+});
+
+describe('GET /quiz/speed-accuracy', () => {
+  test('analyzes the history and the current submission', async () => {
+    const context = await createTestApp();
+    try {
+      const token = await signIn(context.app, ADMIN);
+      const response = await request(context.app).get('/api/v1/users/u1/quiz/speed-accuracy').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.baseline.attempts).toBe(7);
+      expect(response.body.examSecondsPerQuestion).toBe(EXAM_SECONDS_PER_QUESTION);
+      expect(Object.keys(response.body.summary)).toEqual(['rushing', 'overthinking', 'balanced']);
+    } finally {
+      context.close();
+    }
+  });
+});
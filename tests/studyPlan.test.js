@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { QuizAnalyzer, STRONG_ACCURACY, WEAK_ACCURACY } from '../src/services/QuizAnalyzer.js';
+import { REVIEW_INTERVALS, StudyPlanner, addDays, defaultExamDate } from '../src/services/StudyPlanner.js';
+import { ADMIN, answer, buildFixtures, buildQuiz, createTestApp, signIn } from './helpers.js';
+
+// Everything but Date keeps running on the real clock
+const REAL_TIMERS = ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'];
+
+const planner = () => {
+  const { currentQuiz, users } = buildFixtures(['u1']);
+  return new StudyPlanner(currentQuiz, users.u1.submission, users.u1.history);
+};
+
+describe('defaultExamDate', () => {
+  test('is the next first Sunday of May', () => {
+    expect(defaultExamDate('2025-01-29')).toBe('2025-05-04');
+    expect(defaultExamDate('2025-05-04')).toBe('2026-05-03');
+  });
+});
+
+describe('topic thresholds', () => {
+  // Ten questions alternate between two topics: 4 of 5 right on one, 3 of 5 on the other
+  const currentQuiz = buildQuiz(10);
+  const answers = answer(currentQuiz, 10, 0);
+  [currentQuiz.quiz.questions[0], currentQuiz.quiz.questions[1], currentQuiz.quiz.questions[3]]
+    .forEach(question => { answers[question.id] = question.options[1].id; });
+  const analyzer = new QuizAnalyzer(currentQuiz, { response_map: answers }, []);
+
+  test('weak and strong topics of the current quiz follow WEAK_ACCURACY and STRONG_ACCURACY', () => {
+    expect([WEAK_ACCURACY, STRONG_ACCURACY]).toEqual([70, 80]);
+    expect(analyzer.identifyWeakTopics()).toEqual(['human physiology']);
+    expect(analyzer.identifyStrongTopics()).toEqual(['body fluids and circulation']);
+  });
+
+  test('topic status uses the same thresholds', () => {
+    expect(analyzer.determineTopicStatus(0.8)).toBe('Mastered');
+    expect(analyzer.determineTopicStatus(0.7)).toBe('Improving');
+    expect(analyzer.determineTopicStatus(0.65)).toBe('Needs Focus');
+  });
+});
+
+describe('StudyPlanner', () => {
+  test('starts weak topics with a study session and spaces their reviews', () => {
+    const plan = planner().generatePlan({ startDate: '2025-02-01', examDate: '2025-03-01', hoursPerDay: 4 });
+    const sessions = plan.days.flatMap(day => day.sessions.map(session => ({ ...session, date: day.date })));
+    const topic = plan.topics.find(stats => stats.weak).topic;
+    const [study, ...reviews] = sessions.filter(session => session.topic === topic);
+
+    expect(study).toMatchObject({ type: 'study', date: '2025-02-01' });
+    expect(reviews.slice(0, 3).map(review => review.date)).toEqual([
+      addDays(study.date, REVIEW_INTERVALS[0]),
+      addDays(study.date, REVIEW_INTERVALS[0] + REVIEW_INTERVALS[1]),
+      addDays(study.date, REVIEW_INTERVALS[0] + REVIEW_INTERVALS[1] + REVIEW_INTERVALS[2])
+    ]);
+    expect(plan.days.at(-1).date < '2025-03-01').toBe(true);
+  });
+
+  test('keeps every day within the hour budget', () => {
+    const plan = planner().generatePlan({ startDate: '2025-02-01', examDate: '2025-03-01', hoursPerDay: 1 });
+    plan.days.forEach(day => expect(day.totalMinutes).toBeLessThanOrEqual(60));
+  });
+
+  test('rejects an exam date that is past or too far out', () => {
+    expect(() => planner().generatePlan({ startDate: '2025-02-01', examDate: '2025-02-01' })).toThrow(/after the plan start/);
+    expect(() => planner().generatePlan({ startDate: '2025-02-01', examDate: '2027-02-01' })).toThrow(/within 366 days/);
+  });
+});
+
+describe('GET /quiz/study-plan', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  afterEach(() => jest.useRealTimers());
+
+  const get = path => request(context.app).get(`/api/v1/users/u1/quiz/${path}`).set('Authorization', `Bearer ${token}`);
+
+  test('plans from the query options', async () => {
+    const response = await get('study-plan?start=2025-02-01&examDate=2025-03-01&hoursPerDay=2');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ startDate: '2025-02-01', examDate: '2025-03-01', hoursPerDay: 2 });
+    expect(response.body.basedOn.submissionId).toBe(1009);
+  });
+
+  test('starts a plan without ?start= on the current day, also after midnight', async () => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date('2025-02-01T23:59:00Z') });
+    const before = await get('study-plan?examDate=2025-03-01');
+    jest.setSystemTime(new Date('2025-02-02T00:01:00Z'));
+    const after = await get('study-plan?examDate=2025-03-01');
+
+    expect(before.body.startDate).toBe('2025-02-01');
+    expect(after.body.startDate).toBe('2025-02-02');
+  });
+
+  test('exports the plan as a calendar from dayStart', async () => {
+    const response = await get('study-plan.ics?start=2025-02-01&examDate=2025-03-01&dayStart=18:30');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(response.text).toMatch(/^BEGIN:VCALENDAR/);
+    expect(response.text).toContain('DTSTART:20250201T183000');
+  });
+
+  test('rejects bad options', async () => {
+    expect((await get('study-plan?start=01-02-2025')).status).toBe(400);
+    expect((await get('study-plan?hoursPerDay=20')).status).toBe(400);
+    expect((await get('study-plan.ics?dayStart=22:00&hoursPerDay=4')).status).toBe(400);
+  });
+});
@@ -0,0 +1,91 @@
+import request from 'supertest';
+import { QuizAnalyzer } from '../src/services/QuizAnalyzer.js';
+import { loadSyllabus } from '../src/services/SyllabusGraph.js';
+import { ADMIN, buildAttempt, buildFixtures, createTestApp, signIn } from './helpers.js';
+
+// The fixture attempts are all Zoology; one Chemistry attempt is added
+const withChemistry = () => {
+  const fixtures = buildFixtures(['u1']);
+  fixtures.users.u1.history.push(buildAttempt(6, {
+    user_id: 'u1',
+    quiz: { id: 46, title: 'Electrochemistry', topic: 'Electrochemistry', questions_count: 10 }
+  }));
+  return fixtures;
+};
+
+describe('subject rollups', () => {
+  let analyzer;
+
+  beforeAll(async () => {
+    const { currentQuiz, users } = withChemistry();
+    analyzer = new QuizAnalyzer(currentQuiz, users.u1.submission, users.u1.history, await loadSyllabus());
+  });
+
+  test('report every subject in syllabus order with attempts, time and the current quiz', () => {
+    const subjects = analyzer.analyzeSubjects();
+    const [, chemistry, botany, zoology] = subjects;
+
+    expect(subjects.map(subject => subject.subject)).toEqual(['Physics', 'Chemistry', 'Botany', 'Zoology']);
+    expect(zoology).toMatchObject({
+      attempts: 6,
+      timeSpentMinutes: 105,
+      currentQuiz: { questions: 10, correct: 6, incorrect: 3, skipped: 1, accuracy: 60 }
+    });
+    expect(chemistry).toMatchObject({ attempts: 1, averageAccuracy: 60, timeSpentMinutes: 15, currentQuiz: null, accuracy: 60, weak: true });
+    expect(chemistry.weakTopics).toEqual(['Electrochemistry']);
+    expect(botany).toMatchObject({ attempts: 0, averageScore: null, accuracy: null, weak: false });
+  });
+
+  test('are left out without a syllabus', () => {
+    expect(new QuizAnalyzer(analyzer.currentQuiz, analyzer.submission, analyzer.history).analyzeSubjects()).toBeNull();
+  });
+
+  test('narrow the analysis to one subject, in any case', () => {
+    const analysis = analyzer.generateAnalysis({ subject: 'chemistry' });
+
+    expect(analysis.subject).toBe('Chemistry');
+    expect(Object.keys(analysis.topicPerformance)).toEqual(['Electrochemistry']);
+    expect(analysis.currentQuizTopics).toEqual({});
+    expect(analysis.subjectAnalysis.map(subject => subject.subject)).toEqual(['Chemistry']);
+    expect(analysis.trends.accuracy.map(point => point.topic)).toEqual(['Electrochemistry']);
+  });
+
+  test('reject an unknown subject', () => {
+    expect(() => analyzer.generateAnalysis({ subject: 'Latin' })).toThrow(/subject must be one of: Physics, Chemistry, Botany, Zoology/);
+  });
+});
+
+describe('subjects in the API', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp(withChemistry());
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = path => request(context.app).get(`/api/v1/users/u1/quiz/${path}`).set('Authorization', `Bearer ${token}`);
+
+  test('GET /quiz/analysis filters by ?subject=', async () => {
+    const response = await get('analysis?subject=Zoology');
+
+    expect(response.status).toBe(200);
+    expect(response.body.subject).toBe('Zoology');
+    expect(Object.keys(response.body.topicPerformance)).not.toContain('Electrochemistry');
+    expect((await get('analysis?subject=Latin')).status).toBe(400);
+  });
+
+  test('GET /quiz/rank-prediction projects section marks per subject', async () => {
+    const { subjectBreakdown } = (await get('rank-prediction')).body;
+    const marks = subjectBreakdown.map(subject => subject.maxMarks);
+
+    expect(subjectBreakdown.map(subject => subject.subject)).toEqual(['Physics', 'Chemistry', 'Botany', 'Zoology']);
+    expect(new Set(marks).size).toBe(1);
+    expect(subjectBreakdown[0]).toMatchObject({ attempts: 0, percentage: null, projectedMarks: null });
+    expect(subjectBreakdown[1].attempts).toBe(1);
+    expect(subjectBreakdown[3].attempts).toBe(7);
+    expect(subjectBreakdown[3].projectedMarks).toBeLessThanOrEqual(marks[3]);
+  });
+});
@@ -0,0 +1,139 @@
+import request from 'supertest';
+import { AttemptStore } from '../src/services/AttemptStore.js';
+import { loadQuestionBank } from '../src/services/PracticeGenerator.js';
+import { ValidationError } from '../src/utils/errors.js';
+import { ADMIN, QUIZ_ID, answer, buildQuiz, createAccount, createTestApp, signIn } from './helpers.js';
+
+describe('submissions', () => {
+  let context;
+  let token;
+  const currentQuiz = buildQuiz();
+
+  beforeEach(async () => {
+    context = await createTestApp();
+    await createAccount(context.store, { username: 'alice', password: 'alicepass1', role: 'student', userId: 'u1' });
+    token = await signIn(context.app, { username: 'alice', password: 'alicepass1' });
+  });
+
+  afterEach(() => context.close());
+
+  const call = (method, path, as = token) => request(context.app)[method](path).set('Authorization', `Bearer ${as}`);
+  const submit = (answers, submittedAt = '2025-03-01T10:00:00.000Z') => call('post', `/api/v1/quiz/${QUIZ_ID}/submissions`)
+    .send({ answers, submitted_at: submittedAt });
+  // Attempt ids of the history, oldest first, from the report's attempts export
+  const historyIds = async () => {
+    const response = await call('get', '/api/v1/quiz/report/attempts.csv');
+    return response.text.trim().split('\n').slice(1).map(line => line.split(',')[0]);
+  };
+
+  test('scores the attempt and stores it for the signed-in student', async () => {
+    const response = await submit(answer(currentQuiz, 7, 2));
+
+    expect(response.status).toBe(201);
+    expect(response.body.submission).toMatchObject({
+      id: 'attempt-1',
+      user_id: 'u1',
+      quiz_id: QUIZ_ID,
+      score: 26,
+      correct_answers: 7,
+      incorrect_answers: 2
+    });
+    expect(response.body.score).toMatchObject({ rawMarks: 26, maxMarks: 40 });
+    expect(await new AttemptStore(context.store, 'u1').list()).toEqual([response.body.submission]);
+  });
+
+  test('makes the attempt the current submission and adds it to the history', async () => {
+    const before = await historyIds();
+    await submit(answer(currentQuiz, 7, 2));
+    const score = await call('get', '/api/v1/quiz/score');
+
+    // The upstream submission (1009) was listed as the current one, which the attempt replaces
+    expect(before.at(-1)).toBe('1009');
+    expect(await historyIds()).toEqual([...before.slice(0, -1), 'attempt-1']);
+    expect(score.body).toMatchObject({ rawMarks: 26, counts: { correct: 7, incorrect: 2, unattempted: 1 } });
+  });
+
+  test('numbers attempts and keeps them apart per user', async () => {
+    await submit(answer(currentQuiz, 7, 2));
+    const second = await submit(answer(currentQuiz, 8, 1), '2025-03-02T10:00:00.000Z');
+    const admin = await signIn(context.app, ADMIN);
+    const other = await call('post', `/api/v1/users/u2/quiz/${QUIZ_ID}/submissions`, admin).send({ answers: {} });
+
+    expect(second.body.submission.id).toBe('attempt-2');
+    expect(other.body.submission).toMatchObject({ id: 'attempt-1', user_id: 'u2' });
+    expect(await new AttemptStore(context.store, 'u1').list()).toHaveLength(2);
+  });
+
+  test('rejects attempts at another quiz or with foreign answers, storing nothing', async () => {
+    const otherQuiz = await call('post', '/api/v1/quiz/99/submissions').send({ answers: {} });
+    const foreignOption = await submit({ 3300: 12345 });
+
+    expect(otherQuiz.status).toBe(404);
+    expect(foreignOption.status).toBe(400);
+    expect(await new AttemptStore(context.store, 'u1').list()).toEqual([]);
+  });
+
+  test('records the mistakes on submission, while listing them again changes nothing', async () => {
+    const upstream = await call('get', '/api/v1/quiz/mistakes');
+    const response = await submit(answer(currentQuiz, 7, 2));
+    const first = await call('get', '/api/v1/quiz/mistakes');
+    const second = await call('get', '/api/v1/quiz/mistakes');
+    const submitted = first.body.mistakes.filter(mistake => mistake.submissionId === 'attempt-1');
+
+    // The upstream submission (1009) missed questions 6-8
+    expect(upstream.body.summary.total).toBe(3);
+    expect(response.body.mistakesRecorded).toBe(2);
+    expect(first.body.summary.total).toBe(5);
+    expect(submitted.map(mistake => String(mistake.questionId)).sort()).toEqual(['3307', '3308']);
+    expect(second.body).toEqual(first.body);
+  });
+
+  test('keeps the attempt when recording its mistakes fails, and records them on the next read', async () => {
+    const update = context.store.update.bind(context.store);
+    context.store.update = (collection, ...rest) => (collection === 'mistakes'
+      ? Promise.reject(new Error('disk full'))
+      : update(collection, ...rest));
+    const response = await submit(answer(currentQuiz, 7, 2));
+    context.store.update = update;
+    const mistakes = await call('get', '/api/v1/quiz/mistakes');
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ submission: { id: 'attempt-1' }, mistakesRecorded: null });
+    expect(response.body.mistakesError).toMatch(/saved but its mistakes could not be recorded \(disk full\)/);
+    expect(await new AttemptStore(context.store, 'u1').list()).toHaveLength(1);
+    expect(mistakes.body.mistakes.filter(mistake => mistake.submissionId === 'attempt-1')).toHaveLength(2);
+  });
+
+  test('refuses to store an attempt that would not be a valid history entry', async () => {
+    const attempts = new AttemptStore(context.store, 'u1');
+
+    await expect(attempts.add(() => ({ id: 'attempt-1', quiz_id: QUIZ_ID }))).rejects.toThrow(ValidationError);
+    expect(await attempts.list()).toEqual([]);
+  });
+
+  test('leaves invalid stored attempts out of the history with a warning', async () => {
+    await context.store.write('attempts', 'u1', { userId: 'u1', attempts: [{ id: 'broken', quiz_id: QUIZ_ID }] });
+    const response = await call('get', '/api/v1/quiz/trends');
+
+    expect(response.status).toBe(200);
+    expect(await historyIds()).not.toContain('broken');
+    expect(response.body.validationWarnings).toEqual([
+      expect.objectContaining({ dataset: 'attempts', path: '[0]', problem: 'entry dropped' })
+    ]);
+  });
+
+  test('adds practice quiz submissions to the history', async () => {
+    const generated = await call('post', '/api/v1/practice/generate').send({ length: 5, seed: 1 });
+    // The generated quiz comes without its answers, so they are looked up in the bank
+    const bank = new Map((await loadQuestionBank()).map(question => [question.id, question]));
+    const answers = Object.fromEntries(generated.body.quiz.quiz.questions.map(question =>
+      [question.id, bank.get(question.id).options.find(option => option.is_correct).id]));
+
+    const response = await call('post', `/api/v1/practice/quizzes/${generated.body.id}/submissions`).send({ answers });
+
+    expect(generated.status).toBe(201);
+    expect(response.status).toBe(201);
+    expect(response.body.submission).toMatchObject({ correct_answers: 5, incorrect_answers: 0, user_id: 'u1' });
+    expect(await historyIds()).toContain(response.body.submission.id);
+  });
+});
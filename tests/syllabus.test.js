@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { QuizAnalyzer } from '../src/services/QuizAnalyzer.js';
+import { SyllabusGraph, loadSyllabus, normalizeTopicName } from '../src/services/SyllabusGraph.js';
+import { ADMIN, answer, buildQuiz, createTestApp, signIn } from './helpers.js';
+
+const topic = (id, name, prerequisites = [], fields = {}) => ({ id, name, prerequisites, subtopics: [`${name} basics`], ...fields });
+
+const definition = {
+  subjects: [{
+    id: 'chemistry',
+    name: 'Chemistry',
+    chapters: [{
+      id: 'physical',
+      name: 'Physical Chemistry',
+      topics: [
+        topic('mole', 'Mole Concept'),
+        topic('redox', 'Redox Reactions', ['mole']),
+        topic('thermo', 'Chemical Thermodynamics', ['mole'], { aliases: ['Thermochemistry'] }),
+        topic('electro', 'Electrochemistry', ['redox', 'thermo'])
+      ]
+    }]
+  }]
+};
+
+describe('normalizeTopicName', () => {
+  test('ignores case, punctuation and & vs and', () => {
+    expect(normalizeTopicName('  Body Fluids & Circulation!')).toBe('body fluids and circulation');
+  });
+});
+
+describe('SyllabusGraph', () => {
+  const graph = new SyllabusGraph(definition);
+
+  test('finds topics by name or alias and places them in the syllabus', () => {
+    expect(graph.describe(graph.findNode('thermochemistry'))).toEqual({
+      id: 'thermo', name: 'Chemical Thermodynamics', level: 'topic', chapter: 'Physical Chemistry', subject: 'Chemistry'
+    });
+    expect(graph.subjectOf('Physical Chemistry')).toBe('Chemistry');
+    expect(graph.findNode('Astrology')).toBeNull();
+  });
+
+  test('walks prerequisites breadth-first up to two edges, each once', () => {
+    expect(graph.getPrerequisites('electro').map(({ node, depth }) => [node.id, depth]))
+      .toEqual([['redox', 1], ['thermo', 1], ['mole', 2]]);
+    expect(graph.getPrerequisites('electro', 1)).toHaveLength(2);
+  });
+
+  test('reports weak and untested prerequisites behind a weak topic', () => {
+    const gaps = graph.findConceptualGaps('Electrochemistry', [
+      { topic: 'Electrochemistry', accuracy: 40, attempts: 1 },
+      { topic: 'Redox Reactions', accuracy: 50, attempts: 2 },
+      { topic: 'Thermochemistry', accuracy: 90, attempts: 1 }
+    ]);
+
+    expect(gaps.subtopics).toEqual(['Electrochemistry basics']);
+    expect(gaps.prerequisiteGaps.map(({ id, status, accuracy }) => ({ id, status, accuracy }))).toEqual([
+      { id: 'redox', status: 'weak', accuracy: 50 },
+      { id: 'mole', status: 'untested', accuracy: null }
+    ]);
+    expect(graph.findConceptualGaps('Astrology', [])).toBeNull();
+  });
+
+  test('rolls accuracy up to chapters and subjects, weighted by attempts', () => {
+    const rollup = graph.rollUp([
+      { topic: 'Redox Reactions', accuracy: 50, attempts: 3 },
+      { topic: 'Mole Concept', accuracy: 90, attempts: 1 },
+      { topic: 'Astrology', accuracy: 10, attempts: 1 }
+    ]);
+
+    expect(rollup.subjects).toEqual([expect.objectContaining({
+      name: 'Chemistry', accuracy: 60, attempts: 4, topicsAssessed: 2, averageTopicAccuracy: 70,
+      weakTopics: ['Redox Reactions'], weak: true
+    })]);
+    expect(rollup.chapters.map(chapter => chapter.name)).toEqual(['Physical Chemistry']);
+    expect(rollup.unmappedTopics).toEqual(['Astrology']);
+  });
+
+  test('rejects duplicate ids and unknown prerequisites', () => {
+    const withTopics = topics => ({ subjects: [{ ...definition.subjects[0], chapters: [{ id: 'c', name: 'C', topics }] }] });
+
+    expect(() => new SyllabusGraph(withTopics([topic('a', 'A'), topic('a', 'B')]))).toThrow(/Duplicate syllabus id "a"/);
+    expect(() => new SyllabusGraph(withTopics([topic('a', 'A', ['ghost'])]))).toThrow(/unknown prerequisite "ghost"/);
+  });
+});
+
+describe('loadSyllabus', () => {
+  test('loads the bundled graph with Electrochemistry behind Redox Reactions', async () => {
+    const graph = await loadSyllabus();
+
+    expect(graph.getSubjects()).toEqual(['Physics', 'Chemistry', 'Botany', 'Zoology']);
+    expect(graph.getPrerequisites('electrochemistry', 1).map(({ node }) => node.name)).toContain('Redox Reactions');
+  });
+
+  test('names the file of an invalid syllabus', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'testline-syllabus-'));
+    const file = path.join(directory, 'syllabus.json');
+    fs.writeFileSync(file, '{');
+    try {
+      await expect(loadSyllabus(file)).rejects.toThrow(/^Invalid syllabus .*syllabus\.json/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('conceptual gaps in the insights', () => {
+  test('walk the syllabus from topics weak in the current quiz', async () => {
+    const currentQuiz = buildQuiz(4);
+    currentQuiz.quiz.questions.forEach((question, index) => {
+      question.topic = index < 2 ? 'Electrochemistry' : 'Redox Reactions';
+    });
+    const analyzer = new QuizAnalyzer(currentQuiz, { response_map: answer(currentQuiz, 0, 4) }, [], await loadSyllabus());
+    const [electrochemistry] = analyzer.identifyConceptualGaps([]);
+
+    expect(electrochemistry.syllabusTopic).toMatchObject({ name: 'Electrochemistry', chapter: 'Physical Chemistry' });
+    expect(electrochemistry.conceptualAreas).toContain('Nernst equation');
+    expect(electrochemistry.prerequisiteGaps).toContainEqual(expect.objectContaining({ name: 'Redox Reactions', status: 'weak', accuracy: 0 }));
+    expect(electrochemistry.prerequisiteGaps).toContainEqual(expect.objectContaining({ name: 'Equilibrium', status: 'untested' }));
+  });
+
+  test('are served with the syllabus rollup by GET /quiz/insights', async () => {
+    const context = await createTestApp();
+    try {
+      const token = await signIn(context.app, ADMIN);
+      const response = await request(context.app).get('/api/v1/users/u1/quiz/insights').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.syllabusRollup.subjects.map(subject => subject.name)).toEqual(['Zoology']);
+      expect(response.body.recommendations.conceptualGaps.length).toBeGreaterThan(0);
+    } finally {
+      context.close();
+    }
+  });
+});
@@ -0,0 +1,96 @@
+import request from 'supertest';
+import { PREDICTION_LEVEL, TrendAnalyzer } from '../src/services/TrendAnalyzer.js';
+import { ADMIN, buildAttempt, createTestApp, signIn } from './helpers.js';
+
+// Attempts three days apart with the given final scores
+const attempts = (scores, fields = () => ({})) =>
+  scores.map((score, index) => buildAttempt(index, { final_score: String(score), ...fields(index) }));
+
+const analyze = (history, options) => new TrendAnalyzer(history[0], history).analyze(options);
+
+describe('TrendAnalyzer', () => {
+  test('sorts attempts by date and adds the current submission once', () => {
+    const history = attempts([10, 12, 14]);
+    const analyzer = new TrendAnalyzer(buildAttempt(3), [history[2], history[0], history[1]]);
+
+    expect(analyzer.attempts.map(attempt => attempt.id)).toEqual([1000, 1001, 1002, 1003]);
+    expect(new TrendAnalyzer(history[1], history).attempts).toHaveLength(3);
+  });
+
+  test('fits a significant slope per metric with a moving average', () => {
+    const { metrics } = analyze(attempts([10, 13, 14, 17, 18, 21, 20, 23]));
+
+    expect(metrics.score).toMatchObject({ attempts: 8, significant: true, direction: 'improving' });
+    expect(metrics.score.slopePerWeek).toBeCloseTo(metrics.score.slopePerDay * 7);
+    expect(metrics.score.pValue).toBeLessThan(0.05);
+    expect(metrics.score.series[2].movingAverage).toBeCloseTo(37 / 3);
+  });
+
+  test('needs three attempts for a slope', () => {
+    expect(analyze(attempts([10, 20])).metrics.score).toMatchObject({ direction: 'insufficient-data', significant: false });
+  });
+
+  test('forecasts with a prediction band, clipping accuracy to 0-100', () => {
+    const history = attempts([10, 13, 14, 17, 18, 21, 20, 23], index => ({ accuracy: `${60 + index * 6} %` }));
+    const { forecasts } = analyze(history, { forecastDate: '2025-03-01' });
+
+    expect(forecasts.score.lower).toBeLessThan(forecasts.score.predicted);
+    expect(forecasts.score.upper).toBeGreaterThan(forecasts.score.predicted);
+    expect(forecasts.score.level).toBe(PREDICTION_LEVEL);
+    expect(forecasts.accuracy.predicted).toBe(100);
+  });
+
+  test('forecasts 30 days after the latest attempt by default', () => {
+    expect(analyze(attempts([10, 13, 14])).forecasts.score.date).toBe('2025-02-06');
+  });
+
+  test('alerts on a plateau and on a regression', () => {
+    expect(analyze(attempts([20, 30, 20, 30, 25, 25.5, 25, 25.5])).alerts)
+      .toEqual([{ type: 'plateau', metric: 'score', recentMean: 25.25 }]);
+    expect(analyze(attempts([30, 31, 30, 31, 20, 21, 20, 21])).alerts)
+      .toContainEqual({ type: 'regression', metric: 'score', change: -10 });
+  });
+
+  test('fits accuracy per topic, steepest decline first, and alerts on declining topics', () => {
+    const history = attempts([10, 10, 10, 10, 10, 10], index => ({
+      accuracy: `${index % 2 ? 90 - index * 10 : 40 + index * 5} %`,
+      quiz: { topic: index % 2 ? 'Ecology' : 'Genetics' }
+    }));
+    const { topics, alerts } = analyze(history);
+
+    expect(topics.map(({ topic, direction }) => [topic, direction])).toEqual([['Ecology', 'declining'], ['Genetics', 'improving']]);
+    expect(alerts).toContainEqual(expect.objectContaining({ type: 'declining-topic', topic: 'Ecology' }));
+  });
+
+  test('rejects a forecast date before the latest attempt or a year out', () => {
+    expect(() => analyze(attempts([10, 13, 14]), { forecastDate: '2025-01-02' })).toThrow(/must not be before/);
+    expect(() => analyze(attempts([10, 13, 14]), { forecastDate: '2027-01-01' })).toThrow(/within 365 days/);
+  });
+});
+
+describe('GET /quiz/trends', () => {
+  let context;
+  let token;
+
+  beforeAll(async () => {
+    context = await createTestApp();
+    token = await signIn(context.app, ADMIN);
+  });
+
+  afterAll(() => context.close());
+
+  const get = query => request(context.app).get(`/api/v1/users/u1/quiz/trends${query}`).set('Authorization', `Bearer ${token}`);
+
+  test('analyzes the history and the current submission', async () => {
+    const response = await get('?forecastDate=2025-03-01');
+
+    expect(response.status).toBe(200);
+    expect(response.body.attempts).toBe(7);
+    expect(Object.keys(response.body.metrics)).toEqual(['accuracy', 'speed', 'score']);
+    expect(response.body.forecasts.score.date).toBe('2025-03-01');
+  });
+
+  test('rejects a malformed forecast date', async () => {
+    expect((await get('?forecastDate=March')).status).toBe(400);
+  });
+});